@@ -0,0 +1,61 @@
+// apiClient.js — authenticated fetch for the reporting-phase2 worker API
+//
+// The worker wants `Authorization: Bearer <token>` on every request.
+// The first 401 asks for the user's API key (issued from the admin page),
+// trades it for a short-lived token at POST /auth/token and keeps the
+// token in localStorage; later 401s (expired token) ask again.
+
+const TOKEN_KEY = "reportingApiToken";
+
+let pendingSignIn = null;
+
+export function getAuthToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function signOut() {
+  localStorage.removeItem(TOKEN_KEY);
+}
+
+function withAuth(options = {}) {
+  const token = getAuthToken();
+  const headers = new Headers(options.headers || {});
+  if (token) headers.set("Authorization", `Bearer ${token}`);
+  return { ...options, headers };
+}
+
+// Prompts once for an API key and exchanges it for a token.
+// Concurrent 401s on page load share the same prompt.
+export function signIn(backendUrl) {
+  if (pendingSignIn) return pendingSignIn;
+
+  pendingSignIn = (async () => {
+    const apiKey = prompt("This page needs your API key for the reporting API.\n\nPaste it here:");
+    if (!apiKey || !apiKey.trim()) return null;
+
+    const res = await fetch(`${backendUrl}/auth/token`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${apiKey.trim()}` }
+    });
+    if (!res.ok) {
+      alert("That API key was not accepted.");
+      return null;
+    }
+
+    const { token } = await res.json();
+    localStorage.setItem(TOKEN_KEY, token);
+    return token;
+  })().finally(() => { pendingSignIn = null; });
+
+  return pendingSignIn;
+}
+
+export async function apiFetch(url, options = {}) {
+  const res = await fetch(url, withAuth(options));
+  if (res.status !== 401) return res;
+
+  signOut();
+  const token = await signIn(new URL(url).origin);
+  if (!token) return res;
+  return fetch(url, withAuth(options));
+}
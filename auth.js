@@ -0,0 +1,258 @@
+// auth.js — who is calling the worker API, and what they may do
+//
+// Every request carries `Authorization: Bearer <credential>`, where the
+// credential is either:
+//   • an API key — long-lived, issued per user from the admin page. Only
+//     its SHA-256 hash is stored (data/apiKeys.json), never the key itself.
+//   • a signed token — short-lived, minted by POST /auth/token in exchange
+//     for an API key (not for another token, so revoking the key cuts the
+//     holder off once their token expires). HMAC-SHA256 with env.AUTH_SECRET.
+//
+// env.ADMIN_API_KEY is a bootstrap admin key, so the first real keys can
+// be issued before anyone has one.
+
+export const ROLES = ["admin", "lender", "investor", "customer", "market"];
+
+const TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const API_KEY_PREFIX = "rp2_";
+
+// ===============================
+// Permissions
+// ===============================
+//
+// Resource = first path segment (loans, borrowers, platformConfig, …).
+// Roles without "all" holdings only ever see loans they hold a lot in.
+//
+const PERMISSIONS = {
+  admin: {
+    read: ["*"],
+    write: ["*"],
+    holdings: "all"
+  },
+  lender: {
+    read: ["loans", "borrowers", "platformConfig", "config", "valuationCurves", "schoolTiers", "history", "portfolio"],
+    write: ["loans", "borrowers"],
+    holdings: "all"
+  },
+  investor: {
+    read: ["loans", "platformConfig", "config", "valuationCurves", "schoolTiers", "portfolio"],
+    write: [],
+    holdings: "own"
+  },
+  customer: {
+    read: ["loans", "platformConfig", "config", "valuationCurves", "schoolTiers", "portfolio"],
+    write: [],
+    holdings: "own"
+  },
+  market: {
+    read: ["loans", "platformConfig", "config", "valuationCurves", "schoolTiers", "portfolio"],
+    write: [],
+    holdings: "own"
+  }
+};
+
+function authError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function resourceForPath(pathname) {
+  return pathname.split("/").filter(Boolean)[0] || "";
+}
+
+export function can(principal, action, resource) {
+  const perms = PERMISSIONS[principal?.role];
+  if (!perms) return false;
+  const allowed = perms[action] || [];
+  return allowed.includes("*") || allowed.includes(resource);
+}
+
+// Throws 401 (no/invalid credentials) or 403 (role not allowed)
+export function authorize(principal, method, pathname) {
+  if (!principal) throw authError(401, "Authentication required");
+  const action = method === "GET" || method === "HEAD" ? "read" : "write";
+  const resource = resourceForPath(pathname);
+  if (!can(principal, action, resource)) {
+    throw authError(403, `Role '${principal.role}' may not ${action} ${resource}`);
+  }
+}
+
+export function seesAllHoldings(principal) {
+  return PERMISSIONS[principal?.role]?.holdings === "all";
+}
+
+// ===============================
+// Scoping read responses
+// ===============================
+
+function holdsLoan(loan, userId) {
+  return (loan.ownershipLots || []).some(lot => lot.user === userId);
+}
+
+// One loan as this principal may see it (null = not theirs)
+export function scopeLoan(loan, principal) {
+  if (seesAllHoldings(principal)) return loan;
+  if (!loan || !holdsLoan(loan, principal.id)) return null;
+
+  const scoped = {
+    ...loan,
+    ownershipLots: loan.ownershipLots.filter(lot => lot.user === principal.id)
+  };
+  if (Array.isArray(loan.ownership?.allocations)) {
+    scoped.ownership = {
+      ...loan.ownership,
+      allocations: loan.ownership.allocations.filter(a => a.user === principal.id)
+    };
+  }
+  return scoped;
+}
+
+export function scopeLoans(loans, principal) {
+  if (seesAllHoldings(principal)) return loans;
+  return loans.map(loan => scopeLoan(loan, principal)).filter(Boolean);
+}
+
+// A fee rule naming users is theirs alone; one naming none prices everyone
+function feeRuleCovers(rule, userId) {
+  const users = rule?.appliesTo?.users;
+  return !Array.isArray(users) || users.length === 0 || users.includes(userId);
+}
+
+// Non-admin readers get the fee settings, only the fee rules that can apply
+// to them, and only their own user record
+export function scopePlatformConfig(config, principal) {
+  if (seesAllHoldings(principal)) return config;
+  const scoped = {
+    ...config,
+    users: (config.users || []).filter(u => u.id === principal.id)
+  };
+  if (Array.isArray(config.fees?.rules)) {
+    scoped.fees = { ...config.fees, rules: config.fees.rules.filter(rule => feeRuleCovers(rule, principal.id)) };
+  }
+  return scoped;
+}
+
+// Whose holdings (portfolio KPIs, per-user earnings) this principal may see
+export function canViewHolder(principal, userId) {
+  return seesAllHoldings(principal) || principal?.id === userId;
+}
+
+// ===============================
+// Crypto helpers (Web Crypto — Workers + browsers)
+// ===============================
+const encoder = new TextEncoder();
+
+function toBase64Url(bytes) {
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+function toHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+export async function hashApiKey(apiKey) {
+  const digest = await crypto.subtle.digest("SHA-256", encoder.encode(apiKey));
+  return toHex(new Uint8Array(digest));
+}
+
+// Compares two hex digests in time that does not depend on where they differ
+function digestsEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+export function generateApiKey() {
+  return API_KEY_PREFIX + toHex(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+async function hmacKey(secret) {
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+}
+
+// ===============================
+// Signed tokens
+// ===============================
+//
+// <base64url(payload)>.<base64url(hmac)>, payload = { sub, name, role, exp }
+//
+export async function issueToken(env, user, ttlSeconds = TOKEN_TTL_SECONDS) {
+  if (!env.AUTH_SECRET) throw authError(500, "AUTH_SECRET is not configured");
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = toBase64Url(encoder.encode(JSON.stringify({
+    sub: user.id,
+    name: user.name || user.id,
+    role: user.role,
+    exp
+  })));
+  const sig = await crypto.subtle.sign("HMAC", await hmacKey(env.AUTH_SECRET), encoder.encode(payload));
+  return { token: `${payload}.${toBase64Url(new Uint8Array(sig))}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+async function verifyToken(env, token) {
+  if (!env.AUTH_SECRET) return null;
+  const [payload, sig] = token.split(".");
+  if (!payload || !sig) return null;
+
+  let valid = false;
+  try {
+    valid = await crypto.subtle.verify(
+      "HMAC",
+      await hmacKey(env.AUTH_SECRET),
+      fromBase64Url(sig),
+      encoder.encode(payload)
+    );
+  } catch {
+    return null;
+  }
+  if (!valid) return null;
+
+  const claims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+  if (!claims.exp || claims.exp * 1000 < Date.now()) return null;
+  if (!ROLES.includes(claims.role)) return null;
+  return { id: claims.sub, name: claims.name, role: claims.role, via: "token" };
+}
+
+// ===============================
+// Authenticate a request
+// ===============================
+//
+// findUserByKeyHash(hash) → platformConfig user (or null); only called for
+// API keys, so token requests never touch storage. The bootstrap key is
+// checked by comparing hashes in constant time.
+//
+export async function authenticate(request, env, findUserByKeyHash) {
+  const header = request.headers.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+  const credential = match[1].trim();
+
+  const hash = await hashApiKey(credential);
+  const isAdminKey = Boolean(env.ADMIN_API_KEY) && digestsEqual(hash, await hashApiKey(env.ADMIN_API_KEY));
+
+  if (isAdminKey) {
+    return { id: "admin", name: "Admin", role: "admin", via: "apiKey" };
+  }
+  if (!credential.startsWith(API_KEY_PREFIX)) {
+    return verifyToken(env, credential);
+  }
+
+  const user = await findUserByKeyHash(hash);
+  if (!user || user.active === false || !ROLES.includes(user.role)) return null;
+  return { id: user.id, name: user.name || user.id, role: user.role, via: "apiKey" };
+}
@@ -0,0 +1,39 @@
+// contentHash.js — content hashes for cache keys
+//
+// Two values that serialize to the same JSON (object keys in any order)
+// hash the same. Used by the schedule caches in loanEngine.js and
+// earningsEngine.js, so a cache entry is found by what a loan *is*, not by
+// which object holds it: editing a loan changes its hash, and an unchanged
+// loan hits the cache however many times it is rebuilt or copied.
+
+// JSON with object keys sorted; `skipKeys` are dropped from the top level
+export function stableStringify(value, skipKeys = null) {
+  const root = skipKeys && value && typeof value === "object" && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).filter(([k]) => !skipKeys.has(k)))
+    : value;
+  return JSON.stringify(root, (key, v) => {
+    if (v === null || typeof v !== "object" || Array.isArray(v)) return v;
+    const sorted = {};
+    Object.keys(v).sort().forEach(k => { sorted[k] = v[k]; });
+    return sorted;
+  });
+}
+
+// 53-bit string hash (cyrb53): with tens of thousands of keys the chance
+// of a collision is around one in a billion
+function cyrb53(str, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+export function contentHash(value, skipKeys = null) {
+  return cyrb53(stableStringify(value, skipKeys) ?? "").toString(36);
+}
@@ -0,0 +1,174 @@
+// dataDiff.js — field-level diffs between two versions of a data file
+//
+// Shared by worker.js (409 conflict summaries) and adminPhase2.html
+// (reload-and-reapply after a conflict). Works on any JSON document:
+// arrays of records are matched by their id field (loanId / borrowerId / id)
+// so reordering a list never shows up as a change.
+
+const RECORD_KEYS = ["loanId", "borrowerId", "id"];
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+export function deepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every(k => deepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+// Id field shared by every record in the given arrays (or null)
+function detectRecordKey(...lists) {
+  const items = lists.flat().filter(v => v !== undefined);
+  if (!items.length || !items.every(isPlainObject)) return null;
+  return RECORD_KEYS.find(k => items.every(item => item[k] != null)) || null;
+}
+
+function indexBy(list, key) {
+  const map = new Map();
+  list.forEach(item => map.set(String(item[key]), item));
+  return map;
+}
+
+// ===============================
+// Diff
+// ===============================
+//
+// Returns a flat list of changes:
+//   { op: "added" | "removed" | "modified", path, before?, after? }
+//
+// Paths use dotted fields and [id] for keyed records, e.g.
+//   loans[I2L69NBHEW].events[3e96…].months
+//
+export function diffDocuments(before, after, path = "") {
+  if (deepEqual(before, after)) return [];
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const key = detectRecordKey(before, after);
+    const changes = [];
+
+    if (key) {
+      const prev = indexBy(before, key);
+      const next = indexBy(after, key);
+      prev.forEach((item, id) => {
+        if (!next.has(id)) changes.push({ op: "removed", path: `${path}[${id}]`, before: item });
+      });
+      next.forEach((item, id) => {
+        const p = `${path}[${id}]`;
+        if (!prev.has(id)) changes.push({ op: "added", path: p, after: item });
+        else changes.push(...diffDocuments(prev.get(id), item, p));
+      });
+      return changes;
+    }
+
+    const len = Math.max(before.length, after.length);
+    for (let i = 0; i < len; i++) {
+      const p = `${path}[${i}]`;
+      if (i >= before.length) changes.push({ op: "added", path: p, after: after[i] });
+      else if (i >= after.length) changes.push({ op: "removed", path: p, before: before[i] });
+      else changes.push(...diffDocuments(before[i], after[i], p));
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    keys.forEach(k => {
+      if (k === "sha") return; // transport field, not content
+      const p = path ? `${path}.${k}` : k;
+      if (!(k in before)) changes.push({ op: "added", path: p, after: after[k] });
+      else if (!(k in after)) changes.push({ op: "removed", path: p, before: before[k] });
+      else changes.push(...diffDocuments(before[k], after[k], p));
+    });
+    return changes;
+  }
+
+  return [{ op: "modified", path, before, after }];
+}
+
+// ===============================
+// Re-apply local edits
+// ===============================
+//
+// Three-way merge used after a 409: whatever changed between `base`
+// (what the editor loaded) and `local` (what the editor has now) is
+// replayed on top of `latest` (what is on the server now). Everything
+// the editor did not touch keeps the server's value. On a true collision
+// (both sides changed the same leaf) the local edit wins — the user has
+// already been shown the server's changes and chose to re-apply.
+//
+export function reapplyEdits(base, local, latest) {
+  if (deepEqual(base, local)) return latest;
+  if (deepEqual(base, latest)) return local;
+
+  if (Array.isArray(base) && Array.isArray(local) && Array.isArray(latest)) {
+    const key = detectRecordKey(base, local, latest);
+    if (!key) return local;
+
+    const baseById = indexBy(base, key);
+    const localById = indexBy(local, key);
+    const latestById = indexBy(latest, key);
+    const result = [];
+
+    latest.forEach(item => {
+      const id = String(item[key]);
+      if (baseById.has(id) && !localById.has(id)) return;   // deleted locally
+      if (!baseById.has(id) || !localById.has(id)) {
+        result.push(localById.get(id) ?? item);
+        return;
+      }
+      result.push(reapplyEdits(baseById.get(id), localById.get(id), item));
+    });
+
+    local.forEach(item => {
+      const id = String(item[key]);
+      if (latestById.has(id)) return;
+      // Added locally, or deleted remotely but edited locally: keep it
+      if (!baseById.has(id) || !deepEqual(baseById.get(id), item)) result.push(item);
+    });
+
+    return result;
+  }
+
+  if (isPlainObject(base) && isPlainObject(local) && isPlainObject(latest)) {
+    const result = { ...latest };
+    const keys = new Set([...Object.keys(base), ...Object.keys(local)]);
+    keys.forEach(k => {
+      if (deepEqual(base[k], local[k])) return;
+      if (!(k in local)) delete result[k];
+      else result[k] = reapplyEdits(base[k], local[k], latest[k]);
+    });
+    return result;
+  }
+
+  return local;
+}
+
+// ===============================
+// Human-readable summary
+// ===============================
+function formatValue(v) {
+  if (v === undefined) return "—";
+  const s = typeof v === "string" ? v : JSON.stringify(v);
+  return s.length > 60 ? s.slice(0, 57) + "…" : s;
+}
+
+export function formatChangeSummary(changes = [], maxLines = 15) {
+  if (!Array.isArray(changes) || changes.length === 0) return "No field-level details available.";
+
+  const lines = changes.slice(0, maxLines).map(c => {
+    if (c.op === "added") return `+ ${c.path}`;
+    if (c.op === "removed") return `− ${c.path}`;
+    return `~ ${c.path}: ${formatValue(c.before)} → ${formatValue(c.after)}`;
+  });
+  if (changes.length > maxLines) lines.push(`… and ${changes.length - maxLines} more`);
+  return lines.join("\n");
+}
@@ -0,0 +1,684 @@
+// dataSchemas.js — declarative schemas for every data/*.json file
+//
+// Shared by worker.js (rejects invalid writes with 422) and adminPhase2.html
+// (checks before sending). A schema is a plain object:
+//
+//   { type: "string",  required, nullable, enum, format: "date", minLength }
+//   { type: "number",  required, nullable, min, max, belowOne, integer, numericString }
+//   { type: "boolean" }
+//   { type: "object",  fields: { name: schema }, discriminator, variants, check }
+//   { type: "array",   items: schema, minItems, uniqueBy, check }
+//   { type: "record",  values: schema, skipKeys }      — object used as a map
+//
+// Unknown fields are allowed everywhere: the files carry legacy and
+// import-only fields that nothing should be forced to delete.
+// `check(value, path)` returns extra errors for cross-field rules.
+
+import { ROLES } from "./auth.js";
+import { FEE_TRIGGERS, FEE_RULE_TYPES, FEE_SCHEDULES, SCHEDULE_PHASES } from "./feeRules.js";
+
+export const LOAN_FEE_WAIVERS = ["none", "setup", "grace", "all"];
+export const USER_FEE_WAIVERS = ["none", "setup", "grace", "setup_grace", "grace_deferral", "all"];
+export const LOAN_STATUSES = ["", "S", "G", "R", "D", "F", "C", "P"];
+export const CAPITALIZATION_POLICIES = ["monthly", "endOfGrace", "endOfDeferral", "annual", "never"];
+export const PREPAYMENT_MODES = ["reduceTerm", "recast"];
+export const PAYOFF_REASONS = ["payoff", "refinance"];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(s) {
+  if (!DATE_RE.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === s;
+}
+
+// ===============================
+// Validator
+// ===============================
+//
+// Returns a flat list of { path, message }; empty means valid.
+// Paths match dataDiff.js: loans[I2L69NBHEW].ownershipLots[0].pct
+//
+export function validate(schema, value, path = "") {
+  const at = path || "(root)";
+
+  if (value === undefined || value === null) {
+    if (schema.required && !(value === null && schema.nullable)) {
+      return [{ path: at, message: "is required" }];
+    }
+    return [];
+  }
+
+  switch (schema.type) {
+    case "string": {
+      if (typeof value !== "string") return [{ path: at, message: "must be text" }];
+      if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path: at, message: `must be one of ${schema.enum.map(v => `"${v}"`).join(", ")} (got "${value}")` }];
+      }
+      if (schema.format === "date" && !(value === "" && !schema.required) && !isValidDate(value)) {
+        return [{ path: at, message: `must be a date like 2025-05-01 (got "${value}")` }];
+      }
+      if (schema.minLength && value.trim().length < schema.minLength) {
+        return [{ path: at, message: "must not be empty" }];
+      }
+      return [];
+    }
+
+    case "number": {
+      const n = schema.numericString && typeof value === "string" && value.trim() !== ""
+        ? Number(value)
+        : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) return [{ path: at, message: "must be a number" }];
+      if (schema.integer && !Number.isInteger(n)) return [{ path: at, message: "must be a whole number" }];
+      if (schema.min != null && n < schema.min) return [{ path: at, message: `must be at least ${schema.min} (got ${n})` }];
+      if (schema.exclusiveMin != null && n <= schema.exclusiveMin) {
+        return [{ path: at, message: `must be greater than ${schema.exclusiveMin} (got ${n})` }];
+      }
+      if (schema.belowOne && n >= 1) {
+        return [{ path: at, message: `must be a fraction, e.g. 0.096 for 9.6% (got ${n})` }];
+      }
+      if (schema.max != null && n > schema.max) return [{ path: at, message: `must be at most ${schema.max} (got ${n})` }];
+      return [];
+    }
+
+    case "boolean":
+      return typeof value === "boolean" ? [] : [{ path: at, message: "must be true or false" }];
+
+    case "array": {
+      if (!Array.isArray(value)) return [{ path: at, message: "must be a list" }];
+      if (schema.minItems && value.length < schema.minItems) {
+        return [{ path: at, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` }];
+      }
+      const errors = [];
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = schema.uniqueBy && item && item[schema.uniqueBy] != null ? String(item[schema.uniqueBy]) : null;
+        const itemPath = `${path}[${key ?? i}]`;
+        if (key != null) {
+          if (seen.has(key)) errors.push({ path: itemPath, message: `duplicate ${schema.uniqueBy}` });
+          seen.add(key);
+        }
+        errors.push(...validate(schema.items, item, itemPath));
+      });
+      if (schema.check) errors.push(...schema.check(value, at));
+      return errors;
+    }
+
+    case "record": {
+      if (typeof value !== "object" || Array.isArray(value)) return [{ path: at, message: "must be an object" }];
+      const errors = [];
+      Object.entries(value).forEach(([k, v]) => {
+        if (schema.skipKeys?.includes(k)) return;
+        errors.push(...validate(schema.values, v, path ? `${path}.${k}` : k));
+      });
+      return errors;
+    }
+
+    case "object": {
+      if (typeof value !== "object" || Array.isArray(value)) return [{ path: at, message: "must be an object" }];
+      let fields = schema.fields || {};
+
+      if (schema.discriminator) {
+        const tag = value[schema.discriminator];
+        const variant = schema.variants[tag];
+        const tagPath = path ? `${path}.${schema.discriminator}` : schema.discriminator;
+        if (!variant) {
+          return [{ path: tagPath, message: `must be one of ${Object.keys(schema.variants).map(v => `"${v}"`).join(", ")} (got "${tag}")` }];
+        }
+        fields = { ...fields, ...variant.fields };
+      }
+
+      const errors = validateFields(fields, value, path);
+      if (!errors.length && schema.check) errors.push(...schema.check(value, at));
+      return errors;
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+}
+
+function validateFields(fields, value, path) {
+  const errors = [];
+  Object.entries(fields).forEach(([k, fieldSchema]) => {
+    errors.push(...validate(fieldSchema, value[k], path ? `${path}.${k}` : k));
+  });
+  return errors;
+}
+
+// ===============================
+// Loans
+// ===============================
+const DATE = { type: "string", format: "date" };
+const REQUIRED_DATE = { type: "string", format: "date", required: true };
+const MONEY = { type: "number", min: 0 };
+
+export const EVENT_SCHEMA = {
+  type: "object",
+  fields: {
+    id: { type: "string" }
+  },
+  discriminator: "type",
+  variants: {
+    prepayment: {
+      fields: {
+        date: REQUIRED_DATE,
+        amount: { type: "number", required: true, exclusiveMin: 0 },
+        mode: { type: "string", enum: PREPAYMENT_MODES }
+      }
+    },
+    deferral: {
+      fields: {
+        startDate: REQUIRED_DATE,
+        months: { type: "number", required: true, integer: true, min: 1 }
+      }
+    },
+    forbearance: {
+      fields: {
+        startDate: REQUIRED_DATE,
+        months: { type: "number", required: true, integer: true, min: 1 }
+      }
+    },
+    hardship: {
+      fields: {
+        startDate: REQUIRED_DATE,
+        months: { type: "number", required: true, integer: true, min: 1 },
+        payment: { ...MONEY, required: true }
+      }
+    },
+    interestOnly: {
+      fields: {
+        startDate: REQUIRED_DATE,
+        months: { type: "number", required: true, integer: true, min: 1 }
+      }
+    },
+    missedPayment: {
+      fields: {
+        date: REQUIRED_DATE
+      }
+    },
+    curePayment: {
+      fields: {
+        date: REQUIRED_DATE,
+        amount: { type: "number", exclusiveMin: 0, nullable: true }
+      }
+    },
+    default: {
+      fields: {
+        date: REQUIRED_DATE,
+        recoveryAmount: { ...MONEY, required: true },
+        chargeOffAmount: { ...MONEY, nullable: true }
+      }
+    },
+    recovery: {
+      fields: {
+        date: REQUIRED_DATE,
+        amount: { type: "number", required: true, exclusiveMin: 0 },
+        collectionCost: { ...MONEY, nullable: true }
+      }
+    },
+    modification: {
+      fields: {
+        date: REQUIRED_DATE,
+        rate: { type: "number", min: 0, belowOne: true, nullable: true },
+        remainingTermMonths: { type: "number", integer: true, min: 1, nullable: true },
+        forgivenPrincipal: { ...MONEY, nullable: true }
+      }
+    },
+    payoff: {
+      fields: {
+        date: REQUIRED_DATE,
+        reason: { type: "string", enum: PAYOFF_REASONS }
+      }
+    }
+  }
+};
+
+export const LOT_SCHEMA = {
+  type: "object",
+  fields: {
+    user: { type: "string", required: true, minLength: 1 },
+    pct: { type: "number", required: true, exclusiveMin: 0, max: 1 },
+    purchaseDate: REQUIRED_DATE,
+    pricePaid: { ...MONEY, nullable: true, numericString: true }
+  }
+};
+
+function checkLotsTotal(lots, path) {
+  const total = lots.reduce((s, lot) => s + (Number(lot?.pct) || 0), 0);
+  if (Math.abs(total - 1) > 0.0001) {
+    return [{ path, message: `must total 100% (got ${Math.round(total * 10000) / 100}%)` }];
+  }
+  return [];
+}
+
+const RATE = { type: "number", min: 0, belowOne: true };
+
+function checkFloorBelowCap(terms, path) {
+  if (terms.floor == null || terms.cap == null || terms.floor <= terms.cap) return [];
+  return [{ path, message: `floor (${terms.floor}) must not be above cap (${terms.cap})` }];
+}
+
+export const VARIABLE_RATE_SCHEMA = {
+  type: "object",
+  fields: {
+    index: { type: "string", required: true, minLength: 1 },
+    margin: { type: "number", required: true, belowOne: true },
+    resetMonths: { type: "number", required: true, integer: true, min: 1 },
+    floor: { ...RATE, nullable: true },
+    cap: { ...RATE, nullable: true },
+    periodicCap: { ...RATE, nullable: true }
+  },
+  check: checkFloorBelowCap
+};
+
+const YEARS = { type: "number", required: true, exclusiveMin: 0, max: 40 };
+
+// Shapes the payment after grace (loanEngine.js createRepaymentPlan)
+export const REPAYMENT_PLAN_SCHEMA = {
+  type: "object",
+  discriminator: "type",
+  variants: {
+    standard: { fields: {} },
+    graduated: {
+      fields: {
+        stepYears: { ...YEARS, integer: true },
+        stepPct: { type: "number", required: true, min: 0, belowOne: true }
+      }
+    },
+    extended: { fields: { termYears: YEARS } },
+    interestOnly: { fields: { months: { type: "number", required: true, integer: true, min: 1 } } },
+    incomeDriven: {
+      fields: {
+        annualIncome: { ...MONEY, required: true },
+        incomePct: { type: "number", required: true, exclusiveMin: 0, belowOne: true },
+        incomeGrowth: { type: "number", min: 0, belowOne: true, nullable: true },
+        termYears: YEARS
+      }
+    }
+  }
+};
+
+// One line of a servicer payment tape (loanEngine.js Payment history)
+export const PAYMENT_SCHEMA = {
+  type: "object",
+  fields: {
+    id: { type: "string" },
+    date: REQUIRED_DATE,
+    principal: { ...MONEY, required: true },
+    interest: { ...MONEY, required: true },
+    fees: MONEY,
+    late: { type: "boolean" }
+  }
+};
+
+function checkSingleDefault(events, path) {
+  const defaults = events.filter(e => e?.type === "default").length;
+  return defaults > 1 ? [{ path, message: `has ${defaults} default events — only one is allowed` }] : [];
+}
+
+// Forbearance, hardship and interest-only windows may not overlap each other
+const RELIEF_EVENTS = ["forbearance", "hardship", "interestOnly"];
+
+function monthNumber(iso) {
+  const [y, m] = iso.split("-").map(Number);
+  return y * 12 + (m - 1);
+}
+
+function checkReliefOverlap(events, path) {
+  const windows = events
+    .filter(e => RELIEF_EVENTS.includes(e?.type) && DATE_RE.test(e.startDate || "") && Number(e.months) > 0)
+    .map(e => ({ type: e.type, start: monthNumber(e.startDate), end: monthNumber(e.startDate) + Number(e.months) }))
+    .sort((a, b) => a.start - b.start);
+
+  for (let i = 1; i < windows.length; i++) {
+    if (windows[i].start < windows[i - 1].end) {
+      return [{ path, message: `has overlapping ${windows[i - 1].type} and ${windows[i].type} events` }];
+    }
+  }
+  return [];
+}
+
+// Recoveries come in after the default (a charge-off by days past due has no event to check)
+function checkRecoveriesAfterDefault(events, path) {
+  const def = events.find(e => e?.type === "default" && DATE_RE.test(e.date || ""));
+  if (!def) return [];
+  const early = events.find(e => e?.type === "recovery" && DATE_RE.test(e.date || "") && monthNumber(e.date) < monthNumber(def.date));
+  return early ? [{ path, message: `has a recovery (${early.date}) before the default (${def.date})` }] : [];
+}
+
+// A modification has to change something; a loan is paid off at most once,
+// and not after (or instead of) defaulting
+function checkModificationsAndPayoff(events, path) {
+  const errors = [];
+  const empty = events.find(e => e?.type === "modification" &&
+    e.rate == null && e.remainingTermMonths == null && !(Number(e.forgivenPrincipal) > 0));
+  if (empty) errors.push({ path, message: `has a modification (${empty.date}) with no new rate, term or forgiven principal` });
+
+  const payoffs = events.filter(e => e?.type === "payoff").length;
+  if (payoffs > 1) errors.push({ path, message: `has ${payoffs} payoff events — only one is allowed` });
+  if (payoffs && events.some(e => e?.type === "default")) {
+    errors.push({ path, message: "has both a payoff and a default event" });
+  }
+  return errors;
+}
+
+function checkEvents(events, path) {
+  return [
+    ...checkSingleDefault(events, path),
+    ...checkReliefOverlap(events, path),
+    ...checkRecoveriesAfterDefault(events, path),
+    ...checkModificationsAndPayoff(events, path)
+  ];
+}
+
+export const LOAN_SCHEMA = {
+  type: "object",
+  fields: {
+    loanId: { type: "string", required: true, minLength: 1 },
+    loanName: { type: "string" },
+    school: { type: "string" },
+    borrowerId: { type: "string" },
+    loanStartDate: REQUIRED_DATE,
+    purchaseDate: DATE,
+    principal: { type: "number", required: true, exclusiveMin: 0 },
+    nominalRate: { type: "number", required: true, min: 0, belowOne: true },
+    variableRate: VARIABLE_RATE_SCHEMA,
+    repaymentPlan: REPAYMENT_PLAN_SCHEMA,
+    capitalization: { type: "string", enum: CAPITALIZATION_POLICIES },
+    chargeOffDpd: { type: "number", integer: true, min: 30, nullable: true },
+    prepaymentMode: { type: "string", enum: PREPAYMENT_MODES },
+    termYears: { type: "number", required: true, exclusiveMin: 0 },
+    graceYears: { type: "number", min: 0 },
+    mosGraceElig: { type: "number", integer: true, min: 0 },
+    loanStatus: { type: "string", enum: LOAN_STATUSES },
+    feeWaiver: { type: "string", enum: LOAN_FEE_WAIVERS },
+    events: { type: "array", items: EVENT_SCHEMA, check: checkEvents },
+    payments: { type: "array", items: PAYMENT_SCHEMA },
+    ownershipLots: { type: "array", required: true, minItems: 1, items: LOT_SCHEMA, check: checkLotsTotal }
+  }
+};
+
+// ===============================
+// Borrowers
+// ===============================
+const FICO = { type: "number", integer: true, min: 300, max: 850, nullable: true };
+
+export const BORROWER_SCHEMA = {
+  type: "object",
+  fields: {
+    borrowerId: { type: "string", required: true, minLength: 1 },
+    borrowerName: { type: "string" },
+    borrowerFico: FICO,
+    cosignerFico: FICO,
+    yearInSchool: { type: "number", integer: true, min: 1, max: 8, nullable: true },
+    isGraduateStudent: { type: "boolean" },
+    school: { type: "string" },
+    degreeType: { type: "string", nullable: true },
+    annualIncome: { ...MONEY, nullable: true },
+    opeid: { type: "string" }
+  }
+};
+
+// ===============================
+// Platform config
+// ===============================
+export const USER_SCHEMA = {
+  type: "object",
+  fields: {
+    id: { type: "string", required: true, minLength: 1 },
+    name: { type: "string" },
+    role: { type: "string", required: true, enum: ROLES },
+    feeWaiver: { type: "string", enum: USER_FEE_WAIVERS },
+    active: { type: "boolean" }
+  }
+};
+
+const RATE_POINTS = {
+  type: "array",
+  items: {
+    type: "object",
+    fields: {
+      date: REQUIRED_DATE,
+      rate: { type: "number", required: true, belowOne: true }
+    }
+  }
+};
+
+// One index path: published history plus the forward assumption (loanEngine.js)
+export const RATE_INDEX_SCHEMA = {
+  type: "object",
+  fields: {
+    label: { type: "string" },
+    history: RATE_POINTS,
+    forward: RATE_POINTS
+  }
+};
+
+// One fee rule (feeRules.js). A charge needs its amount: bps for
+// servicing, dollars for the rest.
+function checkFeeRule(rule, path) {
+  const errors = [];
+  if (rule.type === "charge") {
+    const field = rule.trigger === "servicing" ? "bps" : "amount";
+    if (rule[field] == null) errors.push({ path: `${path}.${field}`, message: `is required for a ${rule.trigger} charge` });
+  }
+  ["tiers", "minimumFee"].forEach(field => {
+    if (rule[field] != null && !(rule.type === "charge" && rule.trigger === "servicing")) {
+      errors.push({ path: `${path}.${field}`, message: "only applies to a servicing charge" });
+    }
+  });
+  if (rule.effectiveFrom && rule.effectiveTo && rule.effectiveTo < rule.effectiveFrom) {
+    errors.push({ path: `${path}.effectiveTo`, message: `must not be before effectiveFrom (${rule.effectiveFrom})` });
+  }
+  return errors;
+}
+
+const ID_LIST = { type: "array", items: { type: "string", required: true, minLength: 1 } };
+const SERVICING_BPS = { type: "number", min: 0, max: 1000 };
+
+const SERVICING_TIERS = {
+  type: "array",
+  uniqueBy: "minBalance",
+  items: {
+    type: "object",
+    fields: {
+      minBalance: { ...MONEY, required: true },
+      bps: { ...SERVICING_BPS, required: true }
+    }
+  }
+};
+
+export const FEE_RULE_SCHEMA = {
+  type: "object",
+  fields: {
+    id: { type: "string", required: true, minLength: 1 },
+    label: { type: "string" },
+    trigger: { type: "string", required: true, enum: FEE_TRIGGERS },
+    type: { type: "string", required: true, enum: FEE_RULE_TYPES },
+    amount: MONEY,
+    bps: SERVICING_BPS,
+    tiers: SERVICING_TIERS,
+    minimumFee: MONEY,
+    appliesTo: {
+      type: "object",
+      fields: {
+        schedules: { type: "array", items: { type: "string", required: true, enum: FEE_SCHEDULES } },
+        phases: { type: "array", items: { type: "string", required: true, enum: SCHEDULE_PHASES } },
+        roles: { type: "array", items: { type: "string", required: true, enum: ROLES } },
+        users: ID_LIST,
+        loans: ID_LIST
+      }
+    },
+    effectiveFrom: DATE,
+    effectiveTo: DATE
+  },
+  check: checkFeeRule
+};
+
+export const FEE_VERSION_SCHEMA = {
+  type: "object",
+  fields: {
+    effectiveFrom: REQUIRED_DATE,
+    setupFee: { ...MONEY, required: true },
+    monthlyServicingBps: { ...SERVICING_BPS, required: true },
+    servicingTiers: SERVICING_TIERS,
+    minimumServicingFee: MONEY
+  }
+};
+
+// Base fees are a dated schedule; older files have one setupFee / bps pair
+function checkFees(fees, path) {
+  if (Array.isArray(fees.schedule) && fees.schedule.length) return [];
+  return ["setupFee", "monthlyServicingBps"]
+    .filter(field => fees[field] == null)
+    .map(field => ({ path: `${path}.${field}`, message: "is required when there is no fee schedule" }));
+}
+
+export const PLATFORM_CONFIG_SCHEMA = {
+  type: "object",
+  fields: {
+    fees: {
+      type: "object",
+      required: true,
+      fields: {
+        setupFee: MONEY,
+        monthlyServicingBps: SERVICING_BPS,
+        schedule: { type: "array", items: FEE_VERSION_SCHEMA, uniqueBy: "effectiveFrom" },
+        rules: { type: "array", items: FEE_RULE_SCHEMA, uniqueBy: "id" }
+      },
+      check: checkFees
+    },
+    users: { type: "array", required: true, items: USER_SCHEMA, uniqueBy: "id" },
+    rateIndices: { type: "record", values: RATE_INDEX_SCHEMA }
+  }
+};
+
+// ===============================
+// Risk & value config
+// ===============================
+const BY_RISK_TIER = values => ({
+  type: "object",
+  required: true,
+  fields: { LOW: values, MEDIUM: values, HIGH: values, VERY_HIGH: values }
+});
+const PERCENT = { type: "number", required: true, min: 0, max: 100 };
+
+export const RISK_VALUE_CONFIG_SCHEMA = {
+  type: "object",
+  fields: {
+    riskPremiumBps: BY_RISK_TIER({ type: "number", required: true, min: 0, max: 5000 }),
+    recoveryRate: BY_RISK_TIER(PERCENT),
+    ficoBorrowerAdjustment: { type: "number", required: true },
+    ficoCosignerAdjustment: { type: "number", required: true },
+    prepaymentMultiplier: { type: "number", required: true, min: 0 },
+    prepaySeasoningYears: { type: "number", required: true, min: 0 },
+    graduationRateThreshold: PERCENT,
+    earningsThreshold: { ...MONEY, required: true },
+    baseRiskFreeRate: PERCENT,
+    cdrMultiplier: { type: "number", required: true, min: 0 },
+    inflationAssumption: PERCENT,
+    schoolTierMultiplier: {
+      type: "object",
+      required: true,
+      fields: {
+        A: { type: "number", required: true, exclusiveMin: 0 },
+        B: { type: "number", required: true, exclusiveMin: 0 },
+        C: { type: "number", required: true, exclusiveMin: 0 },
+        D: { type: "number", required: true, exclusiveMin: 0 }
+      }
+    }
+  }
+};
+
+// ===============================
+// School tiers (keyed by OPEID) + valuation curves
+// ===============================
+export const SCHOOL_TIERS_SCHEMA = {
+  type: "record",
+  skipKeys: ["_metadata"],
+  values: {
+    type: "object",
+    fields: {
+      name: { type: "string" },
+      tier: { type: "string", required: true, minLength: 1 },
+      grad_rate: { type: "number", min: 0, max: 1, nullable: true },
+      median_earnings_10yr: { ...MONEY, nullable: true }
+    }
+  }
+};
+
+const PCT_LIST = { type: "array", required: true, items: { type: "number", required: true, min: 0, max: 100 } };
+
+export const VALUATION_CURVES_SCHEMA = {
+  type: "object",
+  fields: {
+    riskTiers: BY_RISK_TIER({
+      type: "object",
+      required: true,
+      fields: {
+        label: { type: "string" },
+        defaultCurve: {
+          type: "object",
+          required: true,
+          fields: {
+            type: { type: "string", required: true },
+            termMonths: { type: "number", integer: true, exclusiveMin: 0 },
+            cumulativeDefaultPct: PCT_LIST
+          }
+        },
+        prepaymentCurve: {
+          type: "object",
+          required: true,
+          fields: {
+            type: { type: "string", required: true },
+            valuesPct: PCT_LIST
+          }
+        },
+        recovery: {
+          type: "object",
+          required: true,
+          fields: {
+            grossRecoveryPct: PERCENT,
+            recoveryLagMonths: { type: "number", required: true, integer: true, min: 0 }
+          }
+        },
+        riskPremiumBps: { type: "number", min: 0 }
+      }
+    }),
+    degreeAdjustmentsBps: { type: "record", values: { type: "number", required: true } }
+  }
+};
+
+// ===============================
+// Whole files
+// ===============================
+//
+// Keyed by file name (data/<name>.json); each schema describes the file
+// exactly as stored — borrowers.json is a bare array.
+//
+export const SCHEMAS = {
+  loans: {
+    type: "object",
+    fields: {
+      loans: { type: "array", required: true, items: LOAN_SCHEMA, uniqueBy: "loanId" }
+    }
+  },
+  borrowers: { type: "array", required: true, items: BORROWER_SCHEMA, uniqueBy: "borrowerId" },
+  platformConfig: PLATFORM_CONFIG_SCHEMA,
+  riskValueConfig: RISK_VALUE_CONFIG_SCHEMA,
+  schoolTiers: SCHOOL_TIERS_SCHEMA,
+  valuationCurves: VALUATION_CURVES_SCHEMA
+};
+
+export function validateDocument(name, doc) {
+  const schema = SCHEMAS[name];
+  if (!schema) throw new Error(`No schema for data file "${name}"`);
+  return validate({ ...schema, required: true }, doc, name === "borrowers" ? "borrowers" : "");
+}
+
+export function formatValidationErrors(errors = [], maxLines = 15) {
+  const lines = errors.slice(0, maxLines).map(e => `• ${e.path}: ${e.message}`);
+  if (errors.length > maxLines) lines.push(`… and ${errors.length - maxLines} more`);
+  return lines.join("\n");
+}
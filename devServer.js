@@ -0,0 +1,65 @@
+// devServer.js — the worker API on localhost, backed by data/*.json
+//
+//   npm run dev          (or: node devServer.js)
+//
+// Same routes as the Cloudflare worker (worker.js handleFetch), but storage
+// is this directory on disk (fsStorage.js) instead of GitHub. Writes change
+// the files in data/ and keep earlier versions under .history/.
+//
+// Env: PORT (8787), HOST (127.0.0.1), DATA_ROOT (this directory),
+// AUTH_SECRET, ADMIN_API_KEY, and the worker's GITHUB_*_PATH overrides for
+// file locations. Without AUTH_SECRET and ADMIN_API_KEY the server falls back
+// to well-known dev secrets, so it then refuses any HOST but loopback.
+
+import http from "node:http";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import worker from "./worker.js";
+import { createFsStorage } from "./fsStorage.js";
+
+const ROOT = process.env.DATA_ROOT || path.dirname(fileURLToPath(import.meta.url));
+const PORT = Number(process.env.PORT) || 8787;
+const HOST = process.env.HOST || "127.0.0.1";
+const LOOPBACK_HOSTS = ["127.0.0.1", "::1", "localhost"];
+
+if (!LOOPBACK_HOSTS.includes(HOST) && !(process.env.AUTH_SECRET && process.env.ADMIN_API_KEY)) {
+  console.error(`Refusing to listen on ${HOST} with the dev secrets: set AUTH_SECRET and ADMIN_API_KEY`);
+  process.exit(1);
+}
+
+const env = {
+  ...Object.fromEntries(Object.entries(process.env).filter(([k]) => /^GITHUB_\w*PATH$/.test(k))),
+  STORAGE: createFsStorage({ root: ROOT }),
+  AUTH_SECRET: process.env.AUTH_SECRET || "dev-secret",
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || "dev-admin-key"
+};
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return chunks.length ? Buffer.concat(chunks) : undefined;
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const hasBody = !["GET", "HEAD", "OPTIONS"].includes(req.method);
+    const request = new Request(`http://localhost:${PORT}${req.url}`, {
+      method: req.method,
+      headers: Object.entries(req.headers).map(([k, v]) => [k, Array.isArray(v) ? v.join(", ") : v]),
+      body: hasBody ? await readBody(req) : undefined
+    });
+
+    const response = await worker.fetch(request, env);
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  } catch (err) {
+    console.error("Dev server error:", err);
+    res.writeHead(500, { "Content-Type": "text/plain" });
+    res.end(String(err?.message || err));
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Worker API on http://${HOST}:${PORT} (data in ${ROOT})`);
+  if (!process.env.ADMIN_API_KEY) console.log(`Admin key: ${env.ADMIN_API_KEY}`);
+});
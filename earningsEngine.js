@@ -19,12 +19,25 @@
 import {
   addMonths,
   isDeferredMonth,
-   GLOBAL_FEE_CONFIG,
-  resolveFeeWaiverFlags,     // ← we'll use this later
-  getMonthlyServicingRate    // ← we'll use this later
+  getDefaultOutcome,
+  buildAmortSchedule,
+  monthKeyFromDate,
+  GLOBAL_FEE_CONFIG,
+  GLOBAL_FEE_CONFIG_HASH
 } from "./loanEngine.js?v=dev";
 
 import { USERS } from "./users.js?v=dev";
+import { loanFeeRules, evaluateFee, servicingFee } from "./feeRules.js?v=dev";
+import { contentHash } from "./contentHash.js?v=dev";
+import {
+  toCents,
+  fromCents,
+  roundMoney,
+  sumMoney,
+  expectMoney,
+  ledgerChecksEnabled,
+  reportLedgerViolations
+} from "./money.js?v=dev";
 
 /* ============================================================
    Helpers (local, pure)
@@ -64,6 +77,97 @@ function getOwnershipPctForMonth(ownershipLots, loanDate, user) {
 
 
 
+// Amort rows plus one row per later month a defaulted loan collected
+// recoveries in; recoveries in the default month go on the default row
+function withRecoveryRows(amortSchedule, events) {
+  const outcome = getDefaultOutcome({ events }, amortSchedule);
+  if (!outcome?.recoveries.length) return amortSchedule;
+
+  const byMonth = new Map();
+  outcome.recoveries.forEach(r => {
+    const m = byMonth.get(r.monthsAfterDefault) || { postDefaultRecovery: 0, collectionCost: 0 };
+    m.postDefaultRecovery += r.amount;
+    m.collectionCost += r.collectionCost;
+    byMonth.set(r.monthsAfterDefault, m);
+  });
+
+  const last = amortSchedule[amortSchedule.length - 1];
+  const rows = [...amortSchedule.slice(0, -1), { ...last, ...byMonth.get(0) }];
+  [...byMonth.keys()]
+    .filter(after => after > 0)
+    .sort((a, b) => a - b)
+    .forEach(after => {
+      rows.push({
+        monthIndex: last.monthIndex + after,
+        payment: 0,
+        scheduledPrincipal: 0,
+        prepaymentPrincipal: 0,
+        principalPaid: 0,
+        interest: 0,
+        interestPaid: 0,
+        balance: 0,
+        isDeferred: false,
+        isRecovery: true,
+        ...byMonth.get(after)
+      });
+    });
+  return rows;
+}
+
+// The share of the loan `user`'s lots give them in the month starting `monthStart`
+// (a lot counts from its purchase month)
+function ownershipPctIn(ownershipLots, user, monthStart) {
+  if (!Array.isArray(ownershipLots)) return 0;
+  return ownershipLots.reduce((sum, lot) => {
+    if (!lot || lot.user !== user) return sum;
+    const start = parseISODateLocal(lot.purchaseDate);
+    if (!(start instanceof Date) || !Number.isFinite(start.getTime())) return sum;
+    const startMonth = new Date(start.getFullYear(), start.getMonth(), 1);
+    return monthStart >= startMonth ? sum + Number(lot.pct || 0) : sum;
+  }, 0);
+}
+
+/* ============================================================
+   Holder balances (tiered servicing)
+   ============================================================ */
+
+/**
+ * A holder's total outstanding balance, month by month, across `loans`:
+ * each loan's amort balance times their share of it that month. Tiered
+ * servicing fees are priced on this (params.portfolioBalances).
+ *
+ * @param {Array}  loans  Loans as buildAmortSchedule takes them
+ * @param {string} user
+ * @returns {Object<string, number>}  "YYYY-MM" → balance; frozen, and
+ *                                    hashed once here for the earnings cache
+ */
+export function buildHolderBalances(loans, user) {
+  const cents = {};
+  (loans || []).forEach(loan => {
+    if (!(loan.ownershipLots || []).some(lot => lot?.user === user)) return;
+    buildAmortSchedule(loan).forEach(row => {
+      if (!(row.loanDate instanceof Date)) return;
+      const monthStart = new Date(row.loanDate.getFullYear(), row.loanDate.getMonth(), 1);
+      const pct = ownershipPctIn(loan.ownershipLots, user, monthStart);
+      if (pct <= 0) return;
+      const key = monthKeyFromDate(monthStart);
+      cents[key] = (cents[key] || 0) + toCents(Number(row.balance || 0) * pct);
+    });
+  });
+  const balances = Object.freeze(Object.fromEntries(Object.entries(cents).sort().map(([k, c]) => [k, fromCents(c)])));
+  BALANCES_HASHES.set(balances, contentHash(balances));
+  return balances;
+}
+
+// buildHolderBalances result → its contentHash. A holder's balances span
+// all their loans, so hashing them per earnings call would be O(loans²);
+// balances built some other way are still hashed per call
+const BALANCES_HASHES = new WeakMap();
+
+function balancesHash(balances) {
+  return (balances && BALANCES_HASHES.get(balances)) ?? contentHash(balances ?? null);
+}
+
 /* ============================================================
    Core: Build Earnings Schedule
    ============================================================ */
@@ -77,17 +181,58 @@ function getOwnershipPctForMonth(ownershipLots, loanDate, user) {
  * @param {string} params.purchaseDate    YYYY-MM-DD
  * @param {Array}  params.events          Loan events
  * @param {Date}   params.today           Canonical "today"
+ * @param {string} [params.loanId]        Names the loan in ledger violations;
+ *                                        loan-scoped fee rules match on it
+ * @param {string} [params.feeWaiver]     The loan's fee waiver token, if any
+ * @param {Object} [params.portfolioBalances]  buildHolderBalances over the
+ *                                        holder's loans; without it servicing
+ *                                        is priced untiered
  *
- * @returns {Array<EarningsRow>}
+ * @returns {Array<EarningsRow>}  Cached and shared; do not mutate the rows
  */
 
-export function buildEarningsSchedule({
+export function buildEarningsSchedule(params) {
+  const { amortSchedule } = params;
+  // Validation mode recomputes, so every check runs
+  if (!Array.isArray(amortSchedule) || ledgerChecksEnabled()) {
+    return computeEarningsSchedule(params);
+  }
+
+  let byInputs = EARNINGS_CACHE.get(amortSchedule);
+  if (!byInputs) EARNINGS_CACHE.set(amortSchedule, byInputs = new Map());
+
+  const key = contentHash({
+    ...params,
+    amortSchedule: null,
+    portfolioBalances: balancesHash(params.portfolioBalances),
+    feeConfig: GLOBAL_FEE_CONFIG_HASH,
+    holder: USERS[params.user] || null
+  });
+  if (!byInputs.has(key)) byInputs.set(key, computeEarningsSchedule(params));
+  return byInputs.get(key);
+}
+
+/* ============================================================
+   Earnings cache
+   ============================================================ */
+// Keyed first by the amort schedule array itself: buildAmortSchedule hands
+// back the same cached array while a loan is unchanged, and a new one when
+// it changes, so a loan's stale earnings go away with its old schedule
+// (WeakMap). Within one schedule, entries are keyed by a content hash of the
+// other inputs (owner, lots, events, today, fee config and holder); the
+// holder balances and fee config go in as hashes taken once, not per call.
+const EARNINGS_CACHE = new WeakMap();
+
+function computeEarningsSchedule({
   amortSchedule,
   loanStartDate,
   ownershipLots = [],
   user,
   events = [],
-  today
+  today,
+  loanId = null,
+  feeWaiver = "none",
+  portfolioBalances = null
 }) {
   if (!Array.isArray(amortSchedule) || amortSchedule.length === 0) {
     return [];
@@ -99,20 +244,16 @@ export function buildEarningsSchedule({
     throw new Error(`Invalid loanStartDate in earnings engine: ${loanStartDate}`);
   }
 
- 
-// Use loaded platform config (with fallbacks)
-const setupFeeAmount = GLOBAL_FEE_CONFIG?.setupFee ?? 150;
-const monthlyRate = (GLOBAL_FEE_CONFIG?.monthlyServicingBps ?? 25) / 10000;
-
-// Waiver flags using dynamic USERS (loan override not yet supported here)
-const { waiveSetup, waiveMonthly, waiveAll } =
-  resolveFeeWaiverFlags(user, {});  // ← Pass userId directly
+  // Fees are priced month by month from the fee rules (feeRules.js), the
+  // same ones buildAmortSchedule uses
+  const feeRules = loanFeeRules(GLOBAL_FEE_CONFIG, Object.values(USERS), { loanId, feeWaiver });
+  const feeHolder = { schedule: "earnings", userId: user, role: USERS[user]?.role ?? null, loanId };
  
   // ----------------------------------------------------------
   // Normalize amort rows with ownership + calendar dates
   // (LOT-AWARE: ownership can change over time)
   // ----------------------------------------------------------
-const normalized = amortSchedule.map((row, idx) => {
+const normalized = withRecoveryRows(amortSchedule, events).map((row, idx) => {
   const loanDateRaw = addMonths(loanStart, row.monthIndex - 1);
   const loanDate = new Date(
     loanDateRaw.getFullYear(),
@@ -121,18 +262,7 @@ const normalized = amortSchedule.map((row, idx) => {
   );
 
   // Ownership pct active for this calendar month
-  const ownershipPct = Array.isArray(ownershipLots)
-    ? ownershipLots.reduce((sum, lot) => {
-        if (!lot || lot.user !== user) return sum;
-
-        const start = parseISODateLocal(lot.purchaseDate);
-        if (!(start instanceof Date) || !Number.isFinite(start.getTime())) return sum;
-
-        // lot becomes active starting its purchase month
-        const startMonth = new Date(start.getFullYear(), start.getMonth(), 1);
-        return loanDate >= startMonth ? sum + Number(lot.pct || 0) : sum;
-      }, 0)
-    : 0;
+  const ownershipPct = ownershipPctIn(ownershipLots, user, loanDate);
 
   const isOwned = ownershipPct > 0;
   const isFirstPeriod = idx === 0;   // ✅ ADD THIS
@@ -147,59 +277,86 @@ const normalized = amortSchedule.map((row, idx) => {
 });
 
   // ----------------------------------------------------------
-  // Earnings accumulation (AUTHORITATIVE)
+  // Earnings accumulation (AUTHORITATIVE), in integer cents
   // ----------------------------------------------------------
   let cumPrincipal = 0;
   let cumInterest = 0;
   let cumFees = 0;
+  let cumRecovery = 0;
 
-  let prevCumPrincipal = 0;
-  let prevCumInterest = 0;
-  let prevCumFees = 0;
+  const violations = [];
 
   const earnings = normalized.map(row => {
     const deferred = isDeferredMonth(row);
 
     // ---- fees ----
-    // Upfront fee applies ONCE when ownership first becomes active.
-    // We implement this per-lot by charging $150 for each lot in its start month,
-    // and scaling by that lot's pct.
+    const pricing = {
+      ...feeHolder,
+      phase: row.phase ?? null,
+      date: row.loanDate,
+      portfolioBalance: portfolioBalances?.[monthKeyFromDate(row.loanDate)] ?? null
+    };
+
+    // Upfront fee applies ONCE per lot, in the lot's start month, scaled by
+    // that lot's pct.
     let upfrontFeeThisMonth = 0;
-if (row.isOwned && Array.isArray(ownershipLots) && !waiveAll && !waiveSetup) {
+    const setup = row.isOwned && Array.isArray(ownershipLots)
+      ? evaluateFee(feeRules, "setup", pricing)
+      : null;
+if (setup?.charged) {
   upfrontFeeThisMonth = ownershipLots.reduce((sum, lot) => {
     if (!lot || lot.user !== user) return sum;
     const start = parseISODateLocal(lot.purchaseDate);
     if (!(start instanceof Date) || !Number.isFinite(start.getTime())) return sum;
     const startMonth = new Date(start.getFullYear(), start.getMonth(), 1);
     if (row.loanDate.getTime() !== startMonth.getTime()) return sum;
-    return sum + setupFeeAmount * Number(lot.pct || 0);
+    return sum + setup.amount * Number(lot.pct || 0);
   }, 0);
 }
 
     const balance = Number(row.balance ?? 0);
 
     // Monthly balance fee scales by active ownership pct
-   // Monthly servicing fees ONLY when a payment is made
-const isPayingMonth = Number(row.payment || 0) > 0;
+   // Monthly servicing fees ONLY when a payment is made — except forbearance,
+   // where the servicer keeps working the loan while payments are paused
+const isPayingMonth =
+  Number(row.payment || 0) > 0 || row.eventWindow === "forbearance";
 
 let monthlyBalanceFee = 0;
 
 if (
   row.isOwned &&
   balance > 0 &&
-  isPayingMonth &&   // 🔑 HARD RULE
-  !waiveAll
+  isPayingMonth    // 🔑 HARD RULE
 ) {
+  const servicing = evaluateFee(feeRules, "servicing", pricing);
   monthlyBalanceFee =
-    +((balance * monthlyRate) * Number(row.ownershipPct || 0)).toFixed(2);
+    roundMoney(servicingFee(servicing, balance) * Number(row.ownershipPct || 0));
 }
 
-    const feeThisMonth = upfrontFeeThisMonth + monthlyBalanceFee;
+    // Late and payoff fees (only when a rule charges them), scaled by ownership pct
+    let eventFeeThisMonth = 0;
+    if (row.isOwned) {
+      const late = row.missedPayment || row.late ? evaluateFee(feeRules, "late", pricing) : null;
+      const payoff = row.payoff != null ? evaluateFee(feeRules, "payoff", pricing) : null;
+      eventFeeThisMonth = roundMoney(
+        ((late?.charged ? late.amount : 0) + (payoff?.charged ? payoff.amount : 0)) * Number(row.ownershipPct || 0)
+      );
+    }
+
+    const feeThisMonth = roundMoney(upfrontFeeThisMonth + monthlyBalanceFee + eventFeeThisMonth);
 
     // ---- principal / interest (PAID, NOT ACCRUED) ----
     let principalThisMonth = 0;
     let interestThisMonth = 0;
     let feesThisMonth = 0;
+    let recoveryThisMonth = 0;
+    let chargeOffThisMonth = 0;
+
+    // Principal forgiven by a modification is a loss, whatever the month
+    const forgivenThisMonth = row.isOwned
+      ? Number(row.forgivenPrincipal || 0) * Number(row.ownershipPct || 0)
+      : 0;
 
     if (row.isOwned && !deferred) {
       const scale = Number(row.ownershipPct || 0);
@@ -214,14 +371,22 @@ principalThisMonth =
   (scheduledPrincipal + prepaymentPrincipal) * scale;
      
 
-      // 🔑 PAID INTEREST = amort interest AFTER grace only
-      interestThisMonth =
-        (Number(row.payment || 0) > 0 ? Number(row.interest || 0) : 0) * scale;
+      // 🔑 PAID INTEREST = what the payment covered (accrued interest included);
+      // rows without interestPaid: amort interest AFTER grace only
+      const paidInterest = row.interestPaid != null
+        ? Number(row.interestPaid || 0)
+        : (Number(row.payment || 0) > 0 ? Number(row.interest || 0) : 0);
+      interestThisMonth = paidInterest * scale;
 
       feesThisMonth = feeThisMonth;
+
+      // Post-default cash: recoveries net of collection cost
+      recoveryThisMonth =
+        (Number(row.postDefaultRecovery || 0) - Number(row.collectionCost || 0)) * scale;
+      if (row.defaulted) chargeOffThisMonth = Number(row.chargeOffAmount || 0) * scale;
     }
 
-    // 🔒 DEV INVARIANT: only warn if it's a repayment month (payment > 0)
+    // 🔒 INVARIANT: a repayment month (payment > 0) earns interest
     if (
       row.isOwned &&
       !deferred &&
@@ -229,17 +394,14 @@ principalThisMonth =
       Number(row.interest || 0) > 0 &&
       interestThisMonth === 0
     ) {
-      console.warn(
-        "[EARNINGS] Interest unexpectedly zero in repayment month",
-        {
-          loanId: row.loanId,
-          monthIndex: row.monthIndex,
-          payment: row.payment,
-          interest: row.interest,
-          interestThisMonth,
-          row
-        }
-      );
+      violations.push({
+        engine: "earnings",
+        loanId,
+        month: row.monthIndex,
+        check: "interestInRepaymentMonth",
+        expected: roundMoney(Number(row.interest) * Number(row.ownershipPct || 0)),
+        actual: 0
+      });
     }
 
     // 🔒 EXPLICIT GRACE RULE (defensive)
@@ -250,41 +412,35 @@ principalThisMonth =
     }
 
     // ---- normalize cents ----
-    principalThisMonth = +Number(principalThisMonth || 0).toFixed(2);
-    interestThisMonth  = +Number(interestThisMonth  || 0).toFixed(2);
-    feesThisMonth      = +Number(feesThisMonth      || 0).toFixed(2);
+    principalThisMonth = roundMoney(principalThisMonth);
+    interestThisMonth  = roundMoney(interestThisMonth);
+    feesThisMonth      = roundMoney(feesThisMonth);
+    recoveryThisMonth  = roundMoney(recoveryThisMonth);
 
     // ---- accumulate ONCE ----
-    cumPrincipal = +(cumPrincipal + principalThisMonth).toFixed(2);
-    cumInterest  = +(cumInterest  + interestThisMonth).toFixed(2);
-    cumFees      = +(cumFees      + feesThisMonth).toFixed(2);
-
-    const netEarnings = +(cumPrincipal + cumInterest - cumFees).toFixed(2);
-
-    // ---- monthly deltas ----
-    const monthlyPrincipal =
-  +Number(principalThisMonth || 0).toFixed(2);
-
-    const monthlyInterest  = +(cumInterest  - prevCumInterest ).toFixed(2);
-    const monthlyFees      = +(cumFees      - prevCumFees     ).toFixed(2);
-    const monthlyNet       = +(monthlyPrincipal + monthlyInterest - monthlyFees).toFixed(2);
-
-    prevCumPrincipal = cumPrincipal;
-    prevCumInterest  = cumInterest;
-    prevCumFees      = cumFees;
+    cumPrincipal += toCents(principalThisMonth);
+    cumInterest  += toCents(interestThisMonth);
+    cumFees      += toCents(feesThisMonth);
+    cumRecovery  += toCents(recoveryThisMonth);
 
     return {
       ...row,
       // cumulative
-      cumPrincipal,
-      cumInterest,
-      cumFees,
-      netEarnings,
+      cumPrincipal: fromCents(cumPrincipal),
+      cumInterest: fromCents(cumInterest),
+      cumFees: fromCents(cumFees),
+      cumRecovery: fromCents(cumRecovery),
+      netEarnings: fromCents(cumPrincipal + cumInterest + cumRecovery - cumFees),
       // monthly
-      monthlyPrincipal,
-      monthlyInterest,
-      monthlyFees,
-      monthlyNet,
+      monthlyPrincipal: principalThisMonth,
+      monthlyInterest: interestThisMonth,
+      monthlyFees: feesThisMonth,
+      monthlyRecovery: recoveryThisMonth,
+      monthlyNet: fromCents(
+        toCents(principalThisMonth) + toCents(interestThisMonth) + toCents(recoveryThisMonth) - toCents(feesThisMonth)
+      ),
+      chargeOffThisMonth: roundMoney(chargeOffThisMonth),
+      forgivenThisMonth: roundMoney(forgivenThisMonth),
       // overrides (truthful reporting)
       feeThisMonth,
       interestPaid: interestThisMonth,
@@ -293,6 +449,10 @@ principalThisMonth =
     };
   });
 
+  if (ledgerChecksEnabled()) {
+    reportLedgerViolations([...violations, ...checkEarningsLedger(loanId, earnings)]);
+  }
+
   // 🔑 IMPORTANT FIX: Only return owned rows
   const ownedEarnings = earnings.filter(
     r => r.isOwned === true && Number(r.ownershipPct || 0) > 0
@@ -315,6 +475,38 @@ principalThisMonth =
 
 
 
+/**
+ * Ledger checks for an earnings schedule (validation mode, see money.js):
+ * each cumulative field equals the sum of its monthly field so far, and
+ * netEarnings = principal + interest + recoveries - fees.
+ *
+ * @returns {Array<Object>} violations (empty when the ledger ties out)
+ */
+export function checkEarningsLedger(loanId, earningsSchedule) {
+  const violations = [];
+  const sums = { cumPrincipal: 0, cumInterest: 0, cumFees: 0, cumRecovery: 0 };
+  const monthlyField = {
+    cumPrincipal: "monthlyPrincipal",
+    cumInterest: "monthlyInterest",
+    cumFees: "monthlyFees",
+    cumRecovery: "monthlyRecovery"
+  };
+
+  earningsSchedule.forEach(r => {
+    const at = check => ({ engine: "earnings", loanId, month: r.monthIndex, check });
+    Object.keys(sums).forEach(cum => {
+      sums[cum] += toCents(r[monthlyField[cum]]);
+      expectMoney(violations, at(cum), fromCents(sums[cum]), r[cum]);
+    });
+    expectMoney(violations, at("netEarnings"),
+      sumMoney([r.cumPrincipal, r.cumInterest, r.cumRecovery, -r.cumFees]), r.netEarnings);
+    expectMoney(violations, at("monthlyNet"),
+      sumMoney([r.monthlyPrincipal, r.monthlyInterest, r.monthlyRecovery, -r.monthlyFees]), r.monthlyNet);
+  });
+
+  return violations;
+}
+
 /* ============================================================
    Canonical "Current" Row
    ============================================================ */
@@ -352,6 +544,32 @@ export function getCanonicalCurrentEarningsRow(
   );
 }
 
+/* ============================================================
+   Default recoveries
+   ============================================================ */
+
+/**
+ * A defaulted loan's post-default cash for the holder of an earnings
+ * schedule, or null if it never defaulted.
+ *
+ * @returns {{ chargeOff, postDefaultCash, netLoss, recoveryRate }}
+ *   recoveryRate = postDefaultCash / chargeOff (null when nothing was charged off)
+ */
+export function computeDefaultRecoverySummary(earningsSchedule) {
+  const rows = Array.isArray(earningsSchedule) ? earningsSchedule : [];
+  if (!rows.some(r => r.defaulted)) return null;
+
+  const chargeOff = sumMoney(rows.map(r => Number(r.chargeOffThisMonth || 0)));
+  const postDefaultCash = sumMoney(rows.map(r => Number(r.monthlyRecovery || 0)));
+
+  return {
+    chargeOff,
+    postDefaultCash,
+    netLoss: roundMoney(chargeOff - postDefaultCash),
+    recoveryRate: chargeOff > 0 ? postDefaultCash / chargeOff : null
+  };
+}
+
 /* ============================================================
    Portfolio KPIs
    ============================================================ */
@@ -368,6 +586,7 @@ export function computePortfolioEarningsKPIs(
   today,
   portfolioStartDate
 ) {
+  // Totals in integer cents
   let totalNetToDate = 0;
   let totalNetProjected = 0;
   let totalFeesToDate = 0;
@@ -381,7 +600,7 @@ export function computePortfolioEarningsKPIs(
   const monthlyNetByMonth = new Map();
 
   loansWithEarnings.forEach(l => {
-    totalPrincipal += Number(l.purchasePrice || 0) * Number(l.ownershipPct || 0);
+    totalPrincipal += toCents(Number(l.purchasePrice || 0) * Number(l.ownershipPct || 0));
 
     const sched = Array.isArray(l.earningsSchedule) ? l.earningsSchedule : [];
     if (!sched.length) return;
@@ -396,12 +615,13 @@ export function computePortfolioEarningsKPIs(
       netEarnings: Number(atEnd.netEarnings || 0),
       principal: Number(atEnd.cumPrincipal || 0),
       interest: Number(atEnd.cumInterest || 0),
+      recoveries: Number(atEnd.cumRecovery || 0),
       fees: -Number(atEnd.cumFees || 0)
     });
 
     // Portfolio projected totals (lifetime)
-    totalNetProjected += Number(atEnd.netEarnings || 0);
-    totalFeesProjected += Number(atEnd.cumFees || 0);
+    totalNetProjected += toCents(atEnd.netEarnings);
+    totalFeesProjected += toCents(atEnd.cumFees);
 
 // =====================================================
 // KPI1 — CALENDAR-BASED CASH FLOW (MATCH CHART EXACTLY)
@@ -414,8 +634,8 @@ sched.forEach(r => {
   if (!(r.loanDate instanceof Date)) return;
   if (r.loanDate > today) return;
 
-  loanNetToDate  += Number(r.monthlyNet  || 0);
-  loanFeesToDate += Number(r.monthlyFees || 0);
+  loanNetToDate  += toCents(r.monthlyNet);
+  loanFeesToDate += toCents(r.monthlyFees);
 });
 
 totalNetToDate  += loanNetToDate;
@@ -431,7 +651,7 @@ totalFeesToDate += loanFeesToDate;
 
       const key = `${r.loanDate.getFullYear()}-${r.loanDate.getMonth()}`;
       const prev = monthlyNetByMonth.get(key) || 0;
-      monthlyNetByMonth.set(key, prev + Number(r.monthlyNet || 0));
+      monthlyNetByMonth.set(key, prev + toCents(r.monthlyNet));
     });
   });
 
@@ -458,7 +678,7 @@ if (portfolioStartDate instanceof Date && Number.isFinite(portfolioStartDate.get
   // True avg monthly earnings to date
   const avgMonthlyNet =
     monthsCounted > 0
-      ? totalNetToDate / monthsCounted
+      ? fromCents(totalNetToDate) / monthsCounted
       : 0;
 
   // Projected avg monthly (lifetime): divide total projected by max months through maturity (portfolio timeline)
@@ -468,28 +688,27 @@ if (portfolioStartDate instanceof Date && Number.isFinite(portfolioStartDate.get
   );
 const projectedAvgMonthlyNet =
   maxMonthsThroughMaturity > 0
-    ? totalNetProjected / maxMonthsThroughMaturity
+    ? fromCents(totalNetProjected) / maxMonthsThroughMaturity
     : 0;
 
-// 🔒 DEV INVARIANT — calendar time must dominate earnings rows
-if (monthsCounted > 0 && monthlyNetByMonth.size > monthsCounted) {
-  console.warn(
-    "[EARNINGS KPI] Monthly earnings rows exceed calendar month count",
-    {
-      monthsCounted,
-      monthlyMonths: monthlyNetByMonth.size,
-      portfolioStartDate,
-      today
-    }
-  );
+// 🔒 INVARIANT — calendar time must dominate earnings rows
+if (ledgerChecksEnabled() && monthsCounted > 0 && monthlyNetByMonth.size > monthsCounted) {
+  reportLedgerViolations([{
+    engine: "earningsKpi",
+    loanId: null,
+    month: null,
+    check: "monthsCounted",
+    expected: monthsCounted,
+    actual: monthlyNetByMonth.size
+  }]);
 }
 
 return {
-  totalNetToDate,
-  totalNetProjected,
-  totalFeesToDate,
-  totalFeesProjected,
-  totalPrincipal,
+  totalNetToDate: fromCents(totalNetToDate),
+  totalNetProjected: fromCents(totalNetProjected),
+  totalFeesToDate: fromCents(totalFeesToDate),
+  totalFeesProjected: fromCents(totalFeesProjected),
+  totalPrincipal: fromCents(totalPrincipal),
 
   // ✅ KPI3
   avgMonthlyNet,
@@ -0,0 +1,607 @@
+// engine.d.ts — types for engine.js
+//
+// Hand-written declarations for the React app (and any other TypeScript
+// caller). The engines themselves stay plain ES modules so the HTML pages
+// can load them without a build step. Dates in rows are local Dates;
+// dates on stored loans, lots and events are "YYYY-MM-DD" strings.
+
+// ===============================
+// Stored data
+// ===============================
+
+export type PrepaymentMode = 'reduceTerm' | 'recast'
+export type PayoffReason = 'payoff' | 'refinance'
+export type CapitalizationPolicy = 'monthly' | 'endOfGrace' | 'endOfDeferral' | 'annual' | 'never'
+export type DelinquencyBucket = 'current' | '30' | '60' | '90' | '120+'
+export type SchedulePhase = 'grace' | 'deferral' | 'forbearance' | 'hardship' | 'interestOnly' | 'repayment'
+
+export type RepaymentPlan =
+  | { type: 'standard' }
+  | { type: 'graduated'; stepYears?: number; stepPct?: number }
+  | { type: 'extended'; termYears: number }
+  | { type: 'interestOnly'; months: number }
+  | {
+      type: 'incomeDriven'
+      annualIncome: number
+      incomePct?: number
+      incomeGrowth?: number | null
+      termYears?: number
+    }
+
+export interface VariableRateTerms {
+  index: string
+  margin: number
+  resetMonths: number
+  floor?: number | null
+  cap?: number | null
+  periodicCap?: number | null
+}
+
+export interface LoanEvent {
+  type:
+    | 'prepayment'
+    | 'deferral'
+    | 'forbearance'
+    | 'hardship'
+    | 'interestOnly'
+    | 'missedPayment'
+    | 'curePayment'
+    | 'default'
+    | 'recovery'
+    | 'modification'
+    | 'payoff'
+  date?: string
+  startDate?: string
+  amount?: number
+  months?: number
+  payment?: number
+  mode?: PrepaymentMode
+  recoveryAmount?: number
+  chargeOffAmount?: number
+  collectionCost?: number
+  rate?: number | null
+  remainingTermMonths?: number | null
+  forgivenPrincipal?: number | null
+  reason?: PayoffReason
+}
+
+export interface LoanPayment {
+  id?: string
+  date: string
+  principal: number
+  interest: number
+  fees?: number
+  late?: boolean
+}
+
+export interface OwnershipLot {
+  user: string
+  /** Share of the loan, 0..1 */
+  pct: number
+  purchaseDate: string
+  pricePaid?: number
+}
+
+export type FeeTrigger = 'setup' | 'servicing' | 'late' | 'payoff'
+export type FeeRuleType = 'charge' | 'waive'
+/** Which schedule prices a fee: the loan's amort schedule or a holder's earnings */
+export type FeeScheduleKind = 'amort' | 'earnings'
+
+/** One fee rule (feeRules.js); list fields left out match anything */
+export interface FeeRule {
+  id?: string
+  label?: string
+  trigger: FeeTrigger
+  type: FeeRuleType
+  /** Charge in dollars (setup, late, payoff) */
+  amount?: number
+  /** Charge in basis points of the balance a month (servicing) */
+  bps?: number
+  /** Servicing: from minBalance of the holder's total balance on, bps replace `bps` */
+  tiers?: ServicingTier[]
+  /** Servicing: the least a loan pays in a charged month, in dollars */
+  minimumFee?: number
+  appliesTo?: {
+    schedules?: FeeScheduleKind[]
+    phases?: SchedulePhase[]
+    roles?: string[]
+    users?: string[]
+    loans?: string[]
+  }
+  effectiveFrom?: string
+  effectiveTo?: string
+}
+
+export interface ServicingTier {
+  minBalance: number
+  bps: number
+}
+
+/** One version of the base fees, in force from effectiveFrom until the next */
+export interface FeeVersion {
+  effectiveFrom: string | null
+  setupFee: number
+  monthlyServicingBps: number
+  servicingTiers?: ServicingTier[]
+  minimumServicingFee?: number
+}
+
+/** Base fees are `schedule` when present, else setupFee / monthlyServicingBps */
+export interface FeeConfig {
+  setupFee?: number
+  monthlyServicingBps?: number
+  schedule?: FeeVersion[]
+  rules?: FeeRule[]
+}
+
+/** A loan as stored in data/loans.json. nominalRate is a fraction. */
+export interface Loan {
+  loanId: string
+  loanName?: string
+  school?: string
+  loanStartDate: string
+  purchaseDate?: string
+  principal: number
+  purchasePrice?: number
+  nominalRate: number
+  termYears: number
+  graceYears: number
+  feeWaiver?: string
+  events?: LoanEvent[]
+  ownershipLots?: OwnershipLot[]
+  variableRate?: VariableRateTerms
+  repaymentPlan?: RepaymentPlan | null
+  capitalization?: CapitalizationPolicy | null
+  chargeOffDpd?: number | null
+  prepaymentMode?: PrepaymentMode | null
+  payments?: LoanPayment[]
+  feeConfig?: FeeConfig
+  visible?: boolean
+  [field: string]: any
+}
+
+/** One holder's view of a loan (see holderLoans). */
+export interface HolderLoan extends Loan {
+  id: string
+  name: string
+  purchaseDate: string
+  /** The holder's share, 0..1 */
+  ownershipPct: number
+  /** What the holder paid for their lots */
+  userPurchasePrice: number
+}
+
+export interface UserRecord {
+  id: string
+  name: string
+  role: string
+  feeWaiver: string
+}
+
+export interface RateIndexPoint {
+  date: string
+  rate: number
+}
+
+export interface RateIndex {
+  label?: string
+  history?: RateIndexPoint[]
+  forward?: RateIndexPoint[]
+}
+
+export interface PlatformConfig {
+  fees?: FeeConfig
+  users?: Array<Partial<UserRecord> & { active?: boolean }>
+  rateIndices?: Record<string, RateIndex>
+  [field: string]: any
+}
+
+// ===============================
+// Schedules
+// ===============================
+
+export interface AmortRow {
+  monthIndex: number
+  loanDate: Date
+  displayDate: Date
+  payment: number
+  scheduledPayment?: number
+  scheduledPrincipal: number
+  prepaymentPrincipal: number
+  principalPaid: number
+  prepayment: number
+  interest: number
+  interestPaid: number
+  balance: number
+  accruedInterest: number
+  accruedInterestBalance: number
+  capitalizedInterest?: number
+  feeThisMonth: number
+  phase: SchedulePhase
+  /** Annual rate for the month (fraction) */
+  rate: number
+  rateProjected?: boolean
+  rateReset?: boolean
+  indexRate?: number
+  isDeferred: boolean
+  deferralIndex: number | null
+  deferralRemaining: number | null
+  eventWindow?: 'forbearance' | 'hardship' | 'interestOnly'
+  forbearanceIndex?: number
+  forbearanceRemaining?: number
+  isOwned: boolean
+  ownershipDate: Date | null
+  defaulted?: boolean
+  isTerminal?: boolean
+  isPaidOff?: boolean
+  maturityDate?: Date
+  recovery?: number
+  pastDue: number
+  dpd: number
+  delinquency: DelinquencyBucket
+  missedPayment?: boolean
+  curePayment?: number
+  chargedOff?: boolean
+  chargeOffAmount?: number
+  recast?: boolean
+  segment?: number
+  modified?: boolean
+  forgivenPrincipal?: number
+  payoff?: number
+  payoffReason?: PayoffReason
+  actual?: boolean
+  feesPaid?: number
+  late?: boolean
+  contractualMonth: number
+  cumPrincipal: number
+  cumInterest: number
+  cumPayment: number
+}
+
+export interface EarningsRow extends AmortRow {
+  ownershipPct: number
+  isFirstPeriod: boolean
+  cumFees: number
+  cumRecovery: number
+  netEarnings: number
+  monthlyPrincipal: number
+  monthlyInterest: number
+  monthlyFees: number
+  monthlyRecovery: number
+  monthlyNet: number
+  chargeOffThisMonth: number
+  forgivenThisMonth: number
+  isDeferralMonth: boolean
+}
+
+export interface EarningsScheduleParams {
+  amortSchedule: AmortRow[]
+  loanStartDate: string
+  ownershipLots?: OwnershipLot[]
+  user: string
+  events?: LoanEvent[]
+  today: Date
+  /** Names the loan in ledger violations; loan-scoped fee rules match on it */
+  loanId?: string | null
+  /** The loan's fee waiver token, if any */
+  feeWaiver?: string
+  /** buildHolderBalances over the holder's loans; tiered servicing needs it */
+  portfolioBalances?: Record<string, number> | null
+}
+
+export interface ScheduleSegment {
+  segment: number
+  startDate: Date
+  endDate: Date
+  months: number
+  rate: number
+  payment: number | null
+  forgivenPrincipal: number
+}
+
+export interface RepaymentPlanGenerator {
+  type: RepaymentPlan['type']
+  payment: (k: number, month: { balance: number; monthlyRate: number; monthsLeft: number; level: number }) => number
+  recast?: () => void
+}
+
+// ===============================
+// ROI
+// ===============================
+
+export interface RoiEntry {
+  month: number
+  date: Date
+  displayDate?: Date
+  roi: number
+  loanValue: number
+  invested: number
+  ownershipPct: number
+  ownershipLots: OwnershipLot[]
+  cumFees: number
+  realized: number
+  remainingBalance: number
+  unrealized: number
+  recoveredToDate?: number
+  isTerminal?: boolean
+  isPlaceholder?: boolean
+  reason?: string
+}
+
+export interface DefaultRecovery {
+  chargeOff: number
+  postDefaultCash: number
+  netLoss: number
+  recoveryRate: number | null
+  recoveries?: Array<{ date: Date; netRecovery: number }>
+}
+
+export interface LoanWithRoi extends HolderLoan {
+  purchasePrice: number
+  amort: { schedule: AmortRow[] }
+  scheduleWithOwnership: AmortRow[]
+  cumSchedule: any[]
+  balanceAtPurchase: number
+  roiSeries: RoiEntry[]
+  defaultRecovery: DefaultRecovery | null
+}
+
+export interface RoiKpis {
+  totalInvested: number
+  weightedROI: number
+  projectedWeightedROI: number
+  capitalRecoveredAmount: number
+  capitalRecoveryPct: number
+}
+
+export interface RoiTimeline {
+  dates: Date[]
+  perLoanSeries: Array<{ id: string; name: string; color?: string; data: Array<{ date: Date; y: number | null }> }>
+  weightedSeries: Array<{ date: Date; y: number }>
+}
+
+// ===============================
+// Portfolio results
+// ===============================
+
+export interface EarningsKpis {
+  totalNetToDate: number
+  totalNetProjected: number
+  totalFeesToDate: number
+  totalFeesProjected: number
+  totalPrincipal: number
+  avgMonthlyNet: number
+  monthsCounted: number
+  projectedAvgMonthlyNet: number
+  monthsThroughMaturity: number
+  kpi2Rows: any[]
+}
+
+export interface DelinquencyRoll {
+  asOf: Date
+  buckets: Array<{ bucket: DelinquencyBucket | 'chargedOff'; count: number; balance: number }>
+  delinquentCount: number
+  delinquentBalance: number
+  delinquentPct: number
+  rollRates: Array<{ bucket: DelinquencyBucket; loans: number; rolled: number; rate: number | null }>
+}
+
+export interface DefaultOutcome {
+  defaultDate: Date
+  chargedOff: boolean
+  recoveredAtDefault: number
+  chargeOffAmount: number
+  recoveries: Array<{ date: Date; amount: number; collectionCost: number; netRecovery: number; monthsAfterDefault: number }>
+  grossRecovery: number
+  collectionCosts: number
+  netRecovery: number
+  netLoss: number
+  recoveryRate: number | null
+  recoveryLagMonths: number | null
+}
+
+export interface PaymentReconciliation {
+  loanId: string
+  loanName?: string
+  lastPaymentDate: string
+  payments: number
+  latePayments: number
+  principalPaid: number
+  interestPaid: number
+  feesPaid: number
+  actualBalance: number
+  scheduledBalance: number
+  difference: number
+  flagged: boolean
+}
+
+export interface LedgerViolation {
+  engine: string
+  loanId: string | null
+  month: number | null
+  check: string
+  expected: number
+  actual: number
+}
+
+/** The month a fee is priced for */
+export interface FeeContext {
+  schedule?: FeeScheduleKind | null
+  userId?: string | null
+  role?: string | null
+  loanId?: string | null
+  phase?: SchedulePhase | null
+  date?: Date | null
+  /** The holder's total outstanding balance that month (tiered servicing) */
+  portfolioBalance?: number | null
+}
+
+export interface FeeDecision {
+  charged: boolean
+  amount: number
+  bps: number
+  minimumFee: number
+  /** The waiver or charge that decided */
+  ruleId: string | null
+}
+
+// ===============================
+// loanEngine.js
+// ===============================
+
+export let GLOBAL_FEE_CONFIG: FeeConfig | null
+export function setGlobalFeeConfig(fees: FeeConfig): void
+export function getMonthlyServicingRate(feeConfig: FeeConfig, date?: Date | string): number
+
+export let RATE_INDICES: Record<string, RateIndex>
+export function setRateIndices(indices: Record<string, RateIndex> | null | undefined): void
+export function isVariableRateLoan(loan: Partial<Loan> | null | undefined): boolean
+export function getIndexRate(ratePath: RateIndex | null | undefined, date: Date): { rate: number; projected: boolean } | null
+
+export const REPAYMENT_PLAN_TYPES: Array<RepaymentPlan['type']>
+export function getRepaymentMonths(loan: Partial<Loan>): number
+export function createRepaymentPlan(loan: Partial<Loan>): RepaymentPlanGenerator
+export const CAPITALIZATION_POLICIES: CapitalizationPolicy[]
+export function getCapitalizationPolicy(loan: Partial<Loan>): CapitalizationPolicy
+export const PREPAYMENT_MODES: PrepaymentMode[]
+export function getPrepaymentMode(loan: Partial<Loan> | null, event?: LoanEvent | null): PrepaymentMode
+export const PAYOFF_REASONS: PayoffReason[]
+export function getScheduleSegments(schedule: AmortRow[]): ScheduleSegment[]
+
+export const DPD_BUCKETS: DelinquencyBucket[]
+export function getDelinquencyBucket(dpd: number): DelinquencyBucket
+export function computeDelinquencyRoll(loansWithAmort: Array<{ amort?: { schedule: AmortRow[] } }>, asOf?: Date): DelinquencyRoll
+export function getDefaultOutcome(loan: Partial<Loan>, schedule: AmortRow[]): DefaultOutcome | null
+
+export const DEFAULT_RECONCILE_TOLERANCE: number
+export function reconcilePayments(loan: Loan, options?: { tolerance?: number }): PaymentReconciliation | null
+export function reconcilePortfolio(loans: Loan[], options?: { tolerance?: number }): PaymentReconciliation[]
+
+/** Sets GLOBAL_FEE_CONFIG and RATE_INDICES from the config at `url` */
+export function loadPlatformConfig(url: string): Promise<{ fees: FeeConfig }>
+export function loadLoans(): Promise<Loan[]>
+export function monthKeyFromDate(d: Date): string
+export function addMonths(date: Date, n: number): Date
+export function isDeferredMonth(row: AmortRow): boolean
+export function getPortfolioStartDate(loans?: Array<Partial<Loan>>, asOf?: Date | string | null): Date
+export function getStandardToday(): Date
+/** A Date or "YYYY-MM-DD" → local midnight; anything else → today */
+export function resolveAsOf(asOf?: Date | string | null): Date
+export function getCurrentScheduleIndex(loan: { amort?: { schedule: AmortRow[] } }, asOf?: Date): number
+
+/** Cached by content hash: the rows are shared, do not mutate them */
+export function buildAmortSchedule(loan: Partial<Loan>, options?: { ratePath?: RateIndex }): AmortRow[]
+export function getScheduleKey(loan: Partial<Loan>, options?: { ratePath?: RateIndex }): string
+export function setScheduleCacheLimit(limit: number): void
+export function clearScheduleCache(): void
+export function checkAmortLedger(loan: Partial<Loan>, schedule: AmortRow[]): LedgerViolation[]
+export function getCanonicalCurrentAmortRow(schedule: AmortRow[], today?: Date): AmortRow | null
+export function getCurrentLoanBalance(loan: { amort?: { schedule: AmortRow[] } }, today?: Date): number
+export function attachSchedules<T extends Partial<Loan>>(loans: T[]): Array<T & { amort: { schedule: AmortRow[] } }>
+export function buildPortfolioViews(loansWithAmort: Array<Partial<Loan> & { amort: { schedule: AmortRow[] } }>, options?: { asOf?: Date | string | null }): any
+
+// ===============================
+// earningsEngine.js
+// ===============================
+
+/** Cached per amort schedule: the rows are shared, do not mutate them */
+export function buildEarningsSchedule(params: EarningsScheduleParams): EarningsRow[]
+/** "YYYY-MM" → the holder's outstanding balance across `loans` */
+export function buildHolderBalances(loans: Loan[], user: string): Record<string, number>
+export function checkEarningsLedger(loanId: string | null, earningsSchedule: EarningsRow[]): LedgerViolation[]
+export function getCanonicalCurrentEarningsRow(earningsSchedule: EarningsRow[], today: Date): EarningsRow | null
+export function computeDefaultRecoverySummary(earningsSchedule: EarningsRow[]): DefaultRecovery | null
+export function computePortfolioEarningsKPIs(
+  loansWithEarnings: Array<{ earningsSchedule?: EarningsRow[]; [field: string]: any }>,
+  today: Date,
+  portfolioStartDate: Date
+): EarningsKpis
+
+// ===============================
+// roiEngine.js
+// ===============================
+
+export function applyDefaultRecoveries(
+  loan: Partial<Loan>,
+  amortSchedule: AmortRow[],
+  roiSeries: RoiEntry[]
+): { roiSeries: RoiEntry[]; defaultRecovery: DefaultRecovery | null }
+export function getRoiEntryAsOfMonth(loan: Partial<LoanWithRoi>, monthDate: Date): RoiEntry
+export function computeWeightedRoiAsOfMonth(loans: Array<Partial<LoanWithRoi>>, monthDate: Date): number
+export function computeKPIs(loans: Array<Partial<LoanWithRoi>>, asOfMonth: Date): RoiKpis
+export function buildProjectedRoiTimeline(loans: Array<Partial<LoanWithRoi>>, opts?: { colorMap?: Record<string, string> }): RoiTimeline
+export function buildHistoricalRoiTimeline(loans: Array<Partial<LoanWithRoi>>, options?: { asOf?: Date | string | null }): RoiTimeline
+export function normalizeLoansForRoi<T>(loans: T[]): Array<T & { purchasePrice: number; roiSeries: RoiEntry[]; cumSchedule: any[]; amort: { schedule: AmortRow[] } }>
+export function getLastRoiEntry(loan: Partial<LoanWithRoi> | null): RoiEntry | null
+export function getRoiSeriesAsOfMonth<T extends Partial<LoanWithRoi>>(loans: T[], monthDate: Date): Array<{ loanId: string; loan: T; entry: RoiEntry }>
+export function getLoanMaturityDate(loan: Partial<Loan>): Date | null
+export function deriveLoansWithRoi(formattedLoans: Array<Partial<HolderLoan>>): LoanWithRoi[]
+
+// ===============================
+// ownershipEngine.js
+// ===============================
+
+export const OWNERSHIP_STEP: number
+export const MARKET_USER: string
+/** Mutates `loan`: fills in ownership allocations, lots and purchaseDate */
+export function normalizeOwnership(loan: Partial<Loan>): void
+export function getUserOwnershipPct(loan: Partial<Loan>, user: string): number
+export function isOwnedByUser(loan: Partial<Loan>, user: string | { id?: string; user?: string }): boolean
+export function getMarketPct(loan: Partial<Loan>): number
+
+// ===============================
+// users.js
+// ===============================
+
+export let USERS: Record<string, UserRecord>
+/** Fetches platformConfig, sets USERS and returns the config */
+export function loadUsers(backendUrl?: string): Promise<PlatformConfig | undefined>
+export function setUsers(users?: PlatformConfig['users']): void
+export function getUserFeeWaiver(userId: string): string
+export function getUserDisplayName(userId: string): string
+
+// ===============================
+// feeRules.js
+// ===============================
+
+export const FEE_TRIGGERS: FeeTrigger[]
+export const FEE_RULE_TYPES: FeeRuleType[]
+export const FEE_SCHEDULES: FeeScheduleKind[]
+export const SCHEDULE_PHASES: SchedulePhase[]
+export const WAIVER_TOKEN_LABELS: Record<string, string>
+export function waiverRules(token: string | null | undefined, scope?: FeeRule['appliesTo'], idPrefix?: string): FeeRule[]
+export function feeSchedule(fees?: FeeConfig): FeeVersion[]
+export function feesInForce(fees: FeeConfig, date?: Date | string): FeeVersion
+export function platformFeeRules(fees?: FeeConfig, users?: Array<Partial<UserRecord>>): FeeRule[]
+export function loanFeeRules(
+  fees: FeeConfig | null | undefined,
+  users: Array<Partial<UserRecord>>,
+  loan?: { loanId?: string | null; id?: string | number | null; feeWaiver?: string }
+): FeeRule[]
+export function ruleApplies(rule: FeeRule, ctx?: FeeContext): boolean
+export function evaluateFee(rules: FeeRule[], trigger: FeeTrigger, ctx?: FeeContext): FeeDecision
+export function servicingFee(decision: FeeDecision | null | undefined, balance: number): number
+
+// ===============================
+// money.js
+// ===============================
+
+export function setLedgerChecks(enabled: boolean): void
+export function takeLedgerViolations(): LedgerViolation[]
+
+// ===============================
+// portfolioCompute.js
+// ===============================
+// Results have dates as local "YYYY-MM-DD" strings (toJsonDates).
+
+export function holderLoans(rawLoans: Loan[], userId: string): HolderLoan[]
+export function toJsonDates<T>(value: T): any
+export function computeLoanAmort(raw: Loan, config: PlatformConfig, options?: { checks?: boolean }): any
+export function computeLoanEarnings(raw: Loan, userId: string, config: PlatformConfig, options?: { today?: Date; checks?: boolean }): any
+export function computePortfolioKpis(rawLoans: Loan[], userId: string, config: PlatformConfig, options?: { today?: Date; checks?: boolean }): any
+export function computeRoiTimeline(
+  rawLoans: Loan[],
+  userId: string,
+  config: PlatformConfig,
+  options?: { today?: Date; historical?: boolean; checks?: boolean }
+): any
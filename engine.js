@@ -0,0 +1,24 @@
+// engine.js — the reporting engines, one module for every page
+//
+// The HTML pages, the worker API and the React app (react/src/utils/engine.ts)
+// all import the engines from here, so a schedule or KPI is computed by the
+// same code whichever page shows it. Types for the React app are in
+// engine.d.ts; keep it in step with what is exported below.
+//
+// Rates are fractions (0.065 for 6.5%) everywhere; pages format them.
+
+export * from "./loanEngine.js?v=dev";
+export * from "./earningsEngine.js?v=dev";
+export * from "./roiEngine.js?v=dev";
+export * from "./ownershipEngine.js?v=dev";
+export * from "./users.js?v=dev";
+export * from "./feeRules.js?v=dev";
+export { setLedgerChecks, takeLedgerViolations } from "./money.js?v=dev";
+export {
+  holderLoans,
+  toJsonDates,
+  computeLoanAmort,
+  computeLoanEarnings,
+  computePortfolioKpis,
+  computeRoiTimeline
+} from "./portfolioCompute.js?v=dev";
@@ -0,0 +1,263 @@
+// feeRules.js — the fee policy: which fees a holder pays, and how much
+//
+// A fee rule (platformConfig.fees.rules):
+//
+//   { id, label,
+//     trigger: "setup" | "servicing" | "late" | "payoff",
+//     type: "charge" | "waive",
+//     amount,          charge, in dollars: setup (per lot), late (per missed
+//                      or late payment), payoff (once, in the payoff month)
+//     bps,             charge, servicing: basis points of the balance a month
+//     tiers,           servicing: [{ minBalance, bps }]; once the holder's
+//                      total outstanding balance reaches minBalance, the
+//                      tier's bps replace `bps` (the highest tier reached wins)
+//     minimumFee,      servicing: the least a loan pays in a charged month,
+//                      in dollars, before scaling by ownership
+//     appliesTo: { schedules, phases, roles, users, loans },
+//     effectiveFrom, effectiveTo }
+//
+// appliesTo narrows a rule; each list left out or empty matches anything.
+// Schedules are FEE_SCHEDULES: the loan's amort schedule (buildAmortSchedule,
+// one holder for the whole loan) or a holder's earnings
+// (buildEarningsSchedule). Phases are the amort schedule's (SCHEDULE_PHASES).
+// A month is priced by the rules in force on its first day; effectiveFrom /
+// effectiveTo are "YYYY-MM-DD", both inclusive, either optional.
+//
+// The base fees come first: servicing for every holder, and the setup fee
+// for every lot in earnings but only for lenders in the amort schedule.
+// Then fees.rules apply in order: any matching waiver wins, otherwise the
+// last matching charge sets the amount. There is no late or payoff fee
+// unless a rule charges one. Pricing by role (say, lenders at a lower
+// servicing rate) is a charge rule with appliesTo.roles.
+//
+// The base fees are a dated series (platformConfig.fees.schedule):
+//
+//   [{ effectiveFrom: "YYYY-MM-DD", setupFee, monthlyServicingBps,
+//      servicingTiers, minimumServicingFee }, ...]
+//
+// Each version is in force from its date until the next one's, so a change
+// scheduled for later leaves the months before it as they were. The first
+// version also covers any month before its date. Configs without a schedule
+// have one version: fees.setupFee and fees.monthlyServicingBps.
+//
+// Older configs name waivers with tokens (users[].feeWaiver, and
+// loans[].feeWaiver still does); waiverRules() reads a token as the rules
+// it stands for, so they mean the same thing on every page and in both
+// schedules. A loan's own token replaces its holders' waivers (see
+// loanFeeRules).
+
+export const FEE_SCHEDULES = ["amort", "earnings"];
+export const FEE_TRIGGERS = ["setup", "servicing", "late", "payoff"];
+export const FEE_RULE_TYPES = ["charge", "waive"];
+export const SCHEDULE_PHASES = ["grace", "deferral", "forbearance", "hardship", "interestOnly", "repayment"];
+
+const DEFAULT_FEES = { setupFee: 150, monthlyServicingBps: 25 };
+
+// ===============================
+// Waiver tokens
+// ===============================
+
+const WAIVE = (trigger, appliesTo) => ({ trigger, type: "waive", ...(appliesTo ? { appliesTo } : {}) });
+
+// "grace" waives servicing in every month; grace_deferral in grace and
+// deferral months only
+const WAIVER_TOKENS = {
+  none: [],
+  setup: [WAIVE("setup")],
+  grace: [WAIVE("servicing")],
+  setup_grace: [WAIVE("setup"), WAIVE("servicing")],
+  grace_deferral: [WAIVE("servicing", { phases: ["grace", "deferral"] })],
+  all: FEE_TRIGGERS.map(trigger => WAIVE(trigger))
+};
+
+export const WAIVER_TOKEN_LABELS = {
+  none: "No fees waived",
+  setup: "Setup fee waived",
+  grace: "Servicing waived",
+  setup_grace: "Setup fee and servicing waived",
+  grace_deferral: "Servicing in grace and deferral waived",
+  all: "All fees waived"
+};
+
+// The rules a waiver token stands for, narrowed to `scope` ({ users } or { loans })
+export function waiverRules(token, scope = {}, idPrefix = "waiver") {
+  token = String(token || "none").toLowerCase().replace("+", "_");
+  const rules = WAIVER_TOKENS[token];
+  if (!rules) {
+    console.warn(`Unknown fee waiver "${token}" — ignored`);
+    return [];
+  }
+  return rules.map((rule, i) => ({
+    ...rule,
+    id: `${idPrefix}-${token}-${i + 1}`,
+    appliesTo: { ...scope, ...(rule.appliesTo || {}) }
+  }));
+}
+
+// ===============================
+// Base fee schedule
+// ===============================
+
+function dayBefore(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  const prev = new Date(Date.UTC(y, m - 1, d - 1));
+  return prev.toISOString().slice(0, 10);
+}
+
+// The base fee versions, oldest first
+export function feeSchedule(fees = DEFAULT_FEES) {
+  const versions = Array.isArray(fees.schedule) && fees.schedule.length
+    ? fees.schedule
+    : [{ effectiveFrom: null, setupFee: fees.setupFee, monthlyServicingBps: fees.monthlyServicingBps }];
+  return versions
+    .map(v => ({
+      effectiveFrom: v.effectiveFrom || null,
+      setupFee: Number(v.setupFee ?? DEFAULT_FEES.setupFee),
+      monthlyServicingBps: Number(v.monthlyServicingBps ?? DEFAULT_FEES.monthlyServicingBps),
+      ...(Array.isArray(v.servicingTiers) && v.servicingTiers.length ? { servicingTiers: v.servicingTiers } : {}),
+      ...(Number(v.minimumServicingFee) > 0 ? { minimumServicingFee: Number(v.minimumServicingFee) } : {})
+    }))
+    .sort((a, b) => (a.effectiveFrom || "").localeCompare(b.effectiveFrom || ""));
+}
+
+// The base fee version in force on `date` ("YYYY-MM-DD" or a Date)
+export function feesInForce(fees, date = new Date()) {
+  const on = date instanceof Date
+    ? `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`
+    : String(date);
+  const versions = feeSchedule(fees);
+  return versions.filter(v => !v.effectiveFrom || v.effectiveFrom <= on).pop() || versions[0];
+}
+
+// One setup and one servicing charge per version, each bounded by the next
+function baseFeeRules(fees) {
+  const versions = feeSchedule(fees);
+  return versions.flatMap((v, i) => {
+    const next = versions[i + 1];
+    const dated = {
+      ...(i > 0 && v.effectiveFrom ? { effectiveFrom: v.effectiveFrom } : {}),
+      ...(next?.effectiveFrom ? { effectiveTo: dayBefore(next.effectiveFrom) } : {})
+    };
+    const suffix = versions.length > 1 ? `-${v.effectiveFrom}` : "";
+    return [
+      { id: `base-setup${suffix}`, trigger: "setup", type: "charge", amount: v.setupFee, appliesTo: { schedules: ["earnings"] }, ...dated },
+      {
+        id: `base-setup-lenders${suffix}`, trigger: "setup", type: "charge", amount: v.setupFee,
+        appliesTo: { schedules: ["amort"], roles: ["lender"] }, ...dated
+      },
+      {
+        id: `base-servicing${suffix}`, trigger: "servicing", type: "charge", bps: v.monthlyServicingBps,
+        ...(v.servicingTiers ? { tiers: v.servicingTiers } : {}),
+        ...(v.minimumServicingFee ? { minimumFee: v.minimumServicingFee } : {}),
+        ...dated
+      }
+    ];
+  });
+}
+
+// ===============================
+// Rules in force
+// ===============================
+
+// Base charges from the fee schedule, then fees.rules, then the users' waiver tokens
+export function platformFeeRules(fees = DEFAULT_FEES, users = []) {
+  return [
+    ...baseFeeRules(fees),
+    ...(Array.isArray(fees.rules) ? fees.rules : []),
+    ...users.flatMap(u => (u?.id ? waiverRules(u.feeWaiver, { users: [u.id] }, `user-${u.id}`) : []))
+  ];
+}
+
+const isHolderWaiver = rule =>
+  rule.type === "waive" && rule.appliesTo?.users?.length > 0 && !rule.appliesTo?.loans?.length;
+
+// The rules for one loan: the platform's plus the loan's own waiver token.
+// The loan's token replaces the holders' waivers rather than adding to them.
+export function loanFeeRules(fees, users, loan = {}) {
+  const loanId = loan.loanId ?? loan.id ?? null;
+  const loanRules = loanId != null
+    ? waiverRules(loan.feeWaiver, { loans: [String(loanId)] }, `loan-${loanId}`)
+    : [];
+  const platform = platformFeeRules(fees || DEFAULT_FEES, users);
+  return [
+    ...(loanRules.length ? platform.filter(rule => !isHolderWaiver(rule)) : platform),
+    ...loanRules
+  ];
+}
+
+// ===============================
+// Evaluation
+// ===============================
+
+function monthStartISO(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-01`;
+}
+
+const matches = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+/**
+ * Whether `rule` covers the month described by `ctx`
+ * @param {Object} ctx  { schedule, userId, role, loanId, phase, date }
+ */
+export function ruleApplies(rule, { schedule = null, userId = null, role = null, loanId = null, phase = null, date = null } = {}) {
+  const on = date instanceof Date && Number.isFinite(date.getTime()) ? monthStartISO(date) : null;
+  if (on && rule.effectiveFrom && on < rule.effectiveFrom) return false;
+  if (on && rule.effectiveTo && on > rule.effectiveTo) return false;
+
+  const a = rule.appliesTo || {};
+  return matches(a.schedules, schedule) &&
+    matches(a.phases, phase) &&
+    matches(a.roles, role) &&
+    matches(a.users, userId) &&
+    matches(a.loans, loanId == null ? null : String(loanId));
+}
+
+// The bps of the highest tier `balance` reaches, else the rule's own
+function tieredBps(rule, balance) {
+  let bps = Number(rule.bps) || 0;
+  if (!Array.isArray(rule.tiers) || balance == null) return bps;
+  let reached = -Infinity;
+  for (const tier of rule.tiers) {
+    const min = Number(tier.minBalance) || 0;
+    if (balance >= min && min >= reached) {
+      reached = min;
+      bps = Number(tier.bps) || 0;
+    }
+  }
+  return bps;
+}
+
+/**
+ * Prices one fee for one month.
+ *
+ * @param {Array}  rules    from platformFeeRules / loanFeeRules
+ * @param {string} trigger  "setup" | "servicing" | "late" | "payoff"
+ * @param {Object} ctx      { schedule, userId, role, loanId, phase, date, portfolioBalance }
+ *                          portfolioBalance is the holder's total outstanding
+ *                          balance that month; without it tiers are skipped
+ * @returns {{ charged: boolean, amount: number, bps: number, minimumFee: number, ruleId: string|null }}
+ *          amount is dollars; bps and minimumFee are for servicing. ruleId
+ *          names the rule that decided (the waiver, or the charge).
+ */
+export function evaluateFee(rules, trigger, ctx = {}) {
+  let charge = null;
+  for (const rule of rules) {
+    if (rule.trigger !== trigger || !ruleApplies(rule, ctx)) continue;
+    if (rule.type === "waive") return { charged: false, amount: 0, bps: 0, minimumFee: 0, ruleId: rule.id ?? null };
+    charge = rule;
+  }
+  if (!charge) return { charged: false, amount: 0, bps: 0, minimumFee: 0, ruleId: null };
+  return {
+    charged: true,
+    amount: Number(charge.amount) || 0,
+    bps: tieredBps(charge, ctx.portfolioBalance ?? null),
+    minimumFee: Number(charge.minimumFee) || 0,
+    ruleId: charge.id ?? null
+  };
+}
+
+// One month's servicing on `balance`: the bps, but at least the minimum
+export function servicingFee(decision, balance) {
+  if (!decision?.charged) return 0;
+  return Math.max(balance * decision.bps / 10000, decision.minimumFee);
+}
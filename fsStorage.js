@@ -0,0 +1,208 @@
+// fsStorage.js — storage backend on a local directory (Node only)
+//
+// Same interface as githubStorage.js, so the worker routes run offline
+// (devServer.js) and in tests without a GitHub token. Files are read from
+// and written to <root>/<path>. Every write keeps the version it replaces
+// under <root>/.history, which is what /history and 409 diffs read.
+//
+// SHAs are git blob SHAs of the file text, so a SHA from this backend
+// means the same thing as one from GitHub. There are no commits: a
+// version is a file SHA, and reading another file "at" that version gives
+// that file as it was when the version was written (what a commit would).
+
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+function blobSha(text) {
+  return crypto
+    .createHash("sha1")
+    .update(`blob ${Buffer.byteLength(text)}\0`)
+    .update(text)
+    .digest("hex");
+}
+
+function staleError(p, baseSha) {
+  const err = new Error(`${p} is no longer at ${baseSha}`);
+  err.code = "STALE";
+  return err;
+}
+
+function notFoundError(message) {
+  const err = new Error(message);
+  err.code = "NOT_FOUND";
+  return err;
+}
+
+async function readTextOrNull(file) {
+  try {
+    return await fs.readFile(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+export function createFsStorage({ root, historyDir = path.join(root, ".history") }) {
+  const base = path.resolve(root);
+
+  function resolve(p) {
+    const full = path.resolve(base, p);
+    if (!full.startsWith(base + path.sep)) throw new Error(`Path escapes storage root: ${p}`);
+    return full;
+  }
+
+  const blobFile = sha => path.join(historyDir, "blobs", `${sha}.json`);
+  const logFile = p => path.join(historyDir, "log", `${p.replace(/[\\/]/g, "__")}.jsonl`);
+
+  async function keepBlob(text, sha) {
+    const file = blobFile(sha);
+    if (await readTextOrNull(file) !== null) return;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, text);
+  }
+
+  // Versions oldest first: { version, message, date, authorName }
+  async function readLog(p) {
+    const text = await readTextOrNull(logFile(p));
+    if (!text) return [];
+    return text.split("\n").filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  async function appendLog(p, entry) {
+    const file = logFile(p);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, JSON.stringify(entry) + "\n");
+  }
+
+  // The file as it is on disk, as a version entry (not yet in the log when
+  // it was never written through this backend or was edited by hand)
+  async function diskVersion(p, log) {
+    const full = resolve(p);
+    const text = await readTextOrNull(full);
+    if (text === null) return null;
+    const sha = blobSha(text);
+    if (log.length && log[log.length - 1].version === sha) return null;
+    const { mtime } = await fs.stat(full);
+    return {
+      version: sha,
+      message: log.length ? "Edited on disk" : "Initial version (from disk)",
+      date: mtime.toISOString(),
+      authorName: "local",
+      text
+    };
+  }
+
+  // Every version of every file, oldest first, with its path
+  async function readAllLogs() {
+    const dir = path.join(historyDir, "log");
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    const logs = await Promise.all(names.map(async name => {
+      const text = await readTextOrNull(path.join(dir, name));
+      return (text || "").split("\n").filter(Boolean).map(line => JSON.parse(line));
+    }));
+    return logs.flat();
+  }
+
+  async function versionsUntil(p, until) {
+    const log = await readLog(p);
+    const onDisk = await diskVersion(p, log);
+    const versions = onDisk ? [...log, onDisk] : log;
+    return until ? versions.filter(v => v.date <= until) : versions;
+  }
+
+  // One write at a time: the SHA check and the write must not interleave
+  let queue = Promise.resolve();
+  function exclusive(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    name: "fs",
+
+    async read(p) {
+      const text = await fs.readFile(resolve(p), "utf8");
+      return { content: JSON.parse(text), sha: blobSha(text) };
+    },
+
+    async readBlob(sha) {
+      // Anything but a full SHA is not a version (nor a file name to read)
+      if (!/^[0-9a-f]{40}$/.test(sha)) throw notFoundError(`Unknown version ${sha}`);
+      const text = await readTextOrNull(blobFile(sha));
+      if (text === null) throw notFoundError(`Unknown version ${sha}`);
+      return JSON.parse(text);
+    },
+
+    // `version` may be shortened, like a git SHA (at least 7 characters)
+    async readVersion(p, version) {
+      const matches = v => v.version === version || (version.length >= 7 && v.version.startsWith(version));
+      const own = (await versionsUntil(p)).find(matches);
+      if (own) {
+        if (own.text !== undefined) return { content: JSON.parse(own.text), sha: own.version };
+        return { content: await this.readBlob(own.version), sha: own.version };
+      }
+
+      // A version of another file: this file as of when that was written
+      const other = (await readAllLogs()).find(matches);
+      if (!other) throw notFoundError(`Unknown version ${version} of ${p}`);
+      const [atThatTime] = await this.listVersions(p, 1, { until: other.date });
+      if (!atThatTime) throw notFoundError(`${p} has no version as of ${other.date}`);
+      return this.readVersion(p, atThatTime.version);
+    },
+
+    async listVersions(p, limit, { until, from } = {}) {
+      let versions = await versionsUntil(p, until);
+      if (from) {
+        const at = versions.findIndex(v => v.version === from);
+        if (at < 0) throw notFoundError(`Unknown version ${from} of ${p}`);
+        versions = versions.slice(0, at + 1);
+      }
+      return versions
+        .slice(-limit)
+        .reverse()
+        .map(({ version, message, date, authorName }) => ({ version, message, date, authorName }));
+    },
+
+    write(p, text, { baseSha, message }) {
+      return exclusive(async () => {
+        const log = await readLog(p);
+        const onDisk = await diskVersion(p, log);
+        const currentText = await readTextOrNull(resolve(p));
+        const currentSha = currentText === null ? null : blobSha(currentText);
+        if (currentSha !== (baseSha || null)) throw staleError(p, baseSha);
+
+        // Keep what we are about to replace
+        if (onDisk) {
+          const { text: diskText, ...entry } = onDisk;
+          await keepBlob(diskText, entry.version);
+          await appendLog(p, entry);
+        }
+
+        const newSha = blobSha(text);
+        await keepBlob(text, newSha);
+
+        const full = resolve(p);
+        const tmp = `${full}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(full), { recursive: true });
+        await fs.writeFile(tmp, text);
+        await fs.rename(tmp, full);
+
+        await appendLog(p, {
+          version: newSha,
+          message,
+          date: new Date().toISOString(),
+          authorName: "local"
+        });
+        return newSha;
+      });
+    }
+  };
+}
@@ -0,0 +1,117 @@
+// githubStorage.js — storage backend on the GitHub contents API
+//
+// The worker's default storage: every data file lives in the repo and
+// every write is a commit. All backends share the same shape:
+//
+//   read(path)                        → { content, sha }
+//   readBlob(sha)                     → content of the version with that file SHA
+//   readVersion(path, version)        → { content, sha } as of a version (a commit on GitHub)
+//   listVersions(path, limit, { until, from }) → [{ version, message, date, authorName }], newest first,
+//                                        only versions made at or before `until` (ISO) if given,
+//                                        starting at version `from` (a page cursor) if given
+//   write(path, text, { baseSha, message }) → new file SHA
+//
+// write() only fails with err.code === "STALE" when the file is no longer
+// at baseSha; the worker turns that into a 409 with a diff. Reads of a
+// version that does not exist (readBlob, readVersion) fail with
+// err.code === "NOT_FOUND".
+
+const GITHUB_API_BASE = `https://api.github.com/repos`;
+
+// base64 (with GitHub's line breaks) → parsed JSON, UTF-8 safe
+function decodeContent(b64) {
+  return JSON.parse(decodeURIComponent(escape(atob(b64.replace(/\n/g, "")))));
+}
+
+export function createGitHubStorage(env) {
+  const repoUrl = `${GITHUB_API_BASE}/${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
+  const branch = env.GITHUB_BRANCH || "main";
+
+  async function get(url, what) {
+    const res = await fetch(url, {
+      headers: {
+        Authorization: `token ${env.GITHUB_TOKEN}`,
+        "User-Agent": "Cloudflare-Worker",
+        Accept: "application/vnd.github.v3+json"
+      },
+      cache: "no-store"
+    });
+    if (!res.ok) {
+      const errText = await res.text();
+      const err = new Error(`GitHub GET failed for ${what}: ${res.status} - ${errText}`);
+      if (res.status === 404 || res.status === 422) err.code = "NOT_FOUND";
+      throw err;
+    }
+    return res.json();
+  }
+
+  return {
+    name: "github",
+
+    async read(path) {
+      const data = await get(`${repoUrl}/contents/${path}`, path);
+      return { content: decodeContent(data.content), sha: data.sha };
+    },
+
+    async readBlob(sha) {
+      // Anything but a full SHA would be a different API path
+      if (!/^[0-9a-f]{40}$/i.test(sha)) {
+        const err = new Error(`Unknown version ${sha}`);
+        err.code = "NOT_FOUND";
+        throw err;
+      }
+      const data = await get(`${repoUrl}/git/blobs/${sha}`, `blob ${sha}`);
+      return decodeContent(data.content);
+    },
+
+    async readVersion(path, version) {
+      const data = await get(`${repoUrl}/contents/${path}?ref=${encodeURIComponent(version)}`, `${path}@${version}`);
+      return { content: decodeContent(data.content), sha: data.sha };
+    },
+
+    async listVersions(path, limit, { until, from } = {}) {
+      const params = new URLSearchParams({ path, sha: from || branch, per_page: String(limit) });
+      if (until) params.set("until", until);
+      const data = await get(`${repoUrl}/commits?${params}`, `commits of ${path}`);
+      return data.map(c => ({
+        version: c.sha,
+        message: c.commit?.message || "",
+        date: c.commit?.author?.date || null,
+        authorName: c.commit?.author?.name || null
+      }));
+    },
+
+    async write(path, text, { baseSha, message }) {
+      const putRes = await fetch(`${repoUrl}/contents/${path}`, {
+        method: "PUT",
+        headers: {
+          Authorization: `token ${env.GITHUB_TOKEN}`,
+          "User-Agent": "Cloudflare-Worker",
+          "Content-Type": "application/json",
+          Accept: "application/vnd.github.v3+json"
+        },
+        body: JSON.stringify({
+          message,
+          content: btoa(unescape(encodeURIComponent(text))),
+          sha: baseSha,
+          branch
+        })
+      });
+
+      // GitHub rejects the PUT itself if another commit landed in between
+      if (putRes.status === 409) {
+        const err = new Error(`${path} is no longer at ${baseSha}`);
+        err.code = "STALE";
+        throw err;
+      }
+
+      if (!putRes.ok) {
+        const errText = await putRes.text();
+        throw new Error(`GitHub PUT failed: ${putRes.status} - ${errText}`);
+      }
+
+      const putData = await putRes.json();
+      return putData.content.sha;
+    }
+  };
+}
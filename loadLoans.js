@@ -1,13 +1,27 @@
 // loadLoans.js
 
+import { apiFetch } from "./apiClient.js?v=dev";
+
 const API_URL = "https://loan-valuation-api.jeff-263.workers.dev/loans";
 
+// Past versions of loans.json come from the reporting API (git history)
+const REPORTING_API_URL = "https://reporting-phase2-api.jeff-263.workers.dev/loans";
+
+// ?asOf=YYYY-MM-DD (or a commit) — set by the reporting page's "View as of"
+export function getPageAsOf() {
+  if (typeof location === "undefined") return null;
+  return new URLSearchParams(location.search).get("asOf");
+}
+
 // ===============================
 // LOAD loans (API fetch only)
 // ===============================
 export async function loadLoans() {
   try {
-    const res = await fetch(API_URL, { cache: "no-store" });
+    const asOf = getPageAsOf();
+    const res = asOf
+      ? await apiFetch(`${REPORTING_API_URL}?asOf=${encodeURIComponent(asOf)}`, { cache: "no-store" })
+      : await fetch(API_URL, { cache: "no-store" });
 
     if (!res.ok) {
       console.error("Fetch failed:", res.status, res.statusText);
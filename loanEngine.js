@@ -8,7 +8,18 @@
 
 import { loadLoans as fetchLoans } from "./loadLoans.js?v=dev";
 import { isOwnedByUser } from "./ownershipEngine.js?v=dev"; 
-import { USERS, getUserFeeWaiver } from "./users.js?v=dev";
+import { USERS } from "./users.js?v=dev";
+import { loanFeeRules, evaluateFee, servicingFee, feesInForce } from "./feeRules.js?v=dev";
+import {
+  toCents,
+  fromCents,
+  roundMoney,
+  sumMoney,
+  expectMoney,
+  ledgerChecksEnabled,
+  reportLedgerViolations
+} from "./money.js?v=dev";
+import { contentHash } from "./contentHash.js?v=dev";
 
 
 // ------------------------------------
@@ -38,38 +49,531 @@ function resolveUserForLoan(loan) {
 // Platform Configuration (GLOBAL)
 // ===============================
 export let GLOBAL_FEE_CONFIG = null;
+// contentHash of GLOBAL_FEE_CONFIG, taken once per install for the cache keys
+export let GLOBAL_FEE_CONFIG_HASH = contentHash(null);
 
 
 export function setGlobalFeeConfig(fees) {
   GLOBAL_FEE_CONFIG = fees;
+  GLOBAL_FEE_CONFIG_HASH = contentHash(fees);
 }
 
 
-export function getMonthlyServicingRate(feeConfig) {  
-  return (Number(feeConfig.monthlyServicingBps || 0) / 10000);  
+// The base servicing rate in force on `date` (before any fee rules)
+export function getMonthlyServicingRate(feeConfig, date = new Date()) {
+  return feesInForce(feeConfig, date).monthlyServicingBps / 10000;
 }
 
-export function resolveFeeWaiverFlags(userId, loan) {
-  const userWaiver = getUserFeeWaiver(userId) || "none";  // ← Use helper from users.js
-  const loanWaiver = loan?.feeWaiver || "none";
+// Which fees apply, and how much, is decided by the fee rules (feeRules.js)
 
-  // Loan-level override beats user-level
-  const effectiveWaiver =
-    loanWaiver !== "none" ? loanWaiver : userWaiver;
 
-  // Normalize to tokens (supports "setup_grace", "setup+grace", etc)
-  const tokens = effectiveWaiver
-    .toLowerCase()
-    .replace("+", "_")
-    .split("_");
+// ===============================
+// Variable rates (index + margin)
+// ===============================
+//
+// A variable loan carries
+//   variableRate: { index: "SOFR", margin: 0.045, resetMonths: 12,
+//                   floor: 0.03, cap: 0.15, periodicCap: 0.02 }
+// and nominalRate is its rate until the first reset.
+//
+// Index paths come from platformConfig.rateIndices:
+//   { SOFR: { label, history: [{ date, rate }], forward: [{ date, rate }] } }
+// Each point holds until the next one; `forward` is the assumption used
+// past the last published rate (rows priced from it are "projected").
+//
+export let RATE_INDICES = {};
+
+export function setRateIndices(indices) {
+  RATE_INDICES = indices || {};
+}
+
+export function isVariableRateLoan(loan) {
+  return !!(loan?.variableRate?.index && Number(loan.variableRate.resetMonths) > 0);
+}
+
+// Index rate in effect on `date` → { rate, projected } (null if the path is empty)
+export function getIndexRate(ratePath, date) {
+  const points = [
+    ...(ratePath?.history || []).map(p => ({ ...p, projected: false })),
+    ...(ratePath?.forward || []).map(p => ({ ...p, projected: true }))
+  ]
+    .filter(p => p.date && Number.isFinite(Number(p.rate)))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  if (!points.length) return null;
+
+  const key = monthKeyFromDate(date);
+  let current = points[0];
+  points.forEach(p => {
+    if (monthKeyFromISO(p.date) <= key) current = p;
+  });
+  return { rate: Number(current.rate), projected: current.projected };
+}
+
+// New rate at a reset: index + margin, held within the periodic cap
+// (vs the previous rate) and the lifetime floor/cap
+function resetRate(terms, indexRate, previousRate) {
+  let rate = indexRate + Number(terms.margin || 0);
+
+  const periodicCap = Number(terms.periodicCap);
+  if (periodicCap > 0) {
+    rate = Math.min(previousRate + periodicCap, Math.max(previousRate - periodicCap, rate));
+  }
+  if (terms.floor != null && terms.floor !== "") rate = Math.max(Number(terms.floor), rate);
+  if (terms.cap != null && terms.cap !== "") rate = Math.min(Number(terms.cap), rate);
+
+  return Math.max(0, +rate.toFixed(6));
+}
+
+function amortizingPayment(balance, monthlyRate, months) {
+  if (months <= 0) return 0;
+  if (monthlyRate === 0) return balance / months;
+  return (balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months));
+}
+
+
+// ===============================
+// Repayment plans
+// ===============================
+//
+// loan.repaymentPlan (missing = standard level payments):
+//   { type: "graduated",    stepYears: 2, stepPct: 0.07 }   payment steps up every stepYears
+//   { type: "extended",     termYears: 25 }                 level payments over a longer term
+//   { type: "interestOnly", months: 24 }                    interest only, then level payments
+//   { type: "incomeDriven", incomePct: 0.10, annualIncome, incomeGrowth: 0.03, termYears: 20 }
+//                                                           a share of the borrower's income,
+//                                                           never more than the level payment
+// Plans shape the payment once repayment starts (after grace); deferral,
+// prepayment and default events work the same under every plan.
+//
+export const REPAYMENT_PLAN_TYPES = ["standard", "graduated", "extended", "interestOnly", "incomeDriven"];
+
+// Months of repayment after grace (extended / income-driven plans may set their own term)
+export function getRepaymentMonths(loan) {
+  const plan = loan?.repaymentPlan;
+  if ((plan?.type === "extended" || plan?.type === "incomeDriven") && Number(plan.termYears) > 0) {
+    return Math.round(Number(plan.termYears) * 12);
+  }
+  return Number(loan?.termYears || 0) * 12;
+}
+
+// Returns { type, payment(k, { balance, monthlyRate, monthsLeft, level }) }: the
+// scheduled payment for repayment month k (0 = first month after grace).
+// `level` is the level payment the schedule is carrying (re-amortized at
+// rate resets); plans that size their own payment re-size when the rate moves
+// and expose recast() to re-size after a recasting prepayment.
+export function createRepaymentPlan(loan) {
+  const plan = loan?.repaymentPlan || {};
+
+  switch (plan.type) {
+    case "graduated": {
+      const stepMonths = Math.max(1, Math.round(Number(plan.stepYears ?? 2) * 12));
+      const stepUp = Number(plan.stepPct ?? 0.07);
+      const factor = k => Math.pow(1 + stepUp, Math.floor(k / stepMonths));
+      let base = null;
+      let sizedAt = null;
+
+      return {
+        type: "graduated",
+        payment(k, { balance, monthlyRate, monthsLeft }) {
+          if (base === null || sizedAt !== monthlyRate) {
+            // First payment such that the stepped payments pay off `balance`
+            let pv = 0;
+            for (let j = 0; j < monthsLeft; j++) pv += factor(k + j) / Math.pow(1 + monthlyRate, j + 1);
+            base = pv > 0 ? balance / pv : 0;
+            sizedAt = monthlyRate;
+          }
+          return base * factor(k);
+        },
+        recast() {
+          base = null;
+        }
+      };
+    }
+
+    case "interestOnly": {
+      const ioMonths = Math.max(0, Math.floor(Number(plan.months) || 0));
+      let amortizing = null;
+      let sizedAt = null;
+
+      return {
+        type: "interestOnly",
+        payment(k, { balance, monthlyRate, monthsLeft }) {
+          if (k < ioMonths) return balance * monthlyRate;
+          if (amortizing === null || sizedAt !== monthlyRate) {
+            amortizing = amortizingPayment(balance, monthlyRate, monthsLeft);
+            sizedAt = monthlyRate;
+          }
+          return amortizing;
+        },
+        recast() {
+          amortizing = null;
+        }
+      };
+    }
+
+    case "incomeDriven": {
+      const income = Number(plan.annualIncome);
+      if (!(income >= 0)) {
+        console.warn(`Income-driven plan on loan "${loan.loanName || loan.loanId}" has no annualIncome — using level payments`);
+        return { type: "incomeDriven", payment: (k, { level }) => level };
+      }
+      const share = Number(plan.incomePct ?? 0.10);
+      const growth = Number(plan.incomeGrowth ?? 0);
+
+      return {
+        type: "incomeDriven",
+        payment(k, { level }) {
+          const yearIncome = income * Math.pow(1 + growth, Math.floor(k / 12));
+          return Math.min(level, (yearIncome * share) / 12);
+        }
+      };
+    }
+
+    default:
+      // standard + extended: the level payment over the plan's term
+      return { type: plan.type || "standard", payment: (k, { level }) => level };
+  }
+}
+
+// ===============================
+// Interest capitalization
+// ===============================
+//
+// loan.capitalization says when unpaid interest is added to principal:
+//   "monthly"        every month it accrues (the default; older loans have no field)
+//   "endOfGrace"     once, when grace ends
+//   "endOfDeferral"  when grace ends and when each deferral or forbearance ends
+//   "annual"         on each anniversary of loanStartDate
+//   "never"          it stays in the accrued-interest bucket until paid
+// Outside "monthly", interest accrues on principal only and payments go to
+// the accrued bucket first, then the month's interest, then principal.
+//
+export const CAPITALIZATION_POLICIES = ["monthly", "endOfGrace", "endOfDeferral", "annual", "never"];
+
+export function getCapitalizationPolicy(loan) {
+  const policy = loan?.capitalization;
+  if (!policy) return "monthly";
+  if (!CAPITALIZATION_POLICIES.includes(policy)) {
+    console.warn(`Unknown capitalization "${policy}" on loan "${loan.loanName || loan.loanId}" — capitalizing monthly`);
+    return "monthly";
+  }
+  return policy;
+}
+
+// Whether the accrued bucket capitalizes at the start of a month in `phase`
+// ("grace" | "deferral" | "forbearance" | "hardship" | "interestOnly" |
+// "repayment") after a month in `prevPhase`
+const PAUSED_PHASES = ["grace", "deferral", "forbearance"];
+
+function capitalizesAt(policy, prevPhase, phase, monthsSinceLoanStart) {
+  switch (policy) {
+    case "endOfGrace":
+      return prevPhase === "grace" && phase !== "grace";
+    case "endOfDeferral":
+      return PAUSED_PHASES.includes(prevPhase) && phase !== prevPhase;
+    case "annual":
+      return monthsSinceLoanStart > 0 && monthsSinceLoanStart % 12 === 0;
+    default:
+      return false;
+  }
+}
+
+// ===============================
+// Prepayments
+// ===============================
+//
+// A prepayment goes straight to principal. Its `mode` (or, when the event
+// has none, loan.prepaymentMode) says what the borrower pays afterwards:
+//   "reduceTerm"  the same payment, so the loan pays off early (the default)
+//   "recast"      the payment is re-amortized on what is left over the
+//                 months that remain, so the loan keeps its maturity date
+//
+export const PREPAYMENT_MODES = ["reduceTerm", "recast"];
+
+export function getPrepaymentMode(loan, event = null) {
+  const mode = event?.mode || loan?.prepaymentMode;
+  if (!mode) return "reduceTerm";
+  if (!PREPAYMENT_MODES.includes(mode)) {
+    console.warn(`Unknown prepayment mode "${mode}" on loan "${loan?.loanName || loan?.loanId}" — reducing term`);
+    return "reduceTerm";
+  }
+  return mode;
+}
+
+// ===============================
+// Modifications and payoffs
+// ===============================
+//
+// A "modification" event changes the terms from its month on:
+//   { type: "modification", date, rate, remainingTermMonths, forgivenPrincipal }
+// Any of the three may be given. The new rate is fixed (a variable loan
+// stops resetting) and remainingTermMonths counts from the modification
+// month. The payment is re-amortized on what is owed after forgiveness, so
+// each modification starts a new segment of the schedule: every row of a
+// modified loan carries `segment` (0 before the first modification).
+//
+// A "payoff" event { date, reason: "payoff" | "refinance" } pays everything
+// owed in its month and ends the schedule.
+//
+export const PAYOFF_REASONS = ["payoff", "refinance"];
+
+// Consecutive rows of each segment → [{ segment, startDate, endDate, months,
+// rate, payment, forgivenPrincipal }]; payment is the segment's first
+// scheduled payment (null if it has none, e.g. all grace)
+export function getScheduleSegments(schedule) {
+  const segments = [];
+  (schedule || []).forEach(r => {
+    const n = r.segment || 0;
+    let seg = segments[segments.length - 1];
+    if (!seg || seg.segment !== n) {
+      seg = {
+        segment: n,
+        startDate: r.loanDate,
+        endDate: r.loanDate,
+        months: 0,
+        rate: r.rate,
+        payment: null,
+        forgivenPrincipal: Number(r.forgivenPrincipal || 0)
+      };
+      segments.push(seg);
+    }
+    seg.endDate = r.loanDate;
+    seg.months++;
+    if (seg.payment === null && r.scheduledPayment > 0) seg.payment = r.scheduledPayment;
+  });
+  return segments;
+}
+
+// ===============================
+// Delinquency
+// ===============================
+//
+// A "missedPayment" event skips that month's payment: the payment becomes
+// past due and the month's interest goes unpaid. A "curePayment" event pays
+// `amount` of what is past due (all of it when no amount is given), oldest
+// missed payment first. Days past due count from the oldest missed payment
+// still unpaid, 30 per repayment month; deferral and forbearance months do
+// not age it. loan.chargeOffDpd (optional) charges the loan off in the
+// month it reaches that many days past due.
+//
+export const DPD_BUCKETS = ["current", "30", "60", "90", "120+"];
+
+export function getDelinquencyBucket(dpd) {
+  if (!(dpd > 0)) return "current";
+  if (dpd >= 120) return "120+";
+  return String(Math.floor(dpd / 30) * 30);
+}
+
+// The loan's status in the calendar month of `date`: a DPD bucket,
+// "chargedOff" (or defaulted) once charged off, or null outside its schedule
+function delinquencyStatusAt(schedule, date) {
+  const key = monthKeyFromDate(date);
+  const row = schedule.find(r => monthKeyFromDate(r.loanDate) === key);
+  if (row) return row.defaulted ? "chargedOff" : getDelinquencyBucket(row.dpd);
+
+  const last = schedule.at(-1);
+  return last?.defaulted && last.loanDate < date ? "chargedOff" : null;
+}
+
+/**
+ * Portfolio delinquency as of a month, and how loans rolled since the month
+ * before. Each roll rate is the share of loans in that bucket last month
+ * that are in a worse bucket (or charged off) now; null when none were.
+ */
+export function computeDelinquencyRoll(loansWithAmort, asOf = getStandardToday()) {
+  const month = new Date(asOf.getFullYear(), asOf.getMonth(), 1);
+  const prevMonth = addMonths(month, -1);
+  const states = [...DPD_BUCKETS, "chargedOff"];
+
+  const count = Object.fromEntries(states.map(b => [b, 0]));
+  const balance = Object.fromEntries(states.map(b => [b, 0]));
+  const from = Object.fromEntries(DPD_BUCKETS.map(b => [b, 0]));
+  const rolled = Object.fromEntries(DPD_BUCKETS.map(b => [b, 0]));
+
+  loansWithAmort.forEach(loan => {
+    const schedule = loan.amort?.schedule || [];
+    const status = delinquencyStatusAt(schedule, month);
+    const prevStatus = delinquencyStatusAt(schedule, prevMonth);
+
+    if (status) {
+      const row = schedule.find(r => monthKeyFromDate(r.loanDate) === monthKeyFromDate(month));
+      count[status]++;
+      balance[status] += toCents(row?.balance);
+    }
+
+    if (prevStatus && prevStatus !== "chargedOff" && status) {
+      from[prevStatus]++;
+      if (states.indexOf(status) > states.indexOf(prevStatus)) rolled[prevStatus]++;
+    }
+  });
+
+  const delinquent = DPD_BUCKETS.slice(1);
+  const totalBalance = DPD_BUCKETS.reduce((s, b) => s + balance[b], 0);
+  const delinquentBalance = delinquent.reduce((s, b) => s + balance[b], 0);
+
+  return {
+    asOf: month,
+    buckets: states.map(b => ({ bucket: b, count: count[b], balance: fromCents(balance[b]) })),
+    delinquentCount: delinquent.reduce((s, b) => s + count[b], 0),
+    delinquentBalance: fromCents(delinquentBalance),
+    delinquentPct: totalBalance > 0 ? delinquentBalance / totalBalance : 0,
+    rollRates: DPD_BUCKETS.map(b => ({
+      bucket: b,
+      loans: from[b],
+      rolled: rolled[b],
+      rate: from[b] ? rolled[b] / from[b] : null
+    }))
+  };
+}
+
+// ===============================
+// Default recoveries
+// ===============================
+//
+// A default event (or a charge-off at loan.chargeOffDpd) ends the schedule.
+// Its last row carries chargeOffAmount: the default event's chargeOffAmount
+// when recorded, otherwise what was still owed after that month's
+// recoveryAmount. "recovery" events { date, amount, collectionCost } are
+// cash collected afterwards; recoveries dated before the default month
+// are ignored.
+//
+
+/**
+ * What a defaulted loan has returned since it defaulted, or null if the
+ * schedule did not end in a default. Amounts are for the whole loan.
+ * recoveryRate is net recovery over the amount charged off;
+ * recoveryLagMonths is the recovery-weighted months from default to cash.
+ */
+export function getDefaultOutcome(loan, schedule) {
+  const last = schedule?.at(-1);
+  if (!last?.defaulted) return null;
+
+  const defaultMonth = new Date(last.loanDate.getFullYear(), last.loanDate.getMonth(), 1);
+  const chargeOffAmount = Number(last.chargeOffAmount || 0);
+
+  const recoveries = (loan.events || [])
+    .filter(e => e.type === "recovery" && e.date && Number(e.amount) > 0)
+    .map(e => {
+      const date = parseISODateLocal(e.date);
+      const amount = roundMoney(e.amount);
+      const collectionCost = roundMoney(Math.max(0, Number(e.collectionCost) || 0));
+      return {
+        date,
+        amount,
+        collectionCost,
+        netRecovery: roundMoney(amount - collectionCost),
+        monthsAfterDefault:
+          (date.getFullYear() - defaultMonth.getFullYear()) * 12 + (date.getMonth() - defaultMonth.getMonth())
+      };
+    })
+    .filter(r => r.monthsAfterDefault >= 0)
+    .sort((a, b) => a.date - b.date);
+
+  const grossRecovery = sumMoney(recoveries.map(r => r.amount));
+  const collectionCosts = sumMoney(recoveries.map(r => r.collectionCost));
+  const netRecovery = roundMoney(grossRecovery - collectionCosts);
+  const lagWeight = recoveries.reduce((s, r) => s + Math.max(0, r.netRecovery), 0);
 
   return {
-    waiveSetup: tokens.includes("setup") || tokens.includes("all"),
-    waiveMonthly: tokens.includes("grace") || tokens.includes("all"),
-    waiveAll: tokens.includes("all")
+    defaultDate: defaultMonth,
+    chargedOff: last.chargedOff === true,
+    recoveredAtDefault: Number(last.recovery || 0),
+    chargeOffAmount,
+    recoveries,
+    grossRecovery,
+    collectionCosts,
+    netRecovery,
+    netLoss: roundMoney(chargeOffAmount - netRecovery),
+    recoveryRate: chargeOffAmount > 0 ? netRecovery / chargeOffAmount : null,
+    recoveryLagMonths: lagWeight > 0
+      ? recoveries.reduce((s, r) => s + Math.max(0, r.netRecovery) * r.monthsAfterDefault, 0) / lagWeight
+      : null
   };
 }
 
+// ===============================
+// Payment history (servicer tape)
+// ===============================
+//
+// loan.payments is the servicer's ledger: [{ date, principal, interest,
+// fees, late }]. Every month up to the last one on it is history: the
+// schedule takes what was actually paid instead of the plan (a month with
+// no payment paid nothing) and those rows carry `actual: true`. From the
+// month after, the payment is re-amortized on the actual balance over the
+// months that remain. `fees` are what the servicer collected from the
+// borrower (feesPaid on the row), not the platform's servicing fee.
+//
+export const DEFAULT_RECONCILE_TOLERANCE = 25;
+
+// Payments summed by calendar month → { "YYYY-MM": { principal, interest, fees, late, count } }
+function paymentsByMonth(payments) {
+  const byMonth = {};
+  (payments || [])
+    .filter(p => p?.date)
+    .forEach(p => {
+      const key = monthKeyFromISO(p.date);
+      const m = byMonth[key] || (byMonth[key] = { principal: 0, interest: 0, fees: 0, late: false, count: 0 });
+      m.principal = roundMoney(m.principal + Math.max(0, Number(p.principal) || 0));
+      m.interest = roundMoney(m.interest + Math.max(0, Number(p.interest) || 0));
+      m.fees = roundMoney(m.fees + Math.max(0, Number(p.fees) || 0));
+      m.late = m.late || p.late === true;
+      m.count++;
+    });
+  return byMonth;
+}
+
+/**
+ * Actual vs scheduled amount owed (balance + unpaid interest) at the end of
+ * the loan's last month of payment history, or null if it has none. The
+ * scheduled figure is the same loan without its payments; `flagged` when
+ * the two differ by more than `tolerance` dollars.
+ */
+export function reconcilePayments(loan, { tolerance = DEFAULT_RECONCILE_TOLERANCE } = {}) {
+  const payments = (loan.payments || []).filter(p => p?.date);
+  if (!payments.length) return null;
+
+  const lastDate = payments.map(p => p.date).sort().at(-1);
+  const lastKey = monthKeyFromISO(lastDate);
+  const owedAt = schedule => {
+    const row = schedule.filter(r => monthKeyFromDate(r.loanDate) <= lastKey).at(-1);
+    return row ? Number(row.balance || 0) + Number(row.accruedInterestBalance || 0) : Number(loan.principal || 0);
+  };
+
+  const actualBalance = owedAt(buildAmortSchedule(loan));
+  const scheduledBalance = owedAt(buildAmortSchedule({ ...loan, payments: [] }));
+  const difference = actualBalance - scheduledBalance;
+  const sum = field => sumMoney(payments.map(p => Number(p[field]) || 0));
+
+  return {
+    loanId: loan.loanId,
+    loanName: loan.loanName,
+    lastPaymentDate: lastDate,
+    payments: payments.length,
+    latePayments: payments.filter(p => p.late === true).length,
+    principalPaid: sum("principal"),
+    interestPaid: sum("interest"),
+    feesPaid: sum("fees"),
+    actualBalance: roundMoney(actualBalance),
+    scheduledBalance: roundMoney(scheduledBalance),
+    difference: roundMoney(difference),
+    flagged: Math.abs(difference) > tolerance
+  };
+}
+
+// Every loan with payment history, flagged loans first, then by size of the gap
+export function reconcilePortfolio(loans, options = {}) {
+  return (loans || [])
+    .map(loan => {
+      try {
+        return reconcilePayments(loan, options);
+      } catch (err) {
+        console.warn(`Reconciliation failed for "${loan.loanName || loan.loanId}":`, err.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.flagged - a.flagged) || Math.abs(b.difference) - Math.abs(a.difference));
+}
 
 // =======================================
 // Canonical LOCAL date helpers (NO TZ BUG)
@@ -106,11 +610,12 @@ export async function loadPlatformConfig(url) {
 
   const cfg = await res.json();
 
-  // Fees only (users handled via users.js)
-  GLOBAL_FEE_CONFIG = cfg.fees || {
+  // Fees + rate indices (users handled via users.js)
+  setGlobalFeeConfig(cfg.fees || {
     setupFee: 150,
     monthlyServicingBps: 25
-  };
+  });
+  setRateIndices(cfg.rateIndices);
 
   return { fees: GLOBAL_FEE_CONFIG };  // No more users return
 }
@@ -187,6 +692,7 @@ export async function loadLoans() {
     // Returned normalized loan object
     return {
       id,
+      loanId: id,
       loanName,
       name: loanName,
       school,
@@ -201,7 +707,13 @@ export async function loadLoans() {
       ownershipLots: Array.isArray(l.ownershipLots) ? l.ownershipLots : [],
       owner: l.owner || null,
       user: l.user || null,
-      feeWaiver: l.feeWaiver || "none"
+      feeWaiver: l.feeWaiver || "none",
+      ...(l.variableRate ? { variableRate: l.variableRate } : {}),
+      ...(l.repaymentPlan ? { repaymentPlan: l.repaymentPlan } : {}),
+      ...(l.capitalization ? { capitalization: l.capitalization } : {}),
+      ...(l.chargeOffDpd ? { chargeOffDpd: l.chargeOffDpd } : {}),
+      ...(l.prepaymentMode ? { prepaymentMode: l.prepaymentMode } : {}),
+      ...(Array.isArray(l.payments) && l.payments.length ? { payments: l.payments } : {})
     };
   });
 }
@@ -233,7 +745,7 @@ export function isDeferredMonth(row) {
 // ===============================
 // Standard portfolio start date
 // ===============================
-export function getPortfolioStartDate(loans = []) {
+export function getPortfolioStartDate(loans = [], asOf) {
   const dates = loans
     .map(l => {
       const d = l.loanStartDate || l.purchaseDate;
@@ -244,11 +756,7 @@ export function getPortfolioStartDate(loans = []) {
     })
     .filter(Boolean);
 
-  if (!dates.length) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    return today;
-  }
+  if (!dates.length) return resolveAsOf(asOf);
 
   const min = new Date(Math.min(...dates.map(d => d.getTime())));
   min.setHours(0, 0, 0, 0);
@@ -264,6 +772,24 @@ export function getStandardToday() {
   return d;
 }
 
+// ===============================
+// As-of date
+// ===============================
+//
+// Engine entry points work "as of" a date instead of reading the clock, so
+// a month-end report run days later gives the same numbers. `asOf` is a
+// Date or "YYYY-MM-DD" (pages pass their ?asOf=); anything else, including
+// a commit id, means today. Returns a fresh Date at local midnight.
+export function resolveAsOf(asOf) {
+  if (asOf instanceof Date && Number.isFinite(asOf.getTime())) {
+    const d = new Date(asOf);
+    d.setHours(0, 0, 0, 0);
+    return d;
+  }
+  if (typeof asOf === "string" && /^\d{4}-\d{2}-\d{2}$/.test(asOf)) return parseISODateLocal(asOf);
+  return getStandardToday();
+}
+
 // ===============================
 // Current schedule index (per-loan)
 // ===============================
@@ -271,11 +797,11 @@ export function getStandardToday() {
 // Returns a 1-based index into amort.schedule
 // Clamped to schedule length
 //
-export function getCurrentScheduleIndex(loan, asOf = new Date()) {
+export function getCurrentScheduleIndex(loan, asOf = getStandardToday()) {
   if (!loan?.amort?.schedule?.length) return 1;
 
   const purchaseRaw = loan.purchaseDate || loan.loanStartDate || null;
-const purchase = parseISODateLocal(purchaseRaw) || new Date();  // ultimate fallback to today
+const purchase = parseISODateLocal(purchaseRaw) || asOf;  // ultimate fallback to the as-of date
 if (!purchaseRaw || isNaN(+purchase)) {
   console.warn(`Invalid/missing purchaseDate for loan ${loan.id}, using loanStartDate or today`);
 }
@@ -338,9 +864,96 @@ function getEffectivePurchaseDate(loan) {
 // - consistent loanDate for each row
 // - payment calculation aligned with loanStartDate
 // - correct ownership logic using purchaseDate
+// - every row carries the annual `rate` it was priced at; variable loans
+//   reset on their schedule and re-amortize the payment (their rows also
+//   carry rateProjected, and reset rows rateReset + indexRate)
+//
+// `ratePath` overrides the loan index's path from RATE_INDICES.
 //
+// Schedules are cached (see Schedule cache below): the returned rows are
+// shared with every other caller for the same loan, so they are frozen —
+// writing to one throws. Copy a row ({ ...row }) to change it.
+//
+
+export function buildAmortSchedule(loan, { ratePath } = {}) {
+  const key = getScheduleKey(loan, { ratePath });
+  let schedule = SCHEDULE_CACHE.get(key);
+  if (schedule) {
+    SCHEDULE_CACHE.delete(key);   // re-inserted below as most recently used
+  } else {
+    schedule = freezeSchedule(computeAmortSchedule(loan, { ratePath }));
+    if (SCHEDULE_CACHE.size >= SCHEDULE_CACHE_LIMIT) {
+      SCHEDULE_CACHE.delete(SCHEDULE_CACHE.keys().next().value);
+    }
+  }
+  SCHEDULE_CACHE.set(key, schedule);
+
+  if (ledgerChecksEnabled()) reportLedgerViolations(checkAmortLedger(loan, schedule));
+
+  return schedule;
+}
+
+// -------------------------------
+// Schedule cache
+// -------------------------------
+//
+// attachSchedules, deriveLoansWithRoi, valueLoan, computePortfolioValuation
+// and the pages all build the same loan's schedule. The cache keys a
+// schedule by a content hash of everything it depends on: the loan's own
+// terms, events, payments and lots, the fee config and owner's waiver in
+// effect, and a variable loan's rate path. Editing a loan (or the fee
+// config) changes the key, so only the loans it affects are rebuilt; an
+// unchanged loan is a cache hit however its object was copied. Least
+// recently used schedules are dropped past SCHEDULE_CACHE_LIMIT.
+//
+const SCHEDULE_CACHE = new Map();
+let SCHEDULE_CACHE_LIMIT = 10000;
+
+// Fields the engines attach to a loan; none of them feed its schedule
+const DERIVED_LOAN_KEYS = new Set([
+  "amort",
+  "scheduleWithOwnership",
+  "cumSchedule",
+  "balanceAtPurchase",
+  "roiSeries",
+  "defaultRecovery",
+  "earningsSchedule"
+]);
+
+export function getScheduleKey(loan, { ratePath } = {}) {
+  const userId = resolveUserForLoan(loan);
+  return contentHash({
+    loan: contentHash(loan, DERIVED_LOAN_KEYS),
+    feeConfig: loan.feeConfig ? contentHash(loan.feeConfig) : GLOBAL_FEE_CONFIG_HASH,
+    user: USERS[userId] || null,
+    ratePath: isVariableRateLoan(loan)
+      ? (ratePath || RATE_INDICES[loan.variableRate.index] || null)
+      : null
+  });
+}
+
+// Freezes the rows, the array and any objects or arrays inside the rows.
+// Dates are left alone: freezing one does not stop its setters.
+function freezeSchedule(value) {
+  if (value && typeof value === "object" && !(value instanceof Date) && !Object.isFrozen(value)) {
+    Object.values(value).forEach(freezeSchedule);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+export function setScheduleCacheLimit(limit) {
+  SCHEDULE_CACHE_LIMIT = Math.max(1, Math.floor(Number(limit) || 0));
+  while (SCHEDULE_CACHE.size > SCHEDULE_CACHE_LIMIT) {
+    SCHEDULE_CACHE.delete(SCHEDULE_CACHE.keys().next().value);
+  }
+}
 
-export function buildAmortSchedule(loan) {
+export function clearScheduleCache() {
+  SCHEDULE_CACHE.clear();
+}
+
+function computeAmortSchedule(loan, { ratePath }) {
   
   const {
     principal,
@@ -352,14 +965,26 @@ export function buildAmortSchedule(loan) {
     events = []
   } = loan;
 
-  const monthlyRate = nominalRate / 12;
   const graceMonths = graceYears * 12;
-  const repaymentMonths = termYears * 12;
+  let repaymentMonths = getRepaymentMonths(loan);
   const totalMonths = graceMonths + repaymentMonths;
+  const plan = createRepaymentPlan(loan);
+  const capitalization = getCapitalizationPolicy(loan);
+
+  // Rate state (constant for fixed-rate loans)
+  const rateTerms = isVariableRateLoan(loan) ? loan.variableRate : null;
+  const resetMonths = rateTerms ? Math.floor(Number(rateTerms.resetMonths)) : 0;
+  const indexPath = rateTerms ? (ratePath || RATE_INDICES[rateTerms.index]) : null;
+  if (rateTerms && !indexPath) {
+    console.warn(`No rate path for index "${rateTerms.index}" (loan "${loan.loanName || loan.loanId}") — rate stays at ${nominalRate}`);
+  }
 
-  const originalMonthlyPayment = repaymentMonths > 0 
-  ? (principal * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -repaymentMonths))
-  : 0;
+  let annualRate = Number(nominalRate || 0);
+  let monthlyRate = annualRate / 12;
+  let rateProjected = false;
+
+  const originalMonthlyPayment = amortizingPayment(Number(principal || 0), monthlyRate, repaymentMonths);
+  let monthlyPayment = originalMonthlyPayment;
 
   function normalizeDeferralFlags(row) {
     row.isDeferred =
@@ -403,17 +1028,15 @@ if (!purchase || !Number.isFinite(purchase.getTime())) {
 
 const userId = resolveUserForLoan(loan);
 const user = USERS[userId] || { role: "investor", feeWaiver: "none" };
-
-// Resolve fee waivers using userId (matches updated resolveFeeWaiverFlags signature)
-const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loan);
   
   const feeConfig =
     loan.feeConfig ||
     GLOBAL_FEE_CONFIG ||
     { setupFee: 150, monthlyServicingBps: 25 };
 
-  const SETUP_FEE_AMOUNT = Number(feeConfig.setupFee || 0);
-  const MONTHLY_SERVICING_RATE = getMonthlyServicingRate(feeConfig);
+  // Fees are priced month by month from the fee rules (feeRules.js)
+  const feeRules = loanFeeRules(feeConfig, Object.values(USERS), loan);
+  const feeHolder = { schedule: "amort", userId, role: user.role, loanId: loan.loanId ?? loan.id ?? null };
 
   // Prepayment events map
   const prepayMap = {};
@@ -436,21 +1059,114 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
       deferralStartMap[key] = (deferralStartMap[key] || 0) + m;
     });
 
+  // Forbearance events map — payments pause and interest accrues as in a
+  // deferral; the servicing fee keeps running (see earningsEngine.js)
+  const forbearanceStartMap = {};
+  events
+    .filter(e => e.type === "forbearance" && (e.startDate || e.date) && Number(e.months) > 0)
+    .forEach(e => {
+      const key = monthKeyFromISO(e.startDate || e.date);
+      const m = Math.max(0, Math.floor(Number(e.months) || 0));
+      forbearanceStartMap[key] = (forbearanceStartMap[key] || 0) + m;
+    });
+
+  // Hardship (reduced payment) and interest-only windows: calendar month → event
+  const windowMap = {};
+  events
+    .filter(e => (e.type === "hardship" || e.type === "interestOnly") && (e.startDate || e.date) && Number(e.months) > 0)
+    .forEach(e => {
+      const first = parseISODateLocal(e.startDate || e.date);
+      for (let m = 0; m < Math.floor(Number(e.months)); m++) {
+        windowMap[monthKeyFromDate(addMonths(first, m))] = e;
+      }
+    });
+
+  // Missed and cure payments (see Delinquency)
+  const missedMonths = new Set(
+    events.filter(e => e.type === "missedPayment" && e.date).map(e => monthKeyFromISO(e.date))
+  );
+  const cureMap = {};
+  events
+    .filter(e => e.type === "curePayment" && e.date)
+    .forEach(e => {
+      const key = monthKeyFromISO(e.date);
+      if (!cureMap[key]) cureMap[key] = [];
+      cureMap[key].push(e);
+    });
+  const chargeOffDpd = Number(loan.chargeOffDpd) > 0 ? Number(loan.chargeOffDpd) : null;
+
   // Default event
   const defaultEvent = events.find(e => e.type === "default" && e.date);
   const defaultMonthKey = defaultEvent ? monthKeyFromISO(defaultEvent.date) : null;
   const defaultRecovery = defaultEvent ? Number(defaultEvent.recoveryAmount || 0) : 0;
+  const defaultChargeOff = defaultEvent?.chargeOffAmount != null ? Number(defaultEvent.chargeOffAmount) : null;
+
+  // Modifications by calendar month, and the payoff (see Modifications and payoffs)
+  const modificationMap = {};
+  events
+    .filter(e => e.type === "modification" && e.date)
+    .forEach(e => { modificationMap[monthKeyFromISO(e.date)] = e; });
+  const hasModifications = Object.keys(modificationMap).length > 0;
+  const payoffEvent = events.find(e => e.type === "payoff" && e.date);
+  const payoffMonthKey = payoffEvent ? monthKeyFromISO(payoffEvent.date) : null;
+
+  // Servicer payments by calendar month (see Payment history)
+  const paymentMap = paymentsByMonth(loan.payments);
+  const lastActualKey = Object.keys(paymentMap).sort().at(-1) || null;
 
   const schedule = [];
 
   // State
   let balance = Number(principal || 0);
+  let accrued = 0;            // unpaid interest not yet capitalized
+  let prevPhase = null;
   let calendarDate = new Date(start.getFullYear(), start.getMonth(), 1);
   let deferralRemaining = 0;
   let deferralTotal = 0;
+  let forbearanceRemaining = 0;
+  let forbearanceTotal = 0;
+  const pastDueQueue = [];    // missed payments still unpaid, oldest first: { seq, amount }
+  let repaymentSeq = 0;       // repayment months so far (delinquency ages in these)
+  let dpd = 0;
+  let termEnd = totalMonths;  // contractual months; a modification may move it
+  let rateFixed = false;      // a modified rate stops variable resets
+  let segment = 0;
+
+  // Unpaid interest goes onto principal now ("monthly") or into the accrued bucket
+  function accrue(amount) {
+    if (capitalization === "monthly") balance = roundMoney(balance + amount);
+    else accrued = roundMoney(accrued + amount);
+  }
+
+  // Applies the month's prepayments and returns the principal they retired.
+  // A "recast" prepayment re-sizes the level payment on what is left over
+  // `monthsLeft`; plans that size their own payment re-size too.
+  function applyPrepayments(key, monthsLeft) {
+    let applied = 0;
+    let recast = false;
+    (prepayMap[key] || []).forEach(e => {
+      const amt = roundMoney(Number(e.amount || 0));
+      if (amt > 0) {
+        const take = Math.min(balance, amt);
+        applied = roundMoney(applied + take);
+        balance = roundMoney(balance - take);
+        if (getPrepaymentMode(loan, e) === "recast") recast = true;
+      }
+    });
+    if (recast && balance + accrued > 0) {
+      monthlyPayment = amortizingPayment(balance + accrued, monthlyRate, monthsLeft);
+      plan.recast?.();
+    }
+    return { applied, recast: recast && applied > 0 };
+  }
+
+  function delinquencyFields() {
+    const pastDue = sumMoney(pastDueQueue.map(d => d.amount));
+    return { pastDue, dpd, delinquency: getDelinquencyBucket(dpd) };
+  }
 
   // Contractual month loop
-  for (let i = 0; i < totalMonths; ) {
+  for (let i = 0; i < termEnd; ) {
     const loanDate = new Date(calendarDate);
     const isOwned = loanDate >= purchaseMonth;
     const isFirstOwnedMonth =
@@ -458,76 +1174,299 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
       loanDate.getFullYear() === purchaseMonth.getFullYear() &&
       loanDate.getMonth() === purchaseMonth.getMonth();
 
-    // Resolve fee waivers once per row (dynamic lookup)
-    const { waiveSetup, waiveMonthly } = resolveFeeWaiverFlags(userId, loan);
+    const monthsSinceLoanStart =
+      (calendarDate.getFullYear() - start.getFullYear()) * 12 +
+      (calendarDate.getMonth() - start.getMonth());
 
-    let feeThisMonth = 0;
-    if (isFirstOwnedMonth && user.role === "lender" && !waiveSetup) {
-      feeThisMonth += SETUP_FEE_AMOUNT;
+    // ==============================
+    // RATE RESET (variable loans)
+    // ==============================
+    let reset = null;
+    if (indexPath && !rateFixed && monthsSinceLoanStart > 0 && monthsSinceLoanStart % resetMonths === 0) {
+      const index = getIndexRate(indexPath, loanDate);
+      if (index) {
+        annualRate = resetRate(rateTerms, index.rate, annualRate);
+        monthlyRate = annualRate / 12;
+        rateProjected = index.projected;
+        reset = { rateReset: true, indexRate: index.rate };
+
+        // Re-amortize what is left over the months that remain; before
+        // repayment starts, on the same basis as the original payment
+        monthlyPayment = monthsSinceLoanStart >= graceMonths
+          ? amortizingPayment(balance + accrued, monthlyRate, Math.min(repaymentMonths, termEnd - i))
+          : amortizingPayment(Number(principal || 0), monthlyRate, repaymentMonths);
+      }
+    }
+
+    // ==============================
+    // MODIFICATION (starts a new segment)
+    // ==============================
+    const modification = modificationMap[monthKeyFromDate(calendarDate)];
+    let forgiven = 0;
+    if (modification) {
+      segment++;
+      if (modification.rate != null && modification.rate !== "") {
+        annualRate = Number(modification.rate);
+        monthlyRate = annualRate / 12;
+        rateProjected = false;
+        rateFixed = true;
+      }
+      if (Number(modification.remainingTermMonths) > 0) {
+        termEnd = i + Math.floor(Number(modification.remainingTermMonths));
+        repaymentMonths = Math.max(1, termEnd - graceMonths);
+      }
+      forgiven = Math.min(balance, roundMoney(Math.max(0, Number(modification.forgivenPrincipal) || 0)));
+      balance = roundMoney(balance - forgiven);
+
+      monthlyPayment = amortizingPayment(
+        balance + accrued,
+        monthlyRate,
+        monthsSinceLoanStart < graceMonths ? repaymentMonths : Math.max(1, Math.min(repaymentMonths, termEnd - i))
+      );
+      plan.recast?.();
+    }
+    const segmentFields = {
+      ...(hasModifications ? { segment } : {}),
+      ...(modification ? { modified: true, forgivenPrincipal: forgiven } : {})
+    };
+    const rateFields = rateTerms
+      ? { rate: annualRate, rateProjected, ...(reset || {}) }
+      : { rate: annualRate };
+
+    // ==============================
+    // DEFERRAL / FORBEARANCE START
+    // ==============================
+    const startKey = monthKeyFromDate(calendarDate);
+    if (deferralRemaining === 0 && deferralStartMap[startKey]) {
+      deferralRemaining = deferralStartMap[startKey];
+      deferralTotal = deferralStartMap[startKey];
+    }
+    if (forbearanceRemaining === 0 && forbearanceStartMap[startKey]) {
+      forbearanceRemaining = forbearanceStartMap[startKey];
+      forbearanceTotal = forbearanceStartMap[startKey];
+    }
+
+    // ==============================
+    // CAPITALIZATION
+    // ==============================
+    const phase = deferralRemaining > 0 ? "deferral"
+      : forbearanceRemaining > 0 ? "forbearance"
+      : monthsSinceLoanStart < graceMonths ? "grace"
+      : windowMap[startKey] ? windowMap[startKey].type
+      : "repayment";
+
+    let capitalized = 0;
+    if (accrued > 0 && capitalizesAt(capitalization, prevPhase, phase, monthsSinceLoanStart)) {
+      capitalized = accrued;
+      balance = roundMoney(balance + accrued);
+      accrued = 0;
+    }
+
+    // When repayment (re)starts, size the level payment on everything owed
+    if (capitalization !== "monthly" && phase === "repayment" && prevPhase && prevPhase !== "repayment") {
+      monthlyPayment = amortizingPayment(balance + accrued, monthlyRate, Math.max(1, Math.min(repaymentMonths, termEnd - i)));
     }
-    if (isOwned && !waiveMonthly) {
-      feeThisMonth += balance * MONTHLY_SERVICING_RATE;
+    prevPhase = phase;
+
+    const capitalizedFields = capitalized ? { capitalizedInterest: capitalized } : {};
+
+    // Fees for the month: setup when bought, servicing on the balance, and
+    // late / payoff fees when a rule charges them. The loan alone says nothing
+    // of the holder's portfolio, so servicing here is untiered (earnings tier it)
+    let feeThisMonth = 0;
+    if (isOwned) {
+      const pricing = { ...feeHolder, phase, date: calendarDate };
+      const isActualMonth = lastActualKey && startKey <= lastActualKey;
+      const isLate = isActualMonth
+        ? paymentMap[startKey]?.late === true
+        : missedMonths.has(startKey) && monthsSinceLoanStart >= graceMonths;
+      const setup = isFirstOwnedMonth ? evaluateFee(feeRules, "setup", pricing) : null;
+      const servicing = evaluateFee(feeRules, "servicing", pricing);
+      const late = isLate ? evaluateFee(feeRules, "late", pricing) : null;
+      const payoff = startKey === payoffMonthKey ? evaluateFee(feeRules, "payoff", pricing) : null;
+
+      feeThisMonth = sumMoney([
+        setup?.charged ? setup.amount : 0,
+        balance > 0 ? servicingFee(servicing, balance) : 0,
+        late?.charged ? late.amount : 0,
+        payoff?.charged ? payoff.amount : 0
+      ]);
     }
 
     // ==============================
     // DEFAULT (terminal)
     // ==============================
     if (defaultMonthKey && monthKeyFromDate(calendarDate) === defaultMonthKey) {
-      const applied = Math.min(balance, defaultRecovery);
-      balance -= applied;
+      const applied = Math.min(balance, roundMoney(defaultRecovery));
+      balance = roundMoney(balance - applied);
 
       schedule.push(
         normalizeDeferralFlags({
           monthIndex: schedule.length + 1,
           loanDate,
           displayDate: new Date(loanDate.getFullYear(), loanDate.getMonth(), 1),
-          payment: +applied.toFixed(2),
+          payment: roundMoney(applied),
           scheduledPrincipal: 0,
-          prepaymentPrincipal: +applied.toFixed(2),
-          principalPaid: +applied.toFixed(2),
+          prepaymentPrincipal: roundMoney(applied),
+          principalPaid: roundMoney(applied),
           interest: 0,
-          balance: +(balance).toFixed(2),
+          interestPaid: 0,
+          balance: roundMoney(balance),
           accruedInterest: 0,
-          feeThisMonth: +feeThisMonth.toFixed(2),
+          feeThisMonth: roundMoney(feeThisMonth),
           prepayment: 0,
           isOwned,
           ownershipDate: isOwned ? loanDate : null,
           defaulted: true,
           isTerminal: true,
-          recovery: +applied.toFixed(2),
-          contractualMonth: i + 1
+          recovery: roundMoney(applied),
+          chargeOffAmount: roundMoney(defaultChargeOff ?? balance + accrued),
+          contractualMonth: i + 1,
+          phase,
+          ...rateFields,
+          accruedInterestBalance: roundMoney(accrued),
+          ...capitalizedFields,
+          ...segmentFields,
+          ...delinquencyFields()
         })
       );
       break;
     }
 
     // ==============================
-    // DEFERRAL START
+    // PAYOFF / REFINANCE (terminal)
     // ==============================
-    const startKey = monthKeyFromDate(calendarDate);
-    if (deferralRemaining === 0 && deferralStartMap[startKey]) {
-      deferralRemaining = deferralStartMap[startKey];
-      deferralTotal = deferralStartMap[startKey];
+    if (payoffMonthKey && monthKeyFromDate(calendarDate) === payoffMonthKey) {
+      // Everything owed: the balance, uncapitalized interest and this month's interest
+      const interest = roundMoney(balance * monthlyRate);
+      const interestPaid = roundMoney(accrued + interest);
+      const principalPaid = balance;
+      balance = 0;
+      accrued = 0;
+      pastDueQueue.length = 0;
+      dpd = 0;
+
+      schedule.push(
+        normalizeDeferralFlags({
+          monthIndex: schedule.length + 1,
+          loanDate,
+          displayDate: new Date(loanDate.getFullYear(), loanDate.getMonth(), 1),
+          payment: roundMoney(principalPaid + interestPaid),
+          scheduledPrincipal: 0,
+          prepaymentPrincipal: roundMoney(principalPaid),
+          principalPaid: roundMoney(principalPaid),
+          prepayment: roundMoney(principalPaid),
+          interest: roundMoney(interest),
+          interestPaid: roundMoney(interestPaid),
+          balance: 0,
+          accruedInterest: 0,
+          feeThisMonth: roundMoney(feeThisMonth),
+          isDeferred: false,
+          deferralIndex: null,
+          deferralRemaining: null,
+          isOwned,
+          ownershipDate: isOwned ? loanDate : null,
+          contractualMonth: i + 1,
+          phase,
+          ...rateFields,
+          accruedInterestBalance: 0,
+          ...capitalizedFields,
+          ...segmentFields,
+          ...delinquencyFields(),
+          payoff: roundMoney(principalPaid + interestPaid),
+          payoffReason: payoffEvent.reason || "payoff",
+          isTerminal: true,
+          maturityDate: addMonths(calendarDate, 1)
+        })
+      );
+      break;
     }
 
     // ==============================
-    // DEFERRAL MONTH
+    // ACTUAL MONTH (payment history)
     // ==============================
-    if (deferralRemaining > 0) {
-      const accruedInterest = balance * monthlyRate;
-      balance += accruedInterest;
-
-      const key = monthKeyFromDate(loanDate);
-      const monthEvents = prepayMap[key] || [];
-      let prepaymentThisMonth = 0;
-      monthEvents.forEach(e => {
-        const amt = Number(e.amount || 0);
-        if (amt > 0) {
-          const applied = Math.min(balance, amt);
-          prepaymentThisMonth += applied;
-          balance -= applied;
-        }
-      });
+    if (lastActualKey && startKey <= lastActualKey) {
+      const paid = paymentMap[startKey] || { principal: 0, interest: 0, fees: 0, late: false };
+      const interest = roundMoney(balance * monthlyRate);
+
+      // Interest paid retires the accrued bucket first, then the month's
+      // interest; any more was interest already capitalized into the balance
+      const towardAccrued = Math.min(accrued, paid.interest);
+      accrued = roundMoney(accrued - towardAccrued);
+      const unpaidInterest = roundMoney(Math.max(0, interest - (paid.interest - towardAccrued)));
+      accrue(unpaidInterest);
+      const towardCapitalized = Math.min(balance, roundMoney(Math.max(0, paid.interest - towardAccrued - interest)));
+      balance = roundMoney(balance - towardCapitalized);
+      const principalPaid = Math.min(balance, paid.principal);
+      balance = roundMoney(balance - principalPaid);
+      if (monthsSinceLoanStart >= graceMonths) repaymentSeq++;
+
+      // Last month of history: project forward from the actual balance
+      if (startKey === lastActualKey && monthsSinceLoanStart + 1 >= graceMonths && balance + accrued > 0) {
+        monthlyPayment = amortizingPayment(balance + accrued, monthlyRate, Math.max(1, Math.min(repaymentMonths, termEnd - i - 1)));
+        plan.recast?.();
+      }
+
+      schedule.push(
+        normalizeDeferralFlags({
+          monthIndex: schedule.length + 1,
+          loanDate,
+          displayDate: new Date(loanDate.getFullYear(), loanDate.getMonth(), 1),
+          payment: roundMoney(principalPaid + paid.interest),
+          scheduledPrincipal: roundMoney(principalPaid),
+          prepaymentPrincipal: 0,
+          principalPaid: roundMoney(principalPaid),
+          prepayment: 0,
+          interest: roundMoney(interest),
+          interestPaid: roundMoney(paid.interest),
+          balance: roundMoney(balance),
+          accruedInterest: unpaidInterest,
+          feeThisMonth: roundMoney(feeThisMonth),
+          isDeferred: phase === "deferral" && !(principalPaid + paid.interest > 0),
+          deferralIndex: null,
+          deferralRemaining: null,
+          isOwned,
+          ownershipDate: isOwned ? loanDate : null,
+          contractualMonth: i + 1,
+          phase,
+          ...rateFields,
+          accruedInterestBalance: roundMoney(accrued),
+          ...capitalizedFields,
+          ...segmentFields,
+          ...delinquencyFields(),
+          actual: true,
+          feesPaid: roundMoney(paid.fees),
+          ...(towardCapitalized ? { capitalizedInterestPaid: towardCapitalized } : {}),
+          ...(paid.late ? { late: true } : {})
+        })
+      );
+
+      if (deferralRemaining > 0) deferralRemaining--;
+      if (forbearanceRemaining > 0) forbearanceRemaining--;
+      calendarDate = addMonths(calendarDate, 1);
+      i++;
+
+      if (balance <= 0 && accrued < 0.005) {
+        schedule[schedule.length - 1].isTerminal = true;
+        schedule[schedule.length - 1].isPaidOff = true;
+        schedule[schedule.length - 1].maturityDate = calendarDate;
+        break;
+      }
+      continue;
+    }
+
+    // ==============================
+    // DEFERRAL / FORBEARANCE MONTH
+    // ==============================
+    if (phase === "deferral" || phase === "forbearance") {
+      const isDeferred = phase === "deferral";
+      const accruedInterest = roundMoney(balance * monthlyRate);
+      accrue(accruedInterest);
+
+      const { applied: prepaymentThisMonth, recast } = applyPrepayments(
+        monthKeyFromDate(loanDate),
+        monthsSinceLoanStart < graceMonths ? repaymentMonths : Math.max(1, Math.min(repaymentMonths, termEnd - i - 1))
+      );
 
       schedule.push(
         normalizeDeferralFlags({
@@ -536,23 +1475,37 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
           displayDate: new Date(loanDate.getFullYear(), loanDate.getMonth(), 1),
           payment: 0,
           scheduledPrincipal: 0,
-          prepaymentPrincipal: +prepaymentThisMonth.toFixed(2),
-          principalPaid: +prepaymentThisMonth.toFixed(2),
-          prepayment: +prepaymentThisMonth.toFixed(2),
+          prepaymentPrincipal: roundMoney(prepaymentThisMonth),
+          principalPaid: roundMoney(prepaymentThisMonth),
+          prepayment: roundMoney(prepaymentThisMonth),
           interest: 0,
-          balance: +balance.toFixed(2),
-          accruedInterest: +accruedInterest.toFixed(2),
-          feeThisMonth: +feeThisMonth.toFixed(2),
-          isDeferred: true,
-          deferralIndex: deferralTotal - deferralRemaining,
-          deferralRemaining,
+          interestPaid: 0,
+          balance: roundMoney(balance),
+          accruedInterest: roundMoney(accruedInterest),
+          feeThisMonth: roundMoney(feeThisMonth),
+          isDeferred,
+          deferralIndex: isDeferred ? deferralTotal - deferralRemaining : null,
+          deferralRemaining: isDeferred ? deferralRemaining : null,
           isOwned,
           ownershipDate: isOwned ? loanDate : null,
-          contractualMonth: i + 1
+          contractualMonth: i + 1,
+          phase,
+          ...rateFields,
+          accruedInterestBalance: roundMoney(accrued),
+          ...capitalizedFields,
+          ...segmentFields,
+          ...delinquencyFields(),
+          ...(recast ? { recast: true } : {}),
+          ...(isDeferred ? {} : {
+            eventWindow: "forbearance",
+            forbearanceIndex: forbearanceTotal - forbearanceRemaining,
+            forbearanceRemaining
+          })
         })
       );
 
-      deferralRemaining--;
+      if (deferralRemaining > 0) deferralRemaining--;
+      if (forbearanceRemaining > 0) forbearanceRemaining--;
       calendarDate = addMonths(calendarDate, 1);
       i++;
       continue;
@@ -561,72 +1514,149 @@ const { waiveSetup, waiveMonthly, waiveAll } = resolveFeeWaiverFlags(userId, loa
 // ==============================
 // NORMAL MONTH
 // ==============================
-const interest = balance * monthlyRate;
+const interest = roundMoney(balance * monthlyRate);
 let scheduledPrincipal = 0;
 let prepaymentPrincipal = 0;
 let paymentAmt = 0;
 
-const monthsSinceLoanStart =
-  (calendarDate.getFullYear() - start.getFullYear()) * 12 +
-  (calendarDate.getMonth() - start.getMonth());
+let scheduledPayment = 0;
+let interestPaid = 0;
+let unpaidInterest = 0;
+let missed = false;
+let curePaid = 0;
 
 if (monthsSinceLoanStart < graceMonths) {
-  balance += interest;
+  unpaidInterest = interest;
+  accrue(interest);
 } else {
-  paymentAmt = originalMonthlyPayment;
-  scheduledPrincipal = Math.min(paymentAmt - interest, balance);
-  balance = Math.max(0, balance - scheduledPrincipal);
+  paymentAmt = roundMoney(plan.payment(monthsSinceLoanStart - graceMonths, {
+    balance: balance + accrued,
+    monthlyRate,
+    monthsLeft: Math.max(1, Math.min(repaymentMonths, termEnd - i)),
+    level: monthlyPayment
+  }));
+
+  // Payments are whole cents, so the last one settles what that rounding
+  // left over (at most a cent or so a month)
+  const owed = roundMoney(balance + accrued + interest);
+  if (i === termEnd - 1 && plan.type !== "incomeDriven" && Math.abs(owed - paymentAmt) <= 0.01 * repaymentMonths) {
+    paymentAmt = owed;
+  }
+  scheduledPayment = paymentAmt;
+
+  // Relief windows lower the payment for their months (never raise it)
+  if (phase === "interestOnly") {
+    paymentAmt = Math.min(paymentAmt, interest);
+  } else if (phase === "hardship") {
+    paymentAmt = Math.min(paymentAmt, roundMoney(Math.max(0, Number(windowMap[startKey].payment) || 0)));
+  }
 
-  const threshold = 0.01;
-  if (balance <= threshold) {
-    balance = 0;
+  // A missed payment becomes past due and leaves the month's interest unpaid
+  if (missedMonths.has(startKey) && paymentAmt > 0) {
+    pastDueQueue.push({ seq: repaymentSeq, amount: paymentAmt });
+    paymentAmt = 0;
+    missed = true;
   }
+
+  // Payment retires accrued interest first, then this month's interest, then principal
+  const towardAccrued = Math.min(accrued, paymentAmt);
+  accrued = roundMoney(accrued - towardAccrued);
+  const towardInterest = Math.min(interest, roundMoney(paymentAmt - towardAccrued));
+  interestPaid = roundMoney(towardAccrued + towardInterest);
+
+  // A payment below the interest (income-driven) leaves the rest unpaid
+  unpaidInterest = roundMoney(interest - towardInterest);
+  scheduledPrincipal = unpaidInterest > 0 ? 0 : Math.min(roundMoney(paymentAmt - interestPaid), balance);
+  accrue(unpaidInterest);
+  balance = roundMoney(Math.max(0, balance - scheduledPrincipal));
+
+  // Cure payments catch up what is past due, oldest first: accrued interest, then principal
+  (cureMap[startKey] || []).forEach(e => {
+    const owed = sumMoney(pastDueQueue.map(d => d.amount));
+    let cure = roundMoney(Math.min(owed, balance + accrued, e.amount != null ? Math.max(0, Number(e.amount) || 0) : owed));
+
+    const towardAccrued = Math.min(accrued, cure);
+    accrued = roundMoney(accrued - towardAccrued);
+    interestPaid = roundMoney(interestPaid + towardAccrued);
+    const towardPrincipal = Math.min(balance, roundMoney(cure - towardAccrued));
+    balance = roundMoney(balance - towardPrincipal);
+    scheduledPrincipal = roundMoney(scheduledPrincipal + towardPrincipal);
+    paymentAmt = roundMoney(paymentAmt + cure);
+    curePaid = roundMoney(curePaid + cure);
+
+    while (cure > 0 && pastDueQueue.length) {
+      const oldest = pastDueQueue[0];
+      const take = Math.min(oldest.amount, cure);
+      oldest.amount = roundMoney(oldest.amount - take);
+      cure = roundMoney(cure - take);
+      if (oldest.amount <= 0) pastDueQueue.shift();
+    }
+  });
+
+  dpd = pastDueQueue.length ? 30 * (repaymentSeq - pastDueQueue[0].seq + 1) : 0;
+  repaymentSeq++;
 }
 
     // Prepayments
-    const eventKey = monthKeyFromDate(loanDate);
-    const monthEvents = prepayMap[eventKey] || [];
-    let prepaymentThisMonth = 0;
-    monthEvents.forEach(e => {
-      const amt = Number(e.amount || 0);
-      if (amt > 0) {
-        const applied = Math.min(balance, amt);
-        prepaymentThisMonth += applied;
-        balance -= applied;
-      }
-    });
+    const { applied: prepaymentThisMonth, recast } = applyPrepayments(
+      monthKeyFromDate(loanDate),
+      monthsSinceLoanStart < graceMonths ? repaymentMonths : Math.max(1, Math.min(repaymentMonths, termEnd - i - 1))
+    );
     prepaymentPrincipal = prepaymentThisMonth;
 
+    const chargedOff = chargeOffDpd !== null && dpd >= chargeOffDpd;
+
     // Build row
     schedule.push(
       normalizeDeferralFlags({
         monthIndex: schedule.length + 1,
         loanDate,
         displayDate: new Date(loanDate.getFullYear(), loanDate.getMonth(), 1),
-        payment: +paymentAmt.toFixed(2),
-        scheduledPrincipal: +scheduledPrincipal.toFixed(2),
-        prepaymentPrincipal: +prepaymentPrincipal.toFixed(2),
-        principalPaid: +(scheduledPrincipal + prepaymentPrincipal).toFixed(2),
-        prepayment: +prepaymentPrincipal.toFixed(2),
-        interest: +interest.toFixed(2),
-        balance: +balance.toFixed(2),
-        accruedInterest: 0,
-        feeThisMonth: +feeThisMonth.toFixed(2),
+        payment: roundMoney(paymentAmt),
+        scheduledPayment: roundMoney(scheduledPayment),
+        scheduledPrincipal: roundMoney(scheduledPrincipal),
+        prepaymentPrincipal: roundMoney(prepaymentPrincipal),
+        principalPaid: roundMoney(scheduledPrincipal + prepaymentPrincipal),
+        prepayment: roundMoney(prepaymentPrincipal),
+        interest: roundMoney(interest),
+        interestPaid: roundMoney(interestPaid),
+        balance: roundMoney(balance),
+        accruedInterest: roundMoney(unpaidInterest),
+        feeThisMonth: roundMoney(feeThisMonth),
         isDeferred: false,
         deferralIndex: null,
         deferralRemaining: null,
         isOwned,
         ownershipDate: isOwned ? loanDate : null,
-        contractualMonth: i + 1
+        contractualMonth: i + 1,
+        phase,
+        ...rateFields,
+        accruedInterestBalance: roundMoney(accrued),
+        ...capitalizedFields,
+        ...segmentFields,
+        ...(phase === "hardship" || phase === "interestOnly" ? { eventWindow: phase } : {}),
+        ...delinquencyFields(),
+        ...(missed ? { missedPayment: true } : {}),
+        ...(curePaid ? { curePayment: roundMoney(curePaid) } : {}),
+        ...(recast ? { recast: true } : {}),
+        ...(chargedOff ? {
+          defaulted: true,
+          chargedOff: true,
+          isTerminal: true,
+          chargeOffAmount: roundMoney(balance + accrued)
+        } : {})
       })
     );
 
+    // Charge-off (terminal)
+    if (chargedOff) break;
+
     // Advance month
     calendarDate = addMonths(calendarDate, 1);
     i++;
 
     // Early paid-off check
-    if (balance <= 0) {
+    if (balance <= 0 && accrued < 0.005) {
       schedule[schedule.length - 1].isTerminal = true;
       schedule[schedule.length - 1].isPaidOff = true;
       schedule[schedule.length - 1].maturityDate = calendarDate;
@@ -634,29 +1664,70 @@ if (monthsSinceLoanStart < graceMonths) {
     }
   }
 
-  // Cumulative fields (only for owned periods)
+  // Cumulative fields (only for owned periods), summed in cents
   let cumP = 0, cumI = 0, cumPay = 0;
   schedule.forEach(r => {
     if (r.isOwned !== false) {
-      cumP += r.principalPaid;
-      cumI += r.interest;
-      cumPay += r.payment;
+      cumP += toCents(r.principalPaid);
+      cumI += toCents(r.interest);
+      cumPay += toCents(r.payment);
     }
-    r.cumPrincipal = +cumP.toFixed(2);
-    r.cumInterest = +cumI.toFixed(2);
-    r.cumPayment = +cumPay.toFixed(2);
+    r.cumPrincipal = fromCents(cumP);
+    r.cumInterest = fromCents(cumI);
+    r.cumPayment = fromCents(cumPay);
   });
 
   if (schedule.length) {
     const last = schedule[schedule.length - 1];
-    last.isPaidOff = last.balance <= 0;
+    last.isPaidOff = last.balance <= 0 && !(last.accruedInterestBalance > 0);
   }
-  
+
   return schedule;
 }
 
+// -------------------------------
+// Ledger checks (validation mode, see money.js)
+// -------------------------------
+//
+// Every row must tie out: principal retired so far (paid, forgiven, or paid
+// as capitalized interest) plus the balance equals the original principal
+// plus interest capitalized so far. Under "monthly" capitalization each
+// month's unpaid interest (accruedInterest) is capitalized as it accrues.
+// Neither balance may go negative, and cumPrincipal / cumInterest /
+// cumPayment must equal the sums of the monthly fields over owned rows.
+//
+export function checkAmortLedger(loan, schedule) {
+  const violations = [];
+  const at = (month, check) => ({ engine: "amort", loanId: loan.loanId ?? loan.id, month, check });
+  const capitalizesMonthly = getCapitalizationPolicy(loan) === "monthly";
+
+  let capitalized = 0, retired = 0;
+  let cumP = 0, cumI = 0, cumPay = 0;
+  schedule.forEach(r => {
+    capitalized += toCents(r.capitalizedInterest) + (capitalizesMonthly ? toCents(r.accruedInterest) : 0);
+    retired += toCents(r.principalPaid) + toCents(r.forgivenPrincipal) + toCents(r.capitalizedInterestPaid);
+    expectMoney(violations, at(r.monthIndex, "balance"),
+      fromCents(toCents(loan.principal) + capitalized - retired), r.balance);
+
+    if (r.balance < 0) violations.push({ ...at(r.monthIndex, "negativeBalance"), expected: 0, actual: r.balance });
+    if (r.accruedInterestBalance < 0) {
+      violations.push({ ...at(r.monthIndex, "negativeAccruedInterest"), expected: 0, actual: r.accruedInterestBalance });
+    }
 
-export function getCanonicalCurrentAmortRow(schedule, today = new Date()) {
+    if (r.isOwned !== false) {
+      cumP += toCents(r.principalPaid);
+      cumI += toCents(r.interest);
+      cumPay += toCents(r.payment);
+    }
+    expectMoney(violations, at(r.monthIndex, "cumPrincipal"), fromCents(cumP), r.cumPrincipal);
+    expectMoney(violations, at(r.monthIndex, "cumInterest"), fromCents(cumI), r.cumInterest);
+    expectMoney(violations, at(r.monthIndex, "cumPayment"), fromCents(cumPay), r.cumPayment);
+  });
+
+  return violations;
+}
+
+export function getCanonicalCurrentAmortRow(schedule, today = getStandardToday()) {
   if (!schedule?.length) return null;
 
   const y = today.getFullYear();
@@ -675,7 +1746,7 @@ export function getCanonicalCurrentAmortRow(schedule, today = new Date()) {
 }
 
 // loanEngine.js
-export function getCurrentLoanBalance(loan, today = new Date()) {
+export function getCurrentLoanBalance(loan, today = getStandardToday()) {
   const sched = loan?.amort?.schedule || loan?.cumSchedule || [];
   const row = getCanonicalCurrentAmortRow(sched, today);
   return Number(row?.balance || 0);
@@ -695,9 +1766,10 @@ export function attachSchedules(input) {
   }));
 }
 
-export function buildPortfolioViews(loansWithAmort) {
+// Expected income starts the month after `asOf` (default today)
+export function buildPortfolioViews(loansWithAmort, { asOf } = {}) {
   
-  const TODAY = new Date();
+  const TODAY = resolveAsOf(asOf);
   const nextMonthDate = new Date(TODAY.getFullYear(), TODAY.getMonth() + 1, 1);
 
   // ----------------------------------------------
@@ -714,7 +1786,7 @@ export function buildPortfolioViews(loansWithAmort) {
     return loansWithAmort.reduce((sum, loan) => {
       const purchaseDate = parseISODateLocal(loan.purchaseDate) 
   || parseISODateLocal(loan.loanStartDate) 
-  || new Date();  // fallback to today if both missing
+  || TODAY;  // fallback to the as-of date if both missing
 
       return sum + loan.amort.schedule
         .filter(r => {
@@ -722,7 +1794,7 @@ export function buildPortfolioViews(loansWithAmort) {
           const sameMonth = sameMonthYear(payDate, targetMonthDate);
           return sameMonth && owned;
         })
-        .reduce((s, r) => s + r.payment, 0);
+        .reduce((s, r) => s + toCents(r.payment), 0);
     }, 0);
   }
 
@@ -738,10 +1810,10 @@ export function buildPortfolioViews(loansWithAmort) {
     incomeLabels.push(
       d.toLocaleDateString("en-US", { month: "short", year: "numeric" })
     );
-    incomePayments.push(calcMonthlyExpectedIncome(d));
+    incomePayments.push(fromCents(calcMonthlyExpectedIncome(d)));
   }
 
-  const monthlyIncomeKpi = calcMonthlyExpectedIncome(nextMonthDate);
+  const monthlyIncomeKpi = fromCents(calcMonthlyExpectedIncome(nextMonthDate));
 
 
   // ----------------------------------------------
@@ -770,16 +1842,14 @@ const purchasePrice = Number(loan.purchasePrice ?? loan.principal ?? 0);
     roiSeries[loan.id] = loan.amort.schedule
       .filter(r => r.loanDate >= purchase)
 .map(r => {
-  // accumulate realized components
-  cumInterest  += r.interest;
-  cumPrincipal += getTotalPrincipalPaid(r);
-  
-  const feeThisMonth = Number(r.feeThisMonth ?? 0);
-  cumFees += feeThisMonth;
+  // accumulate realized components (cents)
+  cumInterest  += toCents(r.interest);
+  cumPrincipal += toCents(getTotalPrincipalPaid(r));
+  cumFees      += toCents(r.feeThisMonth);
 
-  const realized   = cumPrincipal + cumInterest - cumFees;
-  const unrealized = r.balance * 0.95;
-  const loanValue  = realized + unrealized;
+  const realized   = fromCents(cumPrincipal + cumInterest - cumFees);
+  const unrealized = roundMoney(r.balance * 0.95);
+  const loanValue  = roundMoney(realized + unrealized);
 
   const roi = purchasePrice
     ? (loanValue - purchasePrice) / purchasePrice
@@ -793,9 +1863,9 @@ const purchasePrice = Number(loan.purchasePrice ?? loan.principal ?? 0);
     realized,
     unrealized,
     balance: r.balance,
-    cumInterest,
-    cumPrincipal,
-    cumFees,
+    cumInterest: fromCents(cumInterest),
+    cumPrincipal: fromCents(cumPrincipal),
+    cumFees: fromCents(cumFees),
     ownershipDate: r.ownershipDate
   };
 });
@@ -839,13 +1909,13 @@ if (!start) {
     const owned = r.loanDate >= purchase;
 
     // suppress earnings pre-ownership
-    const principal = owned ? getTotalPrincipalPaid(r) : 0;
+    const principal = owned ? roundMoney(getTotalPrincipalPaid(r)) : 0;
     const interest  = owned ? r.interest       : 0;
     const fees      = owned ? Number(r.feeThisMonth ?? 0) : 0;
 
-    cumPrincipal += principal;
-    cumInterest  += interest;
-    cumFees      += fees;
+    cumPrincipal += toCents(principal);
+    cumInterest  += toCents(interest);
+    cumFees      += toCents(fees);
 
     return {
       loanDate: r.loanDate,
@@ -861,13 +1931,13 @@ if (!start) {
       monthlyPrincipal: principal,
       monthlyInterest: interest,
       monthlyFees: fees,
-      monthlyNet: principal + interest - fees,
+      monthlyNet: sumMoney([principal, interest, -fees]),
 
       // cumulative
-      cumPrincipal,
-      cumInterest,
-      cumFees,
-      netEarnings: cumPrincipal + cumInterest - cumFees,
+      cumPrincipal: fromCents(cumPrincipal),
+      cumInterest: fromCents(cumInterest),
+      cumFees: fromCents(cumFees),
+      netEarnings: fromCents(cumPrincipal + cumInterest - cumFees),
 
       balance: r.balance
     };
@@ -901,14 +1971,12 @@ loan.displayEarningsTimeline = displayTimeline;
   // 4) Amort KPIs (Total Invested, Portfolio Value, etc.)
   // ----------------------------------------------
 
-  const totalInvested = loansWithAmort.reduce((sum, loan) => {
-    return sum + loan.principal;
-  }, 0);
+  const totalInvested = sumMoney(loansWithAmort.map(loan => loan.principal));
 
-  const portfolioValue = loansWithAmort.reduce((sum, loan) => {
+  const portfolioValue = sumMoney(loansWithAmort.map(loan => {
     const last = loan.amort.schedule[loan.amort.schedule.length - 1];
-    return sum + last.balance;
-  }, 0);
+    return last.balance;
+  }));
 
   const amortKpis = {
     totalInvested,
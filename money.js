@@ -0,0 +1,84 @@
+// money.js — cent-exact money arithmetic and ledger invariant checks
+//
+// Rows keep amounts in dollars, but every amount the engines book is
+// rounded to whole cents when it is computed, and running totals are summed
+// in integer cents. Ledgers then tie out to the cent instead of drifting
+// with floating-point error (0.1 + 0.2 !== 0.3).
+//
+// Validation mode (setLedgerChecks(true)) makes the engines check their own
+// ledgers as they build them. What fails is collected here, not logged;
+// takeLedgerViolations() hands the list to whoever asked for the checks.
+
+// ===============================
+// Cents
+// ===============================
+
+// Dollars → integer cents, half away from zero. toPrecision(15) drops the
+// binary noise first, so 1.005 is 101 cents, not 100.
+export function toCents(amount) {
+  const n = Number(amount);
+  if (!Number.isFinite(n)) return 0;
+  const cents = Math.round(Number((Math.abs(n) * 100).toPrecision(15)));
+  return n < 0 ? -cents : cents;
+}
+
+export function fromCents(cents) {
+  return cents / 100;
+}
+
+// Dollars rounded to the cent
+export function roundMoney(amount) {
+  return fromCents(toCents(amount));
+}
+
+// Exact sum of dollar amounts (each rounded to the cent first)
+export function sumMoney(amounts) {
+  let cents = 0;
+  for (const a of amounts) cents += toCents(a);
+  return fromCents(cents);
+}
+
+export function sameMoney(a, b) {
+  return toCents(a) === toCents(b);
+}
+
+// ===============================
+// Ledger checks (validation mode)
+// ===============================
+//
+// A violation is { engine, loanId, month, check, expected, actual }:
+// `month` is the row's monthIndex (or null for a whole-loan check), and
+// `check` names the invariant, e.g. "balance", "cumPrincipal".
+
+let LEDGER_CHECKS = false;
+const VIOLATIONS = new Map();
+
+export function setLedgerChecks(enabled) {
+  LEDGER_CHECKS = enabled === true;
+  VIOLATIONS.clear();
+}
+
+export function ledgerChecksEnabled() {
+  return LEDGER_CHECKS;
+}
+
+// Engines rebuild the same schedule more than once per request; the same
+// violation is kept once
+export function reportLedgerViolations(violations) {
+  violations.forEach(v => {
+    VIOLATIONS.set(`${v.engine}|${v.loanId}|${v.month}|${v.check}`, v);
+  });
+}
+
+export function takeLedgerViolations() {
+  const list = [...VIOLATIONS.values()];
+  VIOLATIONS.clear();
+  return list;
+}
+
+// Pushes a violation onto `out` when `actual` is off from `expected` by a cent or more
+export function expectMoney(out, { engine, loanId, month = null, check }, expected, actual) {
+  if (!sameMoney(expected, actual)) {
+    out.push({ engine, loanId, month, check, expected: roundMoney(expected), actual: roundMoney(actual) });
+  }
+}
@@ -53,6 +53,12 @@ export function normalizeLoan(l) {
 
     feeWaiver: l.feeWaiver || "none",
     events: Array.isArray(l.events) ? l.events : [],
+    ...(l.variableRate ? { variableRate: l.variableRate } : {}),
+    ...(l.repaymentPlan ? { repaymentPlan: l.repaymentPlan } : {}),
+    ...(l.capitalization ? { capitalization: l.capitalization } : {}),
+    ...(l.chargeOffDpd ? { chargeOffDpd: l.chargeOffDpd } : {}),
+    ...(l.prepaymentMode ? { prepaymentMode: l.prepaymentMode } : {}),
+    ...(Array.isArray(l.payments) && l.payments.length ? { payments: l.payments } : {}),
 
     ownershipLots,
 
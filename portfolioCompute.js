@@ -0,0 +1,220 @@
+// portfolioCompute.js — the reporting engines, run on stored data
+//
+// Same engines the pages import (loanEngine, earningsEngine, roiEngine),
+// fed from data/loans.json + data/platformConfig.json instead of page
+// fetches, so the worker's /loans/:id/amort, /loans/:id/earnings and
+// /portfolio/:user/* routes give the numbers the pages show.
+//
+// The engines read fee settings, rate indices and users from module
+// globals (GLOBAL_FEE_CONFIG, RATE_INDICES, USERS). Every entry point
+// below sets them from the config it is given and then runs
+// synchronously, so requests with different configs never see each
+// other's settings.
+//
+// Dates in results are local YYYY-MM-DD strings (see toJsonDates).
+//
+// With { checks: true } the engines run in validation mode (see money.js)
+// and the result also carries `ledgerViolations` (empty when every ledger
+// ties out to the cent).
+
+import {
+  buildAmortSchedule,
+  setGlobalFeeConfig,
+  setRateIndices,
+  getPortfolioStartDate,
+  getStandardToday,
+  computeDelinquencyRoll
+} from "./loanEngine.js?v=dev";
+import { setUsers } from "./users.js?v=dev";
+import { setLedgerChecks, takeLedgerViolations } from "./money.js?v=dev";
+import { normalizeOwnership, getUserOwnershipPct } from "./ownershipEngine.js?v=dev";
+import {
+  buildEarningsSchedule,
+  buildHolderBalances,
+  getCanonicalCurrentEarningsRow,
+  computePortfolioEarningsKPIs
+} from "./earningsEngine.js?v=dev";
+import {
+  deriveLoansWithRoi,
+  computeKPIs,
+  buildProjectedRoiTimeline,
+  buildHistoricalRoiTimeline
+} from "./roiEngine.js?v=dev";
+
+const DEFAULT_FEES = { setupFee: 150, monthlyServicingBps: 25 };
+
+function applyPlatformConfig(config = {}) {
+  setGlobalFeeConfig(config.fees || DEFAULT_FEES);
+  setRateIndices(config.rateIndices);
+  setUsers(config.users);
+}
+
+// Runs `compute` with ledger checks on when asked, and adds what they found
+function withLedgerChecks(checks, compute) {
+  setLedgerChecks(checks === true);
+  try {
+    const result = compute();
+    return checks === true ? { ...result, ledgerViolations: takeLedgerViolations() } : result;
+  } finally {
+    setLedgerChecks(false);
+  }
+}
+
+// ===============================
+// Normalization
+// ===============================
+
+// A stored loan in the shape the engines expect (never mutates `raw`)
+function engineLoan(raw) {
+  const loan = structuredClone(raw);
+  normalizeOwnership(loan);
+  return {
+    ...loan,
+    id: loan.loanId,
+    name: loan.loanName ?? `Loan ${loan.loanId}`,
+    principal: Number(loan.principal ?? 0),
+    purchasePrice: Number(loan.purchasePrice ?? 0),
+    nominalRate: Number(loan.nominalRate ?? 0),
+    termYears: Number(loan.termYears ?? 0),
+    graceYears: Number(loan.graceYears ?? 0),
+    events: Array.isArray(loan.events) ? loan.events : []
+  };
+}
+
+function userLots(loan, userId) {
+  return (loan.ownershipLots || []).filter(lot => lot.user === userId && Number(lot.pct) > 0);
+}
+
+// The loan as one holder sees it: their share, what they paid, and the
+// date their first lot was bought (same basis as the ROI and earnings pages)
+function holderLoan(raw, userId) {
+  const loan = engineLoan(raw);
+  const lots = userLots(loan, userId);
+  const firstPurchase = lots.map(lot => lot.purchaseDate).filter(Boolean).sort()[0];
+  return {
+    ...loan,
+    purchaseDate: firstPurchase || loan.purchaseDate,
+    ownershipPct: getUserOwnershipPct(loan, userId),
+    userPurchasePrice: lots.reduce((s, lot) => s + (Number(lot.pricePaid) || 0), 0)
+  };
+}
+
+// Every visible loan `userId` holds a lot in, as that holder sees it. The
+// React app builds its pages from these too.
+export function holderLoans(rawLoans, userId) {
+  return rawLoans
+    .filter(l => l.visible !== false && userLots(l, userId).length)
+    .map(l => holderLoan(l, userId));
+}
+
+// `balances`: buildHolderBalances over the holder's loans (tiered servicing)
+function earningsFor(loan, userId, today, balances) {
+  return buildEarningsSchedule({
+    amortSchedule: buildAmortSchedule(loan),
+    loanStartDate: loan.loanStartDate,
+    ownershipLots: loan.ownershipLots,
+    user: userId,
+    events: loan.events,
+    today,
+    loanId: loan.loanId,
+    feeWaiver: loan.feeWaiver,
+    portfolioBalances: balances
+  });
+}
+
+// Dates → local "YYYY-MM-DD" (JSON.stringify would give UTC timestamps,
+// which shift a month-start date into the previous month west of UTC)
+export function toJsonDates(value) {
+  if (value instanceof Date) {
+    if (!Number.isFinite(value.getTime())) return null;
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, "0")}-${String(value.getDate()).padStart(2, "0")}`;
+  }
+  if (Array.isArray(value)) return value.map(toJsonDates);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toJsonDates(v)]));
+  }
+  return value;
+}
+
+// ===============================
+// Per loan
+// ===============================
+
+export function computeLoanAmort(raw, config, { checks = false } = {}) {
+  applyPlatformConfig(config);
+  const loan = engineLoan(raw);
+  return withLedgerChecks(checks, () => toJsonDates({
+    loanId: loan.loanId,
+    purchaseDate: loan.purchaseDate,
+    schedule: buildAmortSchedule(loan)
+  }));
+}
+
+// One holder's earnings on the loan (rows only for months they own).
+// `portfolio` is every loan, for tiered servicing; without it the holder's
+// balance is this loan's alone.
+export function computeLoanEarnings(raw, userId, config, { today = getStandardToday(), checks = false, portfolio = [raw] } = {}) {
+  applyPlatformConfig(config);
+  const loan = holderLoan(raw, userId);
+  return withLedgerChecks(checks, () => {
+    const balances = buildHolderBalances(holderLoans(portfolio, userId), userId);
+    const schedule = earningsFor(loan, userId, today, balances);
+    return toJsonDates({
+      loanId: loan.loanId,
+      user: userId,
+      ownershipPct: loan.ownershipPct,
+      invested: loan.userPurchasePrice,
+      asOf: today,
+      current: getCanonicalCurrentEarningsRow(schedule, today),
+      schedule
+    });
+  });
+}
+
+// ===============================
+// Per portfolio (one holder)
+// ===============================
+
+export function computePortfolioKpis(rawLoans, userId, config, { today = getStandardToday(), checks = false } = {}) {
+  applyPlatformConfig(config);
+  const asOfMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+  const loans = holderLoans(rawLoans, userId);
+
+  return withLedgerChecks(checks, () => {
+    // ROI KPIs count loans bought by the as-of month (roiPhase2 getLoansForKpis)
+    const roiLoans = deriveLoansWithRoi(loans)
+      .filter(l => new Date(`${l.purchaseDate}T00:00:00`) <= asOfMonth);
+
+    // Earnings KPIs price each loan at what this holder paid (earningsPhase2)
+    const balances = buildHolderBalances(loans, userId);
+    const loansWithEarnings = loans.map(l => ({
+      ...l,
+      purchasePrice: l.userPurchasePrice,
+      earningsSchedule: earningsFor(l, userId, today, balances)
+    }));
+
+    return toJsonDates({
+      user: userId,
+      asOf: today,
+      loanCount: loans.length,
+      roi: computeKPIs(roiLoans, asOfMonth),
+      earnings: computePortfolioEarningsKPIs(loansWithEarnings, today, getPortfolioStartDate(loansWithEarnings, today)),
+      delinquency: computeDelinquencyRoll(loans.map(l => ({ amort: { schedule: buildAmortSchedule(l) } })), today)
+    });
+  });
+}
+
+// Monthly ROI per loan + invested-weighted portfolio ROI.
+// Projected runs to the latest maturity; historical stops at `today`.
+export function computeRoiTimeline(rawLoans, userId, config, { today = getStandardToday(), historical = false, checks = false } = {}) {
+  applyPlatformConfig(config);
+  return withLedgerChecks(checks, () => {
+    const loans = deriveLoansWithRoi(holderLoans(rawLoans, userId));
+    const timeline = historical ? buildHistoricalRoiTimeline(loans, { asOf: today }) : buildProjectedRoiTimeline(loans);
+    return toJsonDates({
+      user: userId,
+      kind: historical ? "historical" : "projected",
+      ...timeline
+    });
+  });
+}
@@ -1,15 +1,15 @@
-import { useEffect } from 'react'
+import { useEffect, useState } from 'react'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import AppShell from './components/AppShell'
 import ReportingPage from './pages/ReportingPage'
 import RoiDetailPage from './pages/RoiDetailPage'
 import { UserProvider, useUser } from './context/UserContext'
+import { AsOfProvider } from './context/AsOfContext'
 import EarningsDetailPage from './pages/EarningsDetailPage'
 import AmortDetailPage from './pages/AmortDetailPage'
-import { setGlobalFeeConfig } from './utils/loanEngine'
-import platformConfig from './data/platformConfig.json'
-
-import { loadUsers } from './utils/users'
+import { setGlobalFeeConfig, setRateIndices, setUsers, loadUsers } from './utils/engine'
+import type { FeeRule } from './utils/engine'
+import platformConfig from '../../data/platformConfig.json'
 
 /** Builds Routes so the "/" element is recreated whenever user changes (key forces remount). */
 function AppRoutes() {
@@ -25,22 +25,35 @@ function AppRoutes() {
 }
 
 export default function App() {
+  // Bumped once the live config is installed, to remount the pages on it
+  const [configKey, setConfigKey] = useState(0)
+
   useEffect(() => {
     setGlobalFeeConfig({
-      setupFee: Number(platformConfig.fees?.setupFee ?? 0),
-      monthlyServicingBps: Number(platformConfig.fees?.monthlyServicingBps ?? 0),
+      schedule: platformConfig.fees?.schedule ?? [],
+      rules: (platformConfig.fees?.rules ?? []) as FeeRule[],
+    })
+    setRateIndices(platformConfig.rateIndices)
+    setUsers(platformConfig.users)
+
+    // The live config replaces the bundled one (same as the HTML pages)
+    loadUsers().then(config => {
+      if (!config) return
+      if (config.fees) setGlobalFeeConfig(config.fees)
+      if (config.rateIndices) setRateIndices(config.rateIndices)
+      setConfigKey(k => k + 1)
     })
-  
-    loadUsers()
   }, [])
 
   return (
     <UserProvider>
-      <BrowserRouter basename="/reporting-phase2/react">
-        <AppShell>
-          <AppRoutes />
-        </AppShell>
-      </BrowserRouter>
+      <AsOfProvider>
+        <BrowserRouter basename="/reporting-phase2/react">
+          <AppShell>
+            <AppRoutes key={configKey} />
+          </AppShell>
+        </BrowserRouter>
+      </AsOfProvider>
     </UserProvider>
   )
 }
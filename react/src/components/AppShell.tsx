@@ -1,5 +1,7 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { useLocation, useNavigate } from 'react-router-dom'
 import { useUser } from '../context/UserContext'
+import { useAsOf } from '../context/AsOfContext'
 import type { UserId } from '../context/UserContext'
 
 const NAV_ITEMS = [
@@ -21,6 +23,19 @@ const USER_OPTIONS: { value: UserId; label: string }[] = [
 export default function AppShell({ children }: { children: React.ReactNode }) {
   const [expanded, setExpanded] = useState(false)
   const { userId, setUserId } = useUser()
+  const { asOfParam, setAsOf } = useAsOf()
+  const location = useLocation()
+  const navigate = useNavigate()
+
+  // Keep ?asOf= in the address across page links (they navigate without it)
+  useEffect(() => {
+    const params = new URLSearchParams(location.search)
+    if ((params.get('asOf') ?? '') === asOfParam) return
+    if (asOfParam) params.set('asOf', asOfParam)
+    else params.delete('asOf')
+    const search = params.toString()
+    navigate({ pathname: location.pathname, search: search ? `?${search}` : '' }, { replace: true })
+  }, [asOfParam, location.pathname, location.search, navigate])
 
   const displayName = USER_OPTIONS.find(u => u.value === userId)?.label ?? userId
 
@@ -112,6 +127,47 @@ export default function AppShell({ children }: { children: React.ReactNode }) {
             style={{ height: 42, marginRight: 'auto' }}
           />
 
+          {/* As-of date: every figure is computed as of it */}
+          <div
+            style={{ display: 'flex', alignItems: 'center', gap: 6 }}
+            title="Compute every figure as of this date"
+          >
+            <span style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 500 }}>
+              As of:
+            </span>
+            <input
+              type="date"
+              value={asOfParam}
+              max={new Date().toISOString().slice(0, 10)}
+              onChange={e => setAsOf(e.target.value)}
+              style={{
+                padding: '4px 8px',
+                borderRadius: 8,
+                border: '1px solid var(--border)',
+                background: 'var(--card)',
+                color: 'var(--text)',
+                fontSize: 13,
+              }}
+            />
+            {asOfParam && (
+              <button
+                type="button"
+                onClick={() => setAsOf('')}
+                style={{
+                  padding: '4px 10px',
+                  borderRadius: 8,
+                  border: '1px solid var(--border)',
+                  background: 'var(--card)',
+                  color: 'var(--text)',
+                  fontSize: 12,
+                  cursor: 'pointer',
+                }}
+              >
+                Today
+              </button>
+            )}
+          </div>
+
           {/* DEV user switcher */}
           <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
             <span style={{ fontSize: 12, color: 'var(--muted)', fontWeight: 500 }}>
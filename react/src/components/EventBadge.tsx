@@ -1,7 +1,18 @@
 import { useState } from 'react'
 import { Tooltip } from './Tooltip'
 
-export type EventType = 'prepayment' | 'deferral' | 'default'
+export type EventType =
+  | 'prepayment'
+  | 'deferral'
+  | 'forbearance'
+  | 'hardship'
+  | 'interestOnly'
+  | 'missedPayment'
+  | 'curePayment'
+  | 'default'
+  | 'recovery'
+  | 'modification'
+  | 'payoff'
 
 export interface LoanEvent {
   type: EventType
@@ -10,6 +21,12 @@ export interface LoanEvent {
   months?: number
   startDate?: string
   recovered?: number
+  payment?: number
+  collectionCost?: number
+  rate?: number | null
+  remainingTermMonths?: number | null
+  forgivenPrincipal?: number | null
+  reason?: string
 }
 
 interface Props {
@@ -24,13 +41,29 @@ const fmt$ = (n: number) => n.toLocaleString('en-US', { style: 'currency', curre
 const EVENT_MAP: Record<EventType, { icon: string; label: string; bg: string; color: string; border: string }> = {
   prepayment: { icon: '💰', label: 'Prepay',   bg: 'rgba(34,197,94,0.15)',  color: '#166534', border: 'rgba(34,197,94,0.35)'  },
   deferral:   { icon: '⏸',  label: 'Deferral', bg: 'rgba(234,179,8,0.15)', color: '#92400e', border: 'rgba(234,179,8,0.35)'  },
+  forbearance:  { icon: '🛟', label: 'Forbearance',   bg: 'rgba(249,115,22,0.15)', color: '#9a3412', border: 'rgba(249,115,22,0.35)' },
+  hardship:     { icon: '🩹', label: 'Hardship',      bg: 'rgba(168,85,247,0.15)', color: '#6b21a8', border: 'rgba(168,85,247,0.35)' },
+  interestOnly: { icon: '％', label: 'Interest-only', bg: 'rgba(59,130,246,0.15)', color: '#1e40af', border: 'rgba(59,130,246,0.35)' },
+  missedPayment: { icon: '⏰', label: 'Missed',       bg: 'rgba(220,38,38,0.10)', color: '#991b1b', border: 'rgba(220,38,38,0.30)' },
+  curePayment:   { icon: '✅', label: 'Cure',         bg: 'rgba(20,184,166,0.15)', color: '#115e59', border: 'rgba(20,184,166,0.35)' },
   default:    { icon: '⚠️', label: 'Default',  bg: 'rgba(239,68,68,0.12)', color: '#b91c1c', border: 'rgba(239,68,68,0.35)'  },
+  recovery:   { icon: '↩️', label: 'Recovery', bg: 'rgba(100,116,139,0.15)', color: '#334155', border: 'rgba(100,116,139,0.35)' },
+  modification: { icon: '🔧', label: 'Modified', bg: 'rgba(100,116,139,0.15)', color: '#334155', border: 'rgba(100,116,139,0.35)' },
+  payoff:       { icon: '🏁', label: 'Paid off', bg: 'rgba(14,165,233,0.15)', color: '#075985', border: 'rgba(14,165,233,0.35)' },
 }
 
 const ROUND_BG: Record<EventType, { bg: string; color: string }> = {
   prepayment: { bg: '#d1fae5', color: '#10b981' },
   deferral:   { bg: '#fef3c7', color: '#d97706' },
+  forbearance:  { bg: '#ffedd5', color: '#ea580c' },
+  hardship:     { bg: '#f3e8ff', color: '#9333ea' },
+  interestOnly: { bg: '#dbeafe', color: '#2563eb' },
+  missedPayment: { bg: '#fee2e2', color: '#b91c1c' },
+  curePayment:   { bg: '#ccfbf1', color: '#0d9488' },
   default:    { bg: '#fee2e2', color: '#ef4444' },
+  recovery:   { bg: '#f1f5f9', color: '#475569' },
+  modification: { bg: '#f1f5f9', color: '#475569' },
+  payoff:       { bg: '#e0f2fe', color: '#0284c7' },
 }
 
 function buildTooltipLines(type: EventType, event?: LoanEvent, tooltip?: string): string[] {
@@ -56,6 +89,26 @@ function buildTooltipLines(type: EventType, event?: LoanEvent, tooltip?: string)
         ...(event.months ? [`Months: ${event.months}`] : []),
       ]
 
+    case 'forbearance':
+    case 'hardship':
+    case 'interestOnly':
+      return [
+        EVENT_MAP[type].label,
+        ...(event.startDate ? [`Start: ${event.startDate}`] : []),
+        ...(event.months ? [`Months: ${event.months}`] : []),
+        ...(type === 'hardship' && event.payment !== undefined ? [`Payment: ${fmt$(event.payment)}/mo`] : []),
+      ]
+
+    case 'missedPayment':
+      return ['Missed payment', ...(event.date ? [`Date: ${event.date}`] : [])]
+
+    case 'curePayment':
+      return [
+        'Cure payment',
+        ...(event.date ? [`Date: ${event.date}`] : []),
+        `Amount: ${event.amount !== undefined ? fmt$(event.amount) : 'All past due'}`,
+      ]
+
     case 'default':
       return [
         'Default',
@@ -65,6 +118,29 @@ function buildTooltipLines(type: EventType, event?: LoanEvent, tooltip?: string)
           : []),
       ]
 
+    case 'recovery':
+      return [
+        'Recovery',
+        ...(event.date ? [`Date: ${event.date}`] : []),
+        ...(event.amount !== undefined ? [`Amount: ${fmt$(event.amount)}`] : []),
+        ...(event.collectionCost ? [`Collection cost: ${fmt$(event.collectionCost)}`] : []),
+      ]
+
+    case 'modification':
+      return [
+        'Modification',
+        ...(event.date ? [`Date: ${event.date}`] : []),
+        ...(event.rate != null ? [`New rate: ${(event.rate * 100).toFixed(2)}%`] : []),
+        ...(event.remainingTermMonths ? [`Remaining term: ${event.remainingTermMonths} mo`] : []),
+        ...(event.forgivenPrincipal ? [`Forgiven: ${fmt$(event.forgivenPrincipal)}`] : []),
+      ]
+
+    case 'payoff':
+      return [
+        event.reason === 'refinance' ? 'Refinanced' : 'Paid off',
+        ...(event.date ? [`Date: ${event.date}`] : []),
+      ]
+
     default:
       return ['Event']
   }
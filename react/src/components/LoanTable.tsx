@@ -1,6 +1,7 @@
 import React, { useState, useMemo } from 'react'
 import OwnershipPie from './OwnershipPie'
 import EventBadge from './EventBadge'
+import { useAsOf } from '../context/AsOfContext'
 import type { EventType, LoanEvent } from './EventBadge'
 
 export interface Loan2 {
@@ -50,9 +51,16 @@ const fmtMY = (d: Date) => d.toLocaleDateString('en-US', { month: 'short', year:
 const EVENT_ROW_BG: Record<string, string> = {
   prepayment: 'rgba(34,197,94,0.16)',
   deferral:   'rgba(234,179,8,0.20)',
+  forbearance:  'rgba(249,115,22,0.18)',
+  hardship:     'rgba(168,85,247,0.16)',
+  interestOnly: 'rgba(59,130,246,0.16)',
+  missedPayment: 'rgba(220,38,38,0.12)',
+  curePayment:   'rgba(20,184,166,0.16)',
   default:    'rgba(239,68,68,0.20)',
+  payoff:       'rgba(14,165,233,0.16)',
+  modification: 'rgba(100,116,139,0.14)',
 }
-const EVENT_PRIORITY = ['default', 'deferral', 'prepayment']
+const EVENT_PRIORITY = ['default', 'payoff', 'modification', 'missedPayment', 'deferral', 'forbearance', 'hardship', 'interestOnly', 'curePayment', 'prepayment']
 
 function getEventRowBg(events: LoanEvent[]): string | undefined {
   if (!events?.length) return undefined
@@ -63,9 +71,6 @@ function getEventRowBg(events: LoanEvent[]): string | undefined {
   return undefined
 }
 
-const TODAY = new Date()
-const KPI_CURRENT_MONTH = new Date(TODAY.getFullYear(), TODAY.getMonth(), 1)
-
 function getLoanId(loan: Loan2): string { return String(loan.loanId ?? loan.id ?? '') }
 function getLoanName(loan: Loan2): string { return loan.loanName ?? loan.name ?? '' }
 function getLoanColor(loan: Loan2): string { return loan.color ?? loan.loanColor ?? '#64748b' }
@@ -82,11 +87,11 @@ function getPurchasePrice(loan: Loan2): number {
 function getOwnershipPct(loan: Loan2): number {
   return Number(loan.ownershipPct ?? loan.userOwnershipPct ?? 0)
 }
-function getLatestRoi(loan: Loan2): number {
+function getLatestRoi(loan: Loan2, asOfMonth: Date): number {
   const series = loan.roiSeries ?? []
   const entry = series.find(r => {
     const rd = r.date instanceof Date ? r.date : new Date(r.date)
-    return rd.getFullYear() === KPI_CURRENT_MONTH.getFullYear() && rd.getMonth() === KPI_CURRENT_MONTH.getMonth()
+    return rd.getFullYear() === asOfMonth.getFullYear() && rd.getMonth() === asOfMonth.getMonth()
   }) ?? (series.length > 0 ? series[series.length - 1] : undefined)
   return entry?.roi ?? 0
 }
@@ -139,7 +144,7 @@ const COLUMNS_AMORT = [
   { key: 'balance',       label: 'Balance' },
 ]
 
-function getSortValue(loan: Loan2, key: string): string | number {
+function getSortValue(loan: Loan2, key: string, asOfMonth: Date): string | number {
   switch (key) {
     case 'loanId':        return getLoanId(loan)
     case 'loanName':      return getLoanName(loan)
@@ -153,7 +158,7 @@ function getSortValue(loan: Loan2, key: string): string | number {
     case 'graceYears':    return Number(loan.graceYears ?? 0)
     case 'ownershipPct':  return getOwnershipPct(loan)
     case 'event':         return (loan.events?.length ? loan.events[0].type : '')
-    case 'roiToDate':     return getLatestRoi(loan)
+    case 'roiToDate':     return getLatestRoi(loan, asOfMonth)
     case 'earningsToDate': return loan._earningsToDate ?? 0
     default:              return ''
   }
@@ -174,6 +179,7 @@ const tdBold: React.CSSProperties = { ...tdBase, fontWeight: 600 }
 export default function LoanTable({ loans, onRowClick, lastColumnMode = 'roi' }: Props) {
   const [hoveredRow, setHoveredRow] = useState<string | null>(null)
   const [sort, setSort] = useState<SortState>({ key: 'loanName', dir: 'asc' })
+  const { asOfMonth } = useAsOf()
 
   const COLUMNS =
   lastColumnMode === 'earnings'
@@ -193,14 +199,14 @@ export default function LoanTable({ loans, onRowClick, lastColumnMode = 'roi' }:
   const sorted = useMemo(() => {
     const arr = [...loans]
     arr.sort((a, b) => {
-      const av = getSortValue(a, sort.key)
-      const bv = getSortValue(b, sort.key)
+      const av = getSortValue(a, sort.key, asOfMonth)
+      const bv = getSortValue(b, sort.key, asOfMonth)
       if (typeof av === 'string' && typeof bv === 'string')
         return sort.dir === 'asc' ? av.localeCompare(bv) : bv.localeCompare(av)
       return sort.dir === 'asc' ? (av as number) - (bv as number) : (bv as number) - (av as number)
     })
     return arr
-  }, [loans, sort])
+  }, [loans, sort, asOfMonth])
 
   return (
     <div style={{
@@ -237,7 +243,7 @@ export default function LoanTable({ loans, onRowClick, lastColumnMode = 'roi' }:
               : eventBg ?? (isEven ? 'rgba(15,23,42,0.02)' : 'transparent')
 
             const color     = getLoanColor(loan)
-            const roi       = getLatestRoi(loan)
+            const roi       = getLatestRoi(loan, asOfMonth)
             const roiColor  = roi >= 0 ? '#16a34a' : '#dc2626'
             const rate      = getNominalRate(loan)
             const earnings  = loan._earningsToDate ?? 0
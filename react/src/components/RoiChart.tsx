@@ -1,4 +1,5 @@
 import { useRef, useEffect } from 'react'
+import { useAsOf } from '../context/AsOfContext'
 
 export interface LoanSeries {
   id: string | number
@@ -43,6 +44,7 @@ export default function RoiChart({
   const containerRef = useRef<HTMLDivElement>(null)
   const loanPathMapRef = useRef<Map<string, SVGPathElement>>(new Map())
   const weightedPathRef = useRef<SVGPathElement | null>(null)
+  const { asOf } = useAsOf()
 
   // ─── Build SVG ───────────────────────────────────────────────
   useEffect(() => {
@@ -145,7 +147,7 @@ export default function RoiChart({
     }
 
     // Today line
-    const today = new Date()
+    const today = asOf
     let todayIdx = -1
     dates.forEach((d, i) => { if (d <= today) todayIdx = i })
     if (todayIdx >= 0) {
@@ -238,7 +240,7 @@ export default function RoiChart({
       svg.removeEventListener('mousemove', onMove)
       svg.removeEventListener('mouseleave', onLeave)
     }
-  }, [perLoanSeries, weightedSeries, dates, height, tickSpacingX, hideWeighted, weightedColor, weightedWidth, weightedLabel])
+  }, [perLoanSeries, weightedSeries, dates, height, tickSpacingX, hideWeighted, weightedColor, weightedWidth, weightedLabel, asOf])
 
   // ─── Focus effect: table → chart (no SVG rebuild) ───────────
   useEffect(() => {
@@ -0,0 +1,49 @@
+import { createContext, useContext, useState, useCallback, useMemo } from 'react'
+import { resolveAsOf } from '../utils/engine'
+
+interface AsOfContextValue {
+  /** ?asOf= value: "YYYY-MM-DD", or '' for today. */
+  asOfParam: string
+  /** The date every figure is computed as of (local midnight). */
+  asOf: Date
+  /** First of the as-of month: the "current month" for KPIs. */
+  asOfMonth: Date
+  setAsOf: (iso: string) => void
+}
+
+function readAsOfParam(): string {
+  const v = new URLSearchParams(window.location.search).get('asOf') ?? ''
+  return /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : ''
+}
+
+function monthStart(d: Date): Date {
+  return new Date(d.getFullYear(), d.getMonth(), 1)
+}
+
+const AsOfContext = createContext<AsOfContextValue>({
+  asOfParam: '',
+  asOf: resolveAsOf(null),
+  asOfMonth: monthStart(resolveAsOf(null)),
+  setAsOf: () => {},
+})
+
+export function AsOfProvider({ children }: { children: React.ReactNode }) {
+  const [asOfParam, setAsOfParam] = useState(readAsOfParam)
+
+  const setAsOf = useCallback((iso: string) => {
+    setAsOfParam(/^\d{4}-\d{2}-\d{2}$/.test(iso) ? iso : '')
+  }, [])
+
+  const asOf = useMemo(() => resolveAsOf(asOfParam), [asOfParam])
+  const asOfMonth = useMemo(() => monthStart(asOf), [asOf])
+
+  return (
+    <AsOfContext.Provider value={{ asOfParam, asOf, asOfMonth, setAsOf }}>
+      {children}
+    </AsOfContext.Provider>
+  )
+}
+
+export function useAsOf() {
+  return useContext(AsOfContext)
+}
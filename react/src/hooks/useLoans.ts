@@ -1,5 +1,17 @@
 import { useState, useEffect } from 'react'
-import { buildAmortSchedule } from '../utils/loanEngine'
+import {
+  buildAmortSchedule,
+  holderLoans,
+  type AmortRow,
+  type CapitalizationPolicy,
+  type LoanEvent,
+  type LoanPayment,
+  type OwnershipLot,
+  type PrepaymentMode,
+  type RepaymentPlan,
+} from '../utils/engine'
+
+export type { LoanEvent, OwnershipLot }
 
 const LOANS_URL = 'https://raw.githubusercontent.com/jeff-stratofied/reporting-phase2-html/main/data/loans.json'
 
@@ -10,22 +22,6 @@ const LOAN_COLORS = [
   '#4ade80', '#818cf8', '#fbbf24', '#34d399', '#fb7185',
 ]
 
-export interface OwnershipLot {
-  user: string
-  pct: number
-  purchaseDate: string
-  pricePaid?: number
-}
-
-export interface LoanEvent {
-  type: 'prepayment' | 'deferral' | 'default'
-  date?: string
-  amount?: number
-  months?: number
-  startDate?: string
-  recovered?: number
-}
-
 export interface Loan {
   loanId: string
   loanName: string
@@ -33,7 +29,9 @@ export interface Loan {
   loanStartDate: string
   purchaseDate: string
   principal: number
+  /** What this user paid for their lots */
   purchasePrice: number
+  /** Annual rate as a fraction (0.065 = 6.5%) */
   nominalRate: number
   termYears: number
   graceYears: number
@@ -41,83 +39,39 @@ export interface Loan {
   ownershipPct: number
   ownershipLots: OwnershipLot[]
   events: LoanEvent[]
+  repaymentPlan?: RepaymentPlan | null
+  capitalization?: CapitalizationPolicy | null
+  chargeOffDpd?: number | null
+  prepaymentMode?: PrepaymentMode | null
+  payments?: LoanPayment[]
+  feeWaiver?: string
   loanColor: string
   visible: boolean
   isMarketLoan: boolean
-  amort: { schedule: any[] }
-}
-
-function toFraction(pct: number): number {
-  return pct > 1.5 ? pct / 100 : pct
+  amort: { schedule: AmortRow[] }
 }
 
-function normalizeLoan(raw: any, index: number, userId: string): Loan | null {
-  const loanId = String(raw.loanId ?? raw.id ?? 'unknown')
-  const lots: OwnershipLot[] = Array.isArray(raw.ownershipLots) ? raw.ownershipLots : []
-  const isMarket = userId === 'market'
-
-  let ownershipPct: number
-  let purchasePrice: number
-  let purchaseDate: string
-
-  if (isMarket) {
-    const marketLots = lots.filter(l => String(l.user).toLowerCase() === 'market')
-    ownershipPct = marketLots.reduce((sum, l) => sum + toFraction(Number(l.pct || 0)), 0)
-    if (ownershipPct <= 0) return null
-    purchasePrice = 0
-    purchaseDate = raw.loanStartDate || raw.dateOnSystem || ''
-  } else {
-    const userLots = lots.filter(l => String(l.user).toLowerCase() === userId.toLowerCase())
-    ownershipPct = userLots.reduce((sum, l) => sum + toFraction(Number(l.pct || 0)), 0)
-    if (ownershipPct <= 0) return null
-    purchasePrice = userLots.reduce((sum, l) => sum + Number(l.pricePaid || 0), 0)
-    const lotDates = userLots.map(l => l.purchaseDate).filter(Boolean).sort()
-    purchaseDate = lotDates[0] || raw.purchaseDate || raw.loanStartDate || ''
-  }
-
-  const principal = Number(raw.principal ?? raw.origPrincipalBal ?? 0)
-  const nominalRate = Number(raw.nominalRate ?? raw.rate ?? 0) * 100
-  const termYears = Number(raw.termYears ?? 0)
-  const graceYears = Number(raw.graceYears ?? (raw.mosGraceElig ? raw.mosGraceElig / 12 : 0))
-  const loanStartDate = raw.loanStartDate || raw.dateOnSystem || ''
-  const events = Array.isArray(raw.events) ? raw.events : []
-
-  const loanCore = {
-    loanId,
-    loanName: raw.loanName || '',
-    principal,
-    nominalRate,
-    termYears,
-    graceYears,
-    loanStartDate,
-    purchaseDate,
-    events,
-  }
-
-  const schedule = buildAmortSchedule(loanCore)
-  const lastRow = schedule[schedule.length - 1]
-  const balance = lastRow?.balance ?? 0
-
-  return {
-    loanId,
-    loanName: raw.loanName || '',
-    school: raw.school || raw.originalSchoolName || '',
-    loanStartDate,
-    purchaseDate,
-    principal,
-    purchasePrice,
-    nominalRate,
-    termYears,
-    graceYears,
-    balance,
-    ownershipPct,
-    ownershipLots: lots,
-    events,
-    loanColor: LOAN_COLORS[index % LOAN_COLORS.length],
-    visible: raw.visible !== false,
-    isMarketLoan: isMarket,
-    amort: { schedule },
-  }
+// The user's loans as the HTML pages and the API see them (holderLoans),
+// plus what the React pages add: a color, the last balance and the schedule
+function toPageLoans(raw: any[], userId: string): Loan[] {
+  const colorIndex = new Map(raw.map((l, i) => [String(l.loanId), i]))
+
+  return holderLoans(raw, userId).map(loan => {
+    const schedule = buildAmortSchedule(loan)
+    return {
+      ...loan,
+      loanName: loan.loanName || '',
+      school: loan.school || loan.originalSchoolName || '',
+      purchasePrice: loan.userPurchasePrice,
+      events: loan.events ?? [],
+      ownershipLots: loan.ownershipLots ?? [],
+      balance: schedule[schedule.length - 1]?.balance ?? 0,
+      loanColor: LOAN_COLORS[(colorIndex.get(loan.loanId) ?? 0) % LOAN_COLORS.length],
+      visible: true,
+      isMarketLoan: userId === 'market',
+      amort: { schedule },
+    }
+  })
 }
 
 export function useLoans(userId: string) {
@@ -137,10 +91,7 @@ export function useLoans(userId: string) {
       })
       .then(data => {
         const raw: any[] = Array.isArray(data) ? data : Array.isArray(data.loans) ? data.loans : []
-        const normalized = raw
-          .map((l, i) => normalizeLoan(l, i, userId))
-          .filter((l): l is Loan => l !== null && l.visible)
-        setLoans(normalized)
+        setLoans(toPageLoans(raw, userId))
       })
       .catch(err => setError(err.message))
       .finally(() => setLoading(false))
@@ -1,8 +1,14 @@
 import { useMemo } from 'react'
 import { useLoans } from './useLoans'
-import { deriveLoansWithRoi, computeKPIs, buildProjectedRoiTimeline } from '../utils/roiEngine'
-import { buildEarningsSchedule, computePortfolioEarningsKPIs } from '../utils/earningsEngine'
-import { getPortfolioStartDate } from '../utils/loanEngine'
+import {
+  deriveLoansWithRoi,
+  computeKPIs,
+  buildProjectedRoiTimeline,
+  buildEarningsSchedule,
+  buildHolderBalances,
+  computePortfolioEarningsKPIs,
+  getPortfolioStartDate,
+} from '../utils/engine'
 
 export interface RoiKpis {
   weightedRoi: number
@@ -41,10 +47,8 @@ export interface PortfolioData {
   error: string | null
 }
 
-const TODAY = new Date()
-const KPI_CURRENT_MONTH = new Date(TODAY.getFullYear(), TODAY.getMonth(), 1)
-
-export function usePortfolio(userId: string): PortfolioData {
+/** `asOf` is the date the KPIs treat as today (the page's ?asOf=). */
+export function usePortfolio(userId: string, asOf: Date): PortfolioData {
   const { loans, loading, error } = useLoans(userId)
 
   const portfolio = useMemo((): Omit<PortfolioData, 'loading' | 'error'> => {
@@ -96,7 +100,8 @@ export function usePortfolio(userId: string): PortfolioData {
     })
 
     // ─── 4. ROI KPIs ──────────────────────────────────────────────────────
-    const roiEngineKpis = computeKPIs(loansWithRoi, KPI_CURRENT_MONTH)
+    const kpiMonth = new Date(asOf.getFullYear(), asOf.getMonth(), 1)
+    const roiEngineKpis = computeKPIs(loansWithRoi, kpiMonth)
 
     const roiValues = loansWithRoi.map(l => {
       const last = l.roiSeries?.[l.roiSeries.length - 1]
@@ -122,6 +127,8 @@ export function usePortfolio(userId: string): PortfolioData {
     })
 
     // ─── 6. Earnings ──────────────────────────────────────────────────────
+    // Tiered servicing is priced on the user's balance across all their loans
+    const portfolioBalances = buildHolderBalances(loans, userId)
     const loansWithEarnings = loansWithRoi.map(l => {
       const earningsSchedule = buildEarningsSchedule({
         amortSchedule: l.amort?.schedule ?? [],
@@ -129,7 +136,10 @@ export function usePortfolio(userId: string): PortfolioData {
         ownershipLots: l.ownershipLots ?? [],
         user: userId,
         events: l.events ?? [],
-        today: TODAY,
+        today: asOf,
+        loanId: l.loanId,
+        feeWaiver: l.feeWaiver,
+        portfolioBalances,
       })
     
       console.log('EARNINGS DEBUG', {
@@ -150,10 +160,10 @@ export function usePortfolio(userId: string): PortfolioData {
       return { ...l, earningsSchedule }
     })
 
-    const portfolioStartDate = getPortfolioStartDate(loansWithEarnings)
+    const portfolioStartDate = getPortfolioStartDate(loansWithEarnings, asOf)
     const earningsKpisRaw = computePortfolioEarningsKPIs(
       loansWithEarnings,
-      TODAY,
+      asOf,
       portfolioStartDate
     )
 
@@ -174,7 +184,7 @@ export function usePortfolio(userId: string): PortfolioData {
     }))
 
     // ─── 7. Amort KPIs ────────────────────────────────────────────────────
-    const today = new Date()
+    const today = asOf
     const nextMonth = new Date(today.getFullYear(), today.getMonth() + 1, 1)
 
     let totalPortfolioValue = 0
@@ -229,7 +239,7 @@ export function usePortfolio(userId: string): PortfolioData {
       earningsRows,
       loansWithRoi: loansWithEarnings,
     }
-  }, [loans, userId])
+  }, [loans, userId, asOf])
 
   return {
     ...portfolio,
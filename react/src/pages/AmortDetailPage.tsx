@@ -4,6 +4,7 @@ import { createPortal } from 'react-dom'
 
 import { useLoans } from '../hooks/useLoans'
 import { useUser } from '../context/UserContext'
+import { useAsOf } from '../context/AsOfContext'
 
 import LoanTable from '../components/LoanTable'
 import LoanDrawer from '../components/LoanDrawer'
@@ -13,7 +14,7 @@ import type { KpiType } from '../components/KpiDrawer'
 import type { Loan2 } from '../components/LoanTable'
 
 
-import { buildAmortSchedule } from '../utils/amortEngine'
+import { buildAmortSchedule } from '../utils/engine'
 
 const fmt$ = (n: number) =>
   Number(n || 0).toLocaleString('en-US', {
@@ -153,17 +154,7 @@ function getLoanSchedule(loan: any) {
     return loan.amort.schedule
   }
 
-  return buildAmortSchedule({
-    loanId: loan?.loanId ?? loan?.id ?? '',
-    loanName: loan?.loanName ?? loan?.name ?? '',
-    principal: Number(loan?.principal ?? loan?.origLoanAmt ?? loan?.loanAmount ?? 0),
-    nominalRate: Number(loan?.nominalRate ?? 0),
-    termYears: Number(loan?.termYears ?? 10),
-    graceYears: Number(loan?.graceYears ?? 0),
-    loanStartDate: loan?.loanStartDate,
-    purchaseDate: loan?.purchaseDate,
-    events: loan?.events ?? [],
-  })
+  return buildAmortSchedule(loan)
 }
 
 function AmortLoanDrawerBody({ loan }: { loan: Loan2 }) {
@@ -196,7 +187,7 @@ function AmortLoanDrawerBody({ loan }: { loan: Loan2 }) {
 
   const principal = Number((loan as any).principal ?? (loan as any).origLoanAmt ?? (loan as any).loanAmount ?? 0)
   const purchasePrice = Number((loan as any).purchasePrice ?? (loan as any).investedCapital ?? principal)
-  const rate = Number((loan as any).nominalRate ?? 0)
+  const rate = Number((loan as any).nominalRate ?? 0) * 100
 
   const purchaseDate = useMemo(() => {
     const raw = (loan as any).purchaseDate
@@ -205,10 +196,7 @@ function AmortLoanDrawerBody({ loan }: { loan: Loan2 }) {
     return Number.isNaN(+d) ? null : d
   }, [loan])
 
-  const currentMonth = useMemo(() => {
-    const now = new Date()
-    return new Date(now.getFullYear(), now.getMonth(), 1)
-  }, [])
+  const { asOfMonth: currentMonth } = useAsOf()
 
   const chartRows = useMemo(() => {
     let cumPrincipal = 0
@@ -272,6 +260,17 @@ function AmortLoanDrawerBody({ loan }: { loan: Loan2 }) {
     )
   }, [chartRows, currentMonth])
 
+  // First scheduled payment, and the one after the latest recasting prepayment
+  const { originalPayment, recastPayment } = useMemo(() => {
+    const paying = schedule.filter((r: any) => Number(r.scheduledPayment) > 0)
+    const lastRecast = schedule.filter((r: any) => r.recast).at(-1)
+    const after = lastRecast ? paying.find((r: any) => new Date(r.loanDate) > new Date(lastRecast.loanDate)) : null
+    return {
+      originalPayment: paying.length ? Number(paying[0].scheduledPayment) : null,
+      recastPayment: after ? Number(after.scheduledPayment) : null,
+    }
+  }, [schedule])
+
   const totalPayments = activeSchedule.reduce((sum: number, row: any) => sum + Number(row.payment ?? 0), 0)
   const totalInterest = chartRows.length ? chartRows[chartRows.length - 1].cumInterest : 0
   const totalPrincipal = chartRows.length ? chartRows[chartRows.length - 1].cumPrincipal : 0
@@ -695,6 +694,8 @@ function AmortLoanDrawerBody({ loan }: { loan: Loan2 }) {
         <StatCard label="Total Interest" value={fmt$(totalInterest)} />
         <StatCard label="Total Principal Paid" value={fmt$(totalPrincipal)} />
         <StatCard label="Schedule Rows" value={String(activeSchedule.length)} />
+        <StatCard label="Original Payment" value={originalPayment != null ? fmt$(originalPayment) : '—'} />
+        <StatCard label="Recast Payment" value={recastPayment != null ? fmt$(recastPayment) : '—'} />
       </div>
     </>
   )
@@ -724,10 +725,8 @@ const fmtKpiMY = (ym: string) => {
   return new Date(y, m - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
 }
 
-const amortTodayKey = (() => {
-  const d = new Date()
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`
-})()
+const amortMonthKey = (d: Date) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`
 
 function buildAmortLoanTPVSeries(loan: Loan2): Record<string, number> {
   const schedule = getLoanSchedule(loan)
@@ -815,6 +814,7 @@ function AmortTpvDrawer({
 }) {
   const [hiddenLoans, setHiddenLoans] = useState<Set<string>>(new Set())
   const [hoveredId, setHoveredId] = useState<string | null>(null)
+  const amortTodayKey = amortMonthKey(useAsOf().asOf)
 
   const stackData = useMemo(() => {
     const data: Record<string, Record<string, number>> = {}
@@ -834,7 +834,7 @@ function AmortTpvDrawer({
     return Object.entries(stackData[key] ?? {})
       .filter(([id]) => !hiddenLoans.has(id))
       .reduce((s, [, v]) => s + Number(v), 0)
-  }, [stackData, months, hiddenLoans])
+  }, [stackData, months, hiddenLoans, amortTodayKey])
 
   const maxTPV = useMemo(
     () =>
@@ -1040,7 +1040,7 @@ function AmortRatesDrawer({
 }) {
   const [hoveredId, setHoveredId] = useState<string | null>(null)
 
-  const rates = loans.map((l) => Number((l as any).nominalRate ?? 0))
+  const rates = loans.map((l) => Number((l as any).nominalRate ?? 0) * 100)
   const minRate = Math.min(...rates)
   const maxRate = Math.max(...rates)
   const avgRate = rates.reduce((s, r) => s + r, 0) / Math.max(rates.length, 1)
@@ -1049,7 +1049,7 @@ function AmortRatesDrawer({
 
   const binLoans: Loan2[][] = Array.from({ length: BINS }, () => [])
   loans.forEach((l) => {
-    const rate = Number((l as any).nominalRate ?? 0)
+    const rate = Number((l as any).nominalRate ?? 0) * 100
     let idx = Math.floor((rate - minRate) / binWidth)
     idx = Math.max(0, Math.min(BINS - 1, idx))
     binLoans[idx].push(l)
@@ -1111,7 +1111,7 @@ function AmortRatesDrawer({
                           y: e.clientY - 70,
                           lines: [
                             String((loan as any).loanName ?? (loan as any).name ?? ''),
-                            `${Number((loan as any).nominalRate ?? 0).toFixed(2)}%`,
+                            `${(Number((loan as any).nominalRate ?? 0) * 100).toFixed(2)}%`,
                           ],
                         })
                       }
@@ -1183,7 +1183,7 @@ function AmortRatesDrawer({
                       <div style={{ fontSize: 12, color: 'var(--muted)' }}>{(loan as any).school}</div>
                     </td>
                     <td style={{ ...amortKpiTd, color: (loan as any).loanColor ?? '#0ea5e9', fontWeight: 600 }}>
-                      {Number((loan as any).nominalRate ?? 0).toFixed(2)}%
+                      {(Number((loan as any).nominalRate ?? 0) * 100).toFixed(2)}%
                     </td>
                     <td style={amortKpiTd}>{String((loan as any).purchaseDate ?? '')}</td>
                     <td style={{ ...amortKpiTd, textAlign: 'right' }}>
@@ -1207,6 +1207,7 @@ function AmortPaymentsDrawer({
   onTooltip: (t: AmortTooltipState | null) => void
 }) {
   const [hoverIdx, setHoverIdx] = useState<number | null>(null)
+  const amortTodayKey = amortMonthKey(useAsOf().asOf)
 
   const { months, paymentsByMonth } = useMemo(() => {
     const combined: Record<string, number> = {}
@@ -1473,7 +1474,7 @@ function AmortDistributionDrawer({
                           lines: [
                             String((loan as any).loanName ?? (loan as any).name ?? ''),
                             `Purchased ${String((loan as any).purchaseDate ?? '')}`,
-                            `Rate ${Number((loan as any).nominalRate ?? 0).toFixed(2)}%`,
+                            `Rate ${(Number((loan as any).nominalRate ?? 0) * 100).toFixed(2)}%`,
                           ],
                         })
                       }
@@ -1545,7 +1546,7 @@ function AmortDistributionDrawer({
                     <div style={{ fontSize: 12, color: 'var(--muted)' }}>{(loan as any).school}</div>
                   </td>
                   <td style={{ ...amortKpiTd, color: (loan as any).loanColor ?? '#0ea5e9', fontWeight: 600 }}>
-                    {Number((loan as any).nominalRate ?? 0).toFixed(2)}%
+                    {(Number((loan as any).nominalRate ?? 0) * 100).toFixed(2)}%
                   </td>
                   <td style={amortKpiTd}>
                     {fmt$(Number((loan as any).purchasePrice ?? (loan as any).investedCapital ?? 0))}
@@ -1618,7 +1619,7 @@ export default function AmortDetailPage() {
 
   const { loans, loading, error } = useLoans(userId)
 
-  const today = new Date()
+  const { asOf: today } = useAsOf()
 
   const [selectedLoan, setSelectedLoan] = useState<Loan2 | null>(null)
   const [loanDrawerOpen, setLoanDrawerOpen] = useState(false)
@@ -1640,12 +1641,12 @@ export default function AmortDetailPage() {
   )
 
   const avgRate = useMemo(
-    () => (loans.length ? loans.reduce((sum, loan) => sum + loan.nominalRate, 0) / loans.length : 0),
+    () => (loans.length ? loans.reduce((sum, loan) => sum + loan.nominalRate * 100, 0) / loans.length : 0),
     [loans]
   )
 
   const monthlyIncome = useMemo(
-    () => loans.reduce((sum, loan) => sum + (loan.balance * loan.ownershipPct * loan.nominalRate / 100 / 12), 0),
+    () => loans.reduce((sum, loan) => sum + (loan.balance * loan.ownershipPct * loan.nominalRate / 12), 0),
     [loans]
   )
 
@@ -1658,9 +1659,9 @@ export default function AmortDetailPage() {
     if (filterName) rows = rows.filter(loan => loan.loanName === filterName)
     if (filterSchool) rows = rows.filter(loan => loan.school === filterSchool)
 
-    if (filterRate === 'low') rows = rows.filter(loan => loan.nominalRate < 5)
-    if (filterRate === 'mid') rows = rows.filter(loan => loan.nominalRate >= 5 && loan.nominalRate <= 8)
-    if (filterRate === 'high') rows = rows.filter(loan => loan.nominalRate > 8)
+    if (filterRate === 'low') rows = rows.filter(loan => loan.nominalRate < 0.05)
+    if (filterRate === 'mid') rows = rows.filter(loan => loan.nominalRate >= 0.05 && loan.nominalRate <= 0.08)
+    if (filterRate === 'high') rows = rows.filter(loan => loan.nominalRate > 0.08)
 
     if (sortKey === 'purchase_asc') rows.sort((a, b) => a.purchaseDate.localeCompare(b.purchaseDate))
     if (sortKey === 'purchase_desc') rows.sort((a, b) => b.purchaseDate.localeCompare(a.purchaseDate))
@@ -5,6 +5,7 @@ import LoanTable from '../components/LoanTable'
 import SharedLoanDrawer from '../components/LoanDrawer'
 import SharedKpiDrawer from '../components/KpiDrawer'
 import { useUser } from '../context/UserContext'
+import { useAsOf } from '../context/AsOfContext'
 
 type EarningsKpiKey = 'kpi1' | 'kpi2' | 'kpi3' | 'kpi4'
 type DrawerMode = { kind: 'kpi'; kpi: EarningsKpiKey } | { kind: 'loan'; loanId: string } | null
@@ -13,8 +14,6 @@ const fmt$  = (v: number) => '$' + v.toLocaleString('en-US', { minimumFractionDi
 const fmtMY = (d: Date)   => d.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
 const fmtDate = (d: Date) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
 
-const TODAY         = new Date()
-const CURRENT_MONTH = new Date(TODAY.getFullYear(), TODAY.getMonth(), 1)
 
 // ─── Shared styles ────────────────────────────────────────────────────────────
 const filterSelectStyle: React.CSSProperties = {
@@ -77,15 +76,15 @@ function getRowMonthlyFees(r: any): number {
   return (Number(r.feeThisMonth) || 0) * pct
 }
 
-function loanNetToDate(loan: any): number {
+function loanNetToDate(loan: any, asOfMonth: Date): number {
   return getLoanEarningsSchedule(loan)
-    .filter((r: any) => r.loanDate instanceof Date && r.loanDate <= CURRENT_MONTH)
+    .filter((r: any) => r.loanDate instanceof Date && r.loanDate <= asOfMonth)
     .reduce((s: number, r: any) => s + getRowMonthlyNet(r), 0)
 }
 
-function loanFeesToDate(loan: any): number {
+function loanFeesToDate(loan: any, asOfMonth: Date): number {
   return getLoanEarningsSchedule(loan)
-    .filter((r: any) => r.loanDate instanceof Date && r.loanDate <= CURRENT_MONTH)
+    .filter((r: any) => r.loanDate instanceof Date && r.loanDate <= asOfMonth)
     .reduce((s: number, r: any) => s + getRowMonthlyFees(r), 0)
 }
 
@@ -100,8 +99,8 @@ function allOwnedMonths(loans: any[]): Date[] {
   return Array.from(ms).sort((a, b) => a - b).map(t => new Date(t))
 }
 
-function ownedMonthsToDate(loans: any[]): Date[] {
-  return allOwnedMonths(loans).filter(d => d <= CURRENT_MONTH)
+function ownedMonthsToDate(loans: any[], asOfMonth: Date): Date[] {
+  return allOwnedMonths(loans).filter(d => d <= asOfMonth)
 }
 
 // ─── Tooltip — always ABOVE cursor ───────────────────────────────────────────
@@ -159,6 +158,7 @@ function StackedBarChart({
   }>
 }) {
   const [hovered, setHovered] = useState<{ idx: number; x: number; y: number } | null>(null)
+  const { asOfMonth: CURRENT_MONTH } = useAsOf()
 
   const visible = visibleIds ? series.filter(s => visibleIds.has(s.loanId)) : series
 
@@ -467,6 +467,7 @@ function LineChart({ data, height = 260, color = '#0ea5e9', showTodayLine = true
 }) {
   const [hovered, setHovered] = useState<number | null>(null)
   const [mouse,   setMouse]   = useState({ x: 0, y: 0 })
+  const { asOfMonth: CURRENT_MONTH } = useAsOf()
 
   const PAD = { top: 20, right: 16, bottom: 36, left: 80 }
   const W = 860, H = height
@@ -593,9 +594,10 @@ function ChartBox({ children }: { children: React.ReactNode }) {
 
 // ─── Individual Loan Drawer ───────────────────────────────────────────────────
 function LoanEarningsDrawerBody({ loan }: { loan: any }) {
+  const { asOfMonth: CURRENT_MONTH } = useAsOf()
   const sched = getLoanEarningsSchedule(loan)
-  const netToDate  = loanNetToDate(loan)
-  const feesToDate = loanFeesToDate(loan)
+  const netToDate  = loanNetToDate(loan, CURRENT_MONTH)
+  const feesToDate = loanFeesToDate(loan, CURRENT_MONTH)
 
   const chartDates = useMemo(() => {
     const seen = new Set<number>()
@@ -753,6 +755,7 @@ function LoanEarningsDrawerBody({ loan }: { loan: any }) {
 // ─── KPI Drawer Body ──────────────────────────────────────────────────────────
 function KpiEarningsDrawerBody({ kpi, loansWithRoi }: { kpi: EarningsKpiKey; loansWithRoi: any[] }) {
   const [focusedId,  setFocusedId]  = useState<string | null>(null)
+  const { asOfMonth: CURRENT_MONTH } = useAsOf()
   const [visibleIds, setVisibleIds] = useState<Set<string>>(() =>
     new Set(loansWithRoi.map((l: any) => String(l.loanId ?? l.id ?? '')))
   )
@@ -762,7 +765,7 @@ function KpiEarningsDrawerBody({ kpi, loansWithRoi }: { kpi: EarningsKpiKey; loa
   }, [])
 
   const allDates      = useMemo(() => allOwnedMonths(loansWithRoi), [loansWithRoi])
-  const historicDates = useMemo(() => ownedMonthsToDate(loansWithRoi), [loansWithRoi])
+  const historicDates = useMemo(() => ownedMonthsToDate(loansWithRoi, CURRENT_MONTH), [loansWithRoi, CURRENT_MONTH])
 
   const series: BarSeries[] = useMemo(() => loansWithRoi.map((loan: any) => {
     const id  = String(loan.loanId ?? loan.id ?? '')
@@ -848,7 +851,7 @@ function KpiEarningsDrawerBody({ kpi, loansWithRoi }: { kpi: EarningsKpiKey; loa
     const purchaseDate  = loan.purchaseDate ? (() => { try { return new Date(loan.purchaseDate) } catch { return null } })() : null
     const purchasePrice = Number(loan.purchasePrice ?? loan.userPurchasePrice ?? 0)
     return { id, loan, netToDate, projNet, principal, interest, fees, projPrincipal, projInterest, projFees, monthsToDate, totalMonths, avgToDate, avgProj, matDate, purchaseDate, purchasePrice }
-  }), [loansWithRoi])
+  }), [loansWithRoi, CURRENT_MONTH])
 
   const totalNetToDate   = loanTotals.reduce((s, t) => s + t.netToDate, 0)
   const totalProjNet     = loanTotals.reduce((s, t) => s + t.projNet,   0)
@@ -1026,7 +1029,8 @@ export default function EarningsDetailPage() {
 
   const navigate   = useNavigate()
   const { userId } = useUser()
-  const { loansWithRoi, earningsKpis, loading, error } = usePortfolio(userId)
+  const { asOf, asOfMonth } = useAsOf()
+  const { loansWithRoi, earningsKpis, loading, error } = usePortfolio(userId, asOf)
 
   const [filterName,   setFilterName]   = useState('')
   const [filterSchool, setFilterSchool] = useState('')
@@ -1049,10 +1053,10 @@ export default function EarningsDetailPage() {
     if (sortKey === 'amount_desc')   rows.sort((a: any, b: any) => Number(b.principal ?? b.origLoanAmt ?? 0) - Number(a.principal ?? a.origLoanAmt ?? 0))
     if (sortKey === 'rate_asc')      rows.sort((a: any, b: any) => Number(a.nominalRate ?? 0) - Number(b.nominalRate ?? 0))
     if (sortKey === 'rate_desc')     rows.sort((a: any, b: any) => Number(b.nominalRate ?? 0) - Number(a.nominalRate ?? 0))
-    if (sortKey === 'earnings_asc')  rows.sort((a: any, b: any) => loanNetToDate(a) - loanNetToDate(b))
-    if (sortKey === 'earnings_desc') rows.sort((a: any, b: any) => loanNetToDate(b) - loanNetToDate(a))
+    if (sortKey === 'earnings_asc')  rows.sort((a: any, b: any) => loanNetToDate(a, asOfMonth) - loanNetToDate(b, asOfMonth))
+    if (sortKey === 'earnings_desc') rows.sort((a: any, b: any) => loanNetToDate(b, asOfMonth) - loanNetToDate(a, asOfMonth))
     return rows
-  }, [loansWithRoi, filterName, filterSchool, filterRate, sortKey])
+  }, [loansWithRoi, filterName, filterSchool, filterRate, sortKey, asOfMonth])
 
   function resetFilters() { setFilterName(''); setFilterSchool(''); setFilterRate(''); setSortKey('') }
 
@@ -1098,8 +1102,8 @@ export default function EarningsDetailPage() {
     : null
 
   const loansForTable = useMemo(() => filteredLoans.map((l: any) => ({
-    ...l, _earningsToDate: loanNetToDate(l),
-  })), [filteredLoans])
+    ...l, _earningsToDate: loanNetToDate(l, asOfMonth),
+  })), [filteredLoans, asOfMonth])
 
   if (loading) return <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '60vh', color: '#64748b', fontSize: 15 }}>Loading portfolio…</div>
   if (error)   return <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', height: '60vh', color: '#ef4444', fontSize: 15 }}>Error: {error}</div>
@@ -1152,7 +1156,7 @@ export default function EarningsDetailPage() {
         </button>
         <h1 style={{ margin: '0 0 2px', fontSize: 20, fontWeight: 800, color: '#0f172a' }}>Loan Portfolio — Earnings</h1>
         <p style={{ margin: 0, fontSize: 13, color: '#64748b' }}>Cumulative principal, interest, and fees for each loan and for the portfolio.</p>
-        <p style={{ margin: '4px 0 12px', fontSize: 13, color: '#64748b' }}>Current Date: {fmtMY(new Date())}</p>
+        <p style={{ margin: '4px 0 12px', fontSize: 13, color: '#64748b' }}>Current Date: {fmtMY(asOf)}</p>
       </div>
 
       <div style={{ display: 'flex', gap: 10, padding: '0 20px 14px', flexShrink: 0 }}>
@@ -5,6 +5,7 @@ import type { RoiKpis, EarningsKpis, AmortKpis } from '../hooks/usePortfolio'
 import RoiChart from '../components/RoiChart'
 import type { LoanSeries } from '../components/RoiChart'
 import { useUser } from '../context/UserContext'
+import { useAsOf } from '../context/AsOfContext'
 
 function formatPct(val: number): string {
   return val.toFixed(2) + '%'
@@ -808,7 +809,7 @@ function AmortColumn({ amortKpis, loansWithRoi }: AmortColumnProps) {
 
   const kpis: { key: AmortKpiKey; label: string; value: string }[] = [
     { key: 'tpv',          label: 'Total Portfolio Value', value: formatDollar(amortKpis.totalPortfolioValue) },
-    { key: 'rates',        label: 'Avg Rate',              value: formatPct(amortKpis.avgRate / 100) },
+    { key: 'rates',        label: 'Avg Rate',              value: formatPct(amortKpis.avgRate) },
     { key: 'payments',     label: 'Monthly Income',        value: formatDollar(amortKpis.monthlyIncome) },
     { key: 'distribution', label: 'Total Invested',        value: formatDollar(amortKpis.totalInvested) },
   ]
@@ -1263,8 +1264,9 @@ type ActiveTab = 'marketplace' | 'holdings'
 
 export default function ReportingPage() {
   const { userId } = useUser()
+  const { asOf } = useAsOf()
   const [activeTab, setActiveTab] = useState<ActiveTab>('holdings')
-  const { roiKpis, earningsKpis, amortKpis, roiTimeline, loansWithRoi, loading, error } = usePortfolio(userId)
+  const { roiKpis, earningsKpis, amortKpis, roiTimeline, loansWithRoi, loading, error } = usePortfolio(userId, asOf)
 
   if (loading) {
     return (
@@ -7,6 +7,7 @@ import LoanTable from '../components/LoanTable'
 import SharedLoanDrawer from '../components/LoanDrawer'
 import SharedKpiDrawer from '../components/KpiDrawer'
 import { useUser } from '../context/UserContext'
+import { useAsOf } from '../context/AsOfContext'
 
 type RoiKpiKey = 'kpi1' | 'kpi2' | 'kpi3' | 'kpi4'
 type DrawerMode = { kind: 'kpi'; kpi: RoiKpiKey } | { kind: 'loan'; loanId: string } | null
@@ -15,9 +16,6 @@ const fmt   = (v: number, d = 2) => v.toFixed(d) + '%'
 const fmt$  = (v: number) => '$' + v.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
 const fmtMY = (d: Date) => d.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
 
-const TODAY = new Date()
-const KPI_CURRENT_MONTH = new Date(TODAY.getFullYear(), TODAY.getMonth(), 1)
-
 const filterSelectStyle: React.CSSProperties = {
   padding: '6px 10px',
   borderRadius: 8,
@@ -193,6 +191,7 @@ function KpiTable({ loans, mode, focusedLoanId, onFocusLoan, colorById }: {
   }[mode]
 
   const best = mode === 'spread' ? (loans[0]?.roiNow ?? 0) : 0
+  const { asOfMonth: KPI_CURRENT_MONTH } = useAsOf()
 
   return (
     <div style={{ border: '1px solid #e2e8f0', borderRadius: 8, maxHeight: '45vh', overflow: 'auto', background: '#fff' }}>
@@ -294,6 +293,7 @@ function KpiDrawerBody({ kpi, loansWithRoi, roiKpis, roiTimeline }: {
   kpi: RoiKpiKey; loansWithRoi: any[]; roiKpis: any; roiTimeline: any
 }) {
   const [focusedLoanId, setFocusedLoanId] = useState<string | null>(null)
+  const { asOfMonth: KPI_CURRENT_MONTH } = useAsOf()
 
   const projTimeline = useMemo(() => ({
     perLoanSeries: (roiTimeline?.perLoanSeries ?? []) as LoanSeries[],
@@ -349,7 +349,7 @@ function KpiDrawerBody({ kpi, loansWithRoi, roiKpis, roiTimeline }: {
       return { date: d, y: sum / totalInvested }
     })
     return { perLoan, weighted, dates }
-  }, [loansWithRoi])
+  }, [loansWithRoi, KPI_CURRENT_MONTH])
 
   // KPI3 — capital recovery
   const kpi3 = useMemo(() => {
@@ -393,12 +393,12 @@ function KpiDrawerBody({ kpi, loansWithRoi, roiKpis, roiTimeline }: {
       return { date: d, y: totalInvested > 0 ? cumP / totalInvested : 0 }
     })
     return { perLoan, portfolio, dates }
-  }, [loansWithRoi])
+  }, [loansWithRoi, KPI_CURRENT_MONTH])
 
   const portfolioValue = useMemo(() => loansWithRoi.reduce((sum: number, l: any) => {
     const e = (l.roiSeries ?? []).find((r: any) => { const rd = r.date instanceof Date ? r.date : new Date(r.date); return rd.getFullYear() === KPI_CURRENT_MONTH.getFullYear() && rd.getMonth() === KPI_CURRENT_MONTH.getMonth() })
     return sum + Number(e?.loanValue ?? 0)
-  }, 0), [loansWithRoi])
+  }, 0), [loansWithRoi, KPI_CURRENT_MONTH])
 
   const projPortfolioValue = useMemo(() =>
   loansWithRoi.reduce((sum: number, l: any) => {
@@ -425,7 +425,7 @@ const spreadRows = useMemo(() =>
       return { ...l, roiNow: e?.roi ?? 0 }
     })
     .sort((a: any, b: any) => b.roiNow - a.roiNow),
-[loansWithRoi])
+[loansWithRoi, KPI_CURRENT_MONTH])
 
   const chartBaseProps = {
     height: 260,
@@ -496,7 +496,8 @@ export default function RoiDetailPage() {
   const [drawer, setDrawer] = useState<DrawerMode>(initialLoanId ? { kind: 'loan', loanId: initialLoanId } : initialKpi ? { kind: 'kpi', kpi: initialKpi } : null)
   const navigate = useNavigate()
   const { userId } = useUser()
-  const { roiKpis, roiTimeline, loansWithRoi, loading, error } = usePortfolio(userId)
+  const { asOf } = useAsOf()
+  const { roiKpis, roiTimeline, loansWithRoi, loading, error } = usePortfolio(userId, asOf)
 
   const [filterName,   setFilterName]   = useState('')
   const [filterSchool, setFilterSchool] = useState('')
@@ -658,7 +659,7 @@ if (sortKey === 'roi_desc')
           &nbsp;&nbsp;·&nbsp;&nbsp;
           Projected ROI = (Final Loan Value – Purchase Price) / Purchase Price
         </p>
-        <p style={{ margin: '4px 0 12px', fontSize: 13, color: '#64748b' }}>Current Date: {fmtMY(new Date())}</p>
+        <p style={{ margin: '4px 0 12px', fontSize: 13, color: '#64748b' }}>Current Date: {fmtMY(asOf)}</p>
       </div>
 
       {/* KPI tiles */}
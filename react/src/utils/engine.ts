@@ -0,0 +1,9 @@
+// ===============================
+// engine.ts
+// ===============================
+//
+// The reporting engines: engine.js at the repo root, typed by engine.d.ts.
+// The HTML pages and the worker API run the same files, so every page
+// computes the same schedules and KPIs. Rates are fractions (0.065).
+
+export * from '../../../engine.js'
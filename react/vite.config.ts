@@ -4,6 +4,10 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/reporting-phase2/react/',
+  server: {
+    // The engines (engine.js) and data/ live in the repo root
+    fs: { allow: ['..'] },
+  },
   build: {
     outDir: 'dist',
   },
@@ -18,7 +18,15 @@
 // UI must never recompute ROI, invested, or ownership
 
 
-import { buildAmortSchedule } from "./loanEngine.js?v=dev";
+import { buildAmortSchedule, getDefaultOutcome, resolveAsOf } from "./loanEngine.js?v=dev";
+import {
+  toCents,
+  fromCents,
+  roundMoney,
+  expectMoney,
+  ledgerChecksEnabled,
+  reportLedgerViolations
+} from "./money.js?v=dev";
 
 // =====================================================
 // INTERNAL HELPERS (PURE)
@@ -48,6 +56,34 @@ function safeNum(x) {
   return Number.isFinite(n) ? n : 0;
 }
 
+// A loan's purchase date as a new local Date. roiPhase2 passes Dates; the
+// React app and the worker pass "YYYY-MM-DD", which new Date() would read as
+// UTC midnight — the previous day west of UTC.
+function purchaseDateOf(loan) {
+  const d = loan?.purchaseDate;
+  if (typeof d === "string" && /^\d{4}-\d{2}-\d{2}$/.test(d)) {
+    const [y, m, day] = d.split("-").map(Number);
+    return new Date(y, m - 1, day);
+  }
+  return new Date(d);
+}
+
+// Interest earned on an amort row. In forbearance / hardship / interest-only
+// months, and months with a missed or cure payment, only what was paid
+// counts; the rest is still owed (in the balance or the accrued-interest bucket).
+// A payoff also pays off that bucket, and months from the servicer's payment
+// history count what the servicer reported.
+function interestEarned(r) {
+  return r?.eventWindow || r?.missedPayment || r?.curePayment || r?.payoff || r?.actual
+    ? safeNum(r.interestPaid)
+    : safeNum(r.interest);
+}
+
+// What the borrower still owes: balance plus uncapitalized interest
+function amountOwed(r) {
+  return safeNum(r?.balance) + safeNum(r?.accruedInterestBalance);
+}
+
 function monthDiff(d1, d2) {
   if (!(d1 instanceof Date) || !(d2 instanceof Date)) return 0;
   return (
@@ -79,6 +115,73 @@ function getOwnershipBasis(loan) {
 }
 
 
+// =====================================================
+// DEFAULT RECOVERIES
+// =====================================================
+// A defaulted loan's charged-off balance is worth nothing to ROI. Cash
+// recovered afterwards (net of collection cost, see loanEngine.js Default
+// recoveries) adds to realized value in the month it arrives, extending
+// the series past the default month.
+
+/**
+ * @returns {{ roiSeries, defaultRecovery }} defaultRecovery is null unless
+ *   the loan defaulted: { chargeOff, postDefaultCash, netLoss, recoveryRate,
+ *   recoveries: [{ date, netRecovery }] }, all at the holder's share
+ */
+export function applyDefaultRecoveries(loan, amortSchedule, roiSeries) {
+  const outcome = getDefaultOutcome(loan, amortSchedule);
+  if (!outcome || !roiSeries.length) return { roiSeries, defaultRecovery: null };
+
+  const last = roiSeries[roiSeries.length - 1];
+  const pct = safeNum(last.ownershipPct);
+  const invested = safeNum(last.invested);
+
+  // Net recovery (holder's share, in cents) by months after default
+  const byMonth = new Map();
+  outcome.recoveries.forEach(r => {
+    byMonth.set(r.monthsAfterDefault, (byMonth.get(r.monthsAfterDefault) || 0) + toCents(r.netRecovery * pct));
+  });
+
+  let recoveredCents = 0;
+  const entryAt = after => {
+    recoveredCents += byMonth.get(after) || 0;
+    const recovered = fromCents(recoveredCents);
+    const date = new Date(last.date.getFullYear(), last.date.getMonth() + after, 1);
+    const loanValue = roundMoney(last.realized + recovered);
+    return {
+      ...last,
+      month: last.month + after,
+      date,
+      displayDate: date,
+      roi: invested > 0 ? (loanValue - invested) / invested : 0,
+      loanValue,
+      realized: loanValue,
+      unrealized: 0,
+      remainingBalance: 0,
+      recoveredToDate: recovered
+    };
+  };
+
+  const extended = [
+    ...roiSeries.slice(0, -1),
+    entryAt(0),
+    ...[...byMonth.keys()].filter(a => a > 0).sort((a, b) => a - b).map(entryAt)
+  ];
+
+  const chargeOff = roundMoney(outcome.chargeOffAmount * pct);
+  const postDefaultCash = roundMoney(outcome.netRecovery * pct);
+  return {
+    roiSeries: extended,
+    defaultRecovery: {
+      chargeOff,
+      postDefaultCash,
+      netLoss: roundMoney(chargeOff - postDefaultCash),
+      recoveryRate: outcome.recoveryRate,
+      recoveries: outcome.recoveries.map(r => ({ date: r.date, netRecovery: roundMoney(r.netRecovery * pct) }))
+    }
+  };
+}
+
 // =====================================================
 // PUBLIC API
 // =====================================================
@@ -268,13 +371,18 @@ const scheduledPrincipalThisMonth = Math.max(
 
 const totalPaidThisMonth =
   scheduledPrincipalThisMonth +
-  safeNum(r.interest) -
+  interestEarned(r) -
   safeNum(r.feeThisMonth);
 
 recoveredCashTotal += totalPaidThisMonth * ownershipPct;
 
     }
   });
+
+  // Recoveries after a default (already at the holder's share)
+  (l.defaultRecovery?.recoveries || []).forEach(r => {
+    if (r.date <= asOf) recoveredCashTotal += r.netRecovery;
+  });
 });
 
 const capitalRecoveryPct =
@@ -308,7 +416,7 @@ export function buildProjectedRoiTimeline(loans, opts = {}) {
   const colorMap = opts.colorMap || {};
 
 const validPurchases = loans
-  .map(l => new Date(l.purchaseDate))
+  .map(purchaseDateOf)
   .filter(d => d instanceof Date && !isNaN(+d));
 
 if (!validPurchases.length) {
@@ -321,7 +429,7 @@ const earliestPurchase = new Date(
 
 const maturityDates = loans
   .map(l => {
-    const d = new Date(l.purchaseDate);
+    const d = purchaseDateOf(l);
     if (isNaN(+d)) return null;
     d.setMonth(
       d.getMonth() +
@@ -347,7 +455,7 @@ const latestMaturity = new Date(
   }
 
   const perLoanSeries = loans.map((loan, idx) => {
-    const purchase = new Date(loan.purchaseDate);
+    const purchase = purchaseDateOf(loan);
     purchase.setHours(0, 0, 0, 0);
 
     const roiMap = {};
@@ -432,16 +540,17 @@ const weightedSeries = dates.map((date, i) => {
   return { dates, perLoanSeries, weightedSeries };
 }
 
-export function buildHistoricalRoiTimeline(loans) {
+// Runs through the month of `asOf` (default today)
+export function buildHistoricalRoiTimeline(loans, { asOf } = {}) {
   if (!Array.isArray(loans) || loans.length === 0) {
     return { dates: [], perLoanSeries: [], weightedSeries: [] };
   }
 
   // ----------------------------------
-  // Global date range (earliest purchase → today)
+  // Global date range (earliest purchase → asOf)
   // ----------------------------------
   const validPurchases = loans
-    .map(l => new Date(l.purchaseDate))
+    .map(purchaseDateOf)
     .filter(d => d instanceof Date && Number.isFinite(+d));
 
   if (!validPurchases.length) {
@@ -452,13 +561,12 @@ export function buildHistoricalRoiTimeline(loans) {
   start.setDate(1);
   start.setHours(0, 0, 0, 0);
 
-  const today = new Date();
-  today.setDate(1);
-  today.setHours(0, 0, 0, 0);
+  const asOfMonth = resolveAsOf(asOf);
+  asOfMonth.setDate(1);
 
   const dates = [];
   const cursor = new Date(start);
-  while (cursor <= today) {
+  while (cursor <= asOfMonth) {
     dates.push(new Date(cursor));
     cursor.setMonth(cursor.getMonth() + 1);
   }
@@ -551,7 +659,7 @@ export function getRoiSeriesAsOfMonth(loans, monthDate) {
 export function getLoanMaturityDate(loan) {
   if (!loan?.purchaseDate) return null;
 
-  const d = new Date(loan.purchaseDate);
+  const d = purchaseDateOf(loan);
   if (isNaN(+d)) return null;
 
   const months =
@@ -561,6 +669,23 @@ export function getLoanMaturityDate(loan) {
   return d;
 }
 
+// Ledger checks for a loan's cumSchedule (validation mode, see money.js):
+// each cumulative equals the running sum of what its rows paid
+function checkRoiLedger(loan, cumSchedule) {
+  const violations = [];
+  let p = 0, i = 0, fees = 0;
+  cumSchedule.forEach(r => {
+    const at = check => ({ engine: "roi", loanId: loan.loanId ?? loan.id, month: r.monthIndex, check });
+    p += toCents(r.principalPaid);
+    i += toCents(interestEarned(r));
+    fees += toCents(r.feeThisMonth);
+    expectMoney(violations, at("cumPrincipal"), fromCents(p), r.cumPrincipal);
+    expectMoney(violations, at("cumInterest"), fromCents(i), r.cumInterest);
+    expectMoney(violations, at("cumFees"), fromCents(fees), r.cumFees);
+  });
+  return violations;
+}
+
 export function deriveLoansWithRoi(formattedLoans) {
   // Helper to safely convert any value to number (prevents NaN from strings/null/undefined)
   const safeNum = (v) => {
@@ -579,7 +704,7 @@ export function deriveLoansWithRoi(formattedLoans) {
       return out;
     })();
 
-    const purchase = new Date(l.purchaseDate);
+    const purchase = purchaseDateOf(l);
     const scheduleWithOwnership = amortSchedule.map(r => ({
       ...r,
       isOwned: r.loanDate >= purchase,
@@ -589,6 +714,7 @@ export function deriveLoansWithRoi(formattedLoans) {
       ownershipDate: r.loanDate >= purchase ? r.loanDate : null
     }));
 
+    // Cumulatives in integer cents
     let cumP = 0;
     let cumI = 0;
     let cumFees = 0;
@@ -597,44 +723,42 @@ export function deriveLoansWithRoi(formattedLoans) {
       .filter(r => r.isOwned)
       .reduce((rows, r) => {
         // Use safeNum on EVERY incoming value to prevent NaN from schedule
-        cumP    += safeNum(r.principalPaid);
-        cumI    += safeNum(r.interest);
-        cumFees += safeNum(r.feeThisMonth ?? 0);
+        cumP    += toCents(safeNum(r.principalPaid));
+        cumI    += toCents(interestEarned(r));
+        cumFees += toCents(safeNum(r.feeThisMonth ?? 0));
 
         rows.push({
           ...r,
-          cumPrincipal: +cumP.toFixed(2),
-          cumInterest:  +cumI.toFixed(2),
-          cumFees:      +cumFees.toFixed(2)
+          cumPrincipal: fromCents(cumP),
+          cumInterest:  fromCents(cumI),
+          cumFees:      fromCents(cumFees)
         });
 
         if (r.isTerminal === true) return rows;
         return rows;
       }, []);
 
+    if (ledgerChecksEnabled()) reportLedgerViolations(checkRoiLedger(l, cumSchedule));
+
     const roiSeries = cumSchedule
       .filter(r => r.isOwned)
       .map(r => {
         const { ownershipPct, invested, lots } = getOwnershipBasis(l);
 
         // All calculations use safeNum
-        const realized   = (safeNum(r.cumPrincipal) + safeNum(r.cumInterest) - safeNum(r.cumFees)) * safeNum(ownershipPct);
-        const unrealized = safeNum(r.balance) * 0.95 * safeNum(ownershipPct);
-        const loanValue  = realized + unrealized;
+        const realized   = roundMoney((safeNum(r.cumPrincipal) + safeNum(r.cumInterest) - safeNum(r.cumFees)) * safeNum(ownershipPct));
+        const unrealized = r.defaulted ? 0 : roundMoney(amountOwed(r) * 0.95 * safeNum(ownershipPct));
+        const loanValue  = roundMoney(realized + unrealized);
 
         // Safe ROI calculation with fallback
         let roi = 0;
         if (safeNum(invested) > 0) {
           roi = (loanValue - safeNum(invested)) / safeNum(invested);
         }
-
-        // ── DIAGNOSTIC LOGGING ──
-        // Only log when something went wrong (NaN or suspicious)
-        if (!Number.isFinite(roi) || roi === 0 && loanValue !== 0) {
-          console.warn(`[ROI-NaN] Loan ${l.id} @ month ${r.ownershipMonthIndex}: ` +
-                       `roi=${roi}, invested=${invested}, realized=${realized}, ` +
-                       `unrealized=${unrealized}, loanValue=${loanValue}, ` +
-                       `ownershipPct=${ownershipPct}, balance=${r.balance}`);
+        if (!Number.isFinite(roi) && ledgerChecksEnabled()) {
+          reportLedgerViolations([{
+            engine: "roi", loanId: l.loanId ?? l.id, month: r.monthIndex, check: "roiFinite", expected: null, actual: roi
+          }]);
         }
 
         return {
@@ -654,6 +778,9 @@ export function deriveLoansWithRoi(formattedLoans) {
         };
       });
 
+    const { roiSeries: roiSeriesWithRecoveries, defaultRecovery } =
+      applyDefaultRecoveries(l, amortSchedule, roiSeries);
+
     return {
       ...l,
       amort: { schedule: amortSchedule },
@@ -661,7 +788,8 @@ export function deriveLoansWithRoi(formattedLoans) {
       cumSchedule,
       balanceAtPurchase:
         amortSchedule.find(r => r.loanDate >= purchase)?.balance ?? 0,
-      roiSeries
+      roiSeries: roiSeriesWithRecoveries,
+      defaultRecovery
     };
   });
 }
@@ -0,0 +1,37 @@
+// browserGlobals.js — what the browser-only engines expect, for Node
+//
+// valuationEngine.js reads `window` and starts a config fetch when it loads,
+// and valuationOverrides.js keeps user overrides in localStorage. Import this
+// module before them. fetch serves data/*.json by file name and answers 404
+// for anything else, so the backend config never loads and the harness
+// values loans on SYSTEM_PROFILE defaults, the same on every machine.
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const DATA = path.join(path.dirname(fileURLToPath(import.meta.url)), "../data");
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); },
+    clear: () => items.clear()
+  };
+}
+
+async function dataFetch(url) {
+  const name = String(url).split(/[?#]/)[0].split("/").pop();
+  const file = path.join(DATA, name.endsWith(".json") ? name : `${name}.json`);
+  if (!fs.existsSync(file)) {
+    return { ok: false, status: 404, json: async () => { throw new Error(`No data file for ${url}`); } };
+  }
+  const text = fs.readFileSync(file, "utf8");
+  return { ok: true, status: 200, json: async () => JSON.parse(text) };
+}
+
+globalThis.window ??= globalThis;
+globalThis.localStorage ??= memoryStorage();
+globalThis.fetch = dataFetch;
@@ -0,0 +1,257 @@
+// edgeLoans.js — hand-built loans for the cases data/loans.json barely covers
+//
+// Same shape as data/loans.json. Lots belong to users in
+// data/platformConfig.json so every fee waiver is exercised: john pays all
+// fees, nick has the setup fee waived, jeff all fees, shane only in grace and
+// deferral months. The harness values them as of 2026-06-30.
+//
+// After the data-shape cases come one loan per engine feature (variable
+// rates, repayment plans, capitalization, relief windows, delinquency,
+// prepayment recasts, modifications, payoffs, payment tapes, servicing
+// tiers and a loan's own waiver); recoveries are EDGE-DEFAULT-RECOVERIES
+// above.
+
+const lot = (user, pct, purchaseDate, pricePaid) => ({ user, pct, purchaseDate, pricePaid: pricePaid.toFixed(2) });
+
+function edgeLoan(loanId, fields) {
+  return {
+    loanId,
+    loanName: loanId,
+    school: "Penn State",
+    loanStartDate: "2024-01-01",
+    principal: 10000,
+    nominalRate: 0.085,
+    termYears: 10,
+    graceYears: 0.5,
+    loanStatus: "",
+    feeWaiver: "none",
+    borrowerId: "BRW-7EO4B3SHJY",
+    events: [],
+    ...fields,
+    purchaseDate: fields.ownershipLots[0].purchaseDate
+  };
+}
+
+export const EDGE_LOANS = [
+  // Default with a fixed recovery on the default event
+  edgeLoan("EDGE-DEFAULT", {
+    events: [{ id: "edge-default-1", type: "default", date: "2025-09-15", recoveryAmount: 1200 }],
+    ownershipLots: [lot("john", 1, "2024-01-01", 10000)]
+  }),
+
+  // Default with an explicit charge-off, then recoveries net of collection costs,
+  // held by two users
+  edgeLoan("EDGE-DEFAULT-RECOVERIES", {
+    loanStartDate: "2023-07-01",
+    principal: 15000,
+    events: [
+      { id: "edge-default-2", type: "default", date: "2025-03-10", chargeOffAmount: 14000 },
+      { id: "edge-recovery-1", type: "recovery", date: "2025-08-01", amount: 2500, collectionCost: 400 },
+      { id: "edge-recovery-2", type: "recovery", date: "2026-02-01", amount: 1800, collectionCost: 250 }
+    ],
+    ownershipLots: [lot("nick", 0.6, "2023-07-01", 9000), lot("market", 0.4, "2023-07-01", 6000)]
+  }),
+
+  // Default in the month the buyer's lot was bought
+  edgeLoan("EDGE-DEFAULT-AT-PURCHASE", {
+    loanStartDate: "2022-09-01",
+    events: [{ id: "edge-default-3", type: "default", date: "2025-05-20", recoveryAmount: 0 }],
+    ownershipLots: [lot("market", 0.5, "2022-09-01", 5000), lot("john", 0.5, "2025-05-01", 3500)]
+  }),
+
+  // Two deferrals starting the same month (they add up), then a third
+  // starting the month after they end
+  edgeLoan("EDGE-STACKED-DEFERRALS", {
+    events: [
+      { id: "edge-deferral-1", type: "deferral", startDate: "2025-01-01", months: 6 },
+      { id: "edge-deferral-2", type: "deferral", startDate: "2025-01-01", months: 3 },
+      { id: "edge-deferral-3", type: "deferral", startDate: "2025-10-01", months: 4 }
+    ],
+    ownershipLots: [lot("shane", 1, "2024-01-01", 10000)]
+  }),
+
+  // A deferral that starts inside another one
+  edgeLoan("EDGE-OVERLAPPING-DEFERRALS", {
+    loanStartDate: "2024-04-01",
+    graceYears: 0,
+    events: [
+      { id: "edge-deferral-4", type: "deferral", startDate: "2024-10-01", months: 6 },
+      { id: "edge-deferral-5", type: "deferral", startDate: "2025-01-01", months: 6 }
+    ],
+    ownershipLots: [lot("shane", 0.5, "2024-04-01", 5000), lot("jeff", 0.5, "2024-04-01", 5000)]
+  }),
+
+  // Bought after the as-of date: owned months are all in the future
+  edgeLoan("EDGE-FUTURE-PURCHASE", {
+    loanStartDate: "2025-01-01",
+    ownershipLots: [lot("market", 0.5, "2025-01-01", 5000), lot("john", 0.5, "2026-11-01", 4800)]
+  }),
+
+  // Not yet disbursed at the as-of date
+  edgeLoan("EDGE-FUTURE-START", {
+    loanStartDate: "2026-09-01",
+    ownershipLots: [lot("nick", 1, "2026-09-01", 10000)]
+  }),
+
+  // One holder buying in several lots, alongside two others, with prepayments
+  edgeLoan("EDGE-MULTI-LOT", {
+    loanStartDate: "2023-01-01",
+    principal: 20000,
+    termYears: 8,
+    events: [
+      { id: "edge-prepay-1", type: "prepayment", date: "2024-03-01", amount: 2000 },
+      { id: "edge-prepay-2", type: "prepayment", date: "2025-06-01", amount: 1500 }
+    ],
+    ownershipLots: [
+      lot("market", 0.2, "2023-01-01", 4000),
+      lot("john", 0.25, "2023-06-01", 5000),
+      lot("john", 0.25, "2025-02-01", 4200),
+      lot("nick", 0.3, "2024-01-01", 5700)
+    ]
+  }),
+
+  // Variable rate: SOFR + 4.5%, reset yearly, between a 6% floor and a 12% cap
+  edgeLoan("EDGE-VARIABLE-RATE", {
+    loanStartDate: "2021-07-01",
+    variableRate: { index: "SOFR", margin: 0.045, resetMonths: 12, floor: 0.06, cap: 0.12, periodicCap: 0.02 },
+    ownershipLots: [lot("john", 1, "2021-07-01", 10000)]
+  }),
+
+  // Graduated plan: payments step up 10% every two years
+  edgeLoan("EDGE-GRADUATED-PLAN", {
+    loanStartDate: "2023-09-01",
+    repaymentPlan: { type: "graduated", stepYears: 2, stepPct: 0.1 },
+    ownershipLots: [lot("nick", 1, "2023-09-01", 10000)]
+  }),
+
+  // Interest capitalized once at the end of grace, with a deferral after it
+  edgeLoan("EDGE-CAPITALIZE-END-OF-GRACE", {
+    loanStartDate: "2023-03-01",
+    graceYears: 1,
+    capitalization: "endOfGrace",
+    events: [{ id: "edge-deferral-6", type: "deferral", startDate: "2025-03-01", months: 6 }],
+    ownershipLots: [lot("shane", 1, "2023-03-01", 10000)]
+  }),
+
+  // Forbearance, then a reduced hardship payment, then interest only,
+  // held by a payer and a full waiver
+  edgeLoan("EDGE-RELIEF-WINDOWS", {
+    loanStartDate: "2023-01-01",
+    events: [
+      { id: "edge-forbearance-1", type: "forbearance", startDate: "2024-09-01", months: 3 },
+      { id: "edge-hardship-1", type: "hardship", startDate: "2025-01-01", months: 6, payment: 40 },
+      { id: "edge-interest-only-1", type: "interestOnly", startDate: "2025-09-01", months: 6 }
+    ],
+    ownershipLots: [lot("john", 0.5, "2023-01-01", 5000), lot("jeff", 0.5, "2023-01-01", 5000)]
+  }),
+
+  // Two missed payments, partly cured, then a missed payment left past due
+  edgeLoan("EDGE-MISSED-AND-CURED", {
+    events: [
+      { id: "edge-missed-1", type: "missedPayment", date: "2025-02-01" },
+      { id: "edge-missed-2", type: "missedPayment", date: "2025-03-01" },
+      { id: "edge-cure-1", type: "curePayment", date: "2025-05-15", amount: 150 },
+      { id: "edge-cure-2", type: "curePayment", date: "2025-07-15" },
+      { id: "edge-missed-3", type: "missedPayment", date: "2026-05-01" }
+    ],
+    ownershipLots: [lot("john", 1, "2024-01-01", 10000)]
+  }),
+
+  // Missed payments run on to a charge-off at 90 days past due
+  edgeLoan("EDGE-DPD-CHARGE-OFF", {
+    loanStartDate: "2023-01-01",
+    chargeOffDpd: 90,
+    events: [
+      { id: "edge-missed-4", type: "missedPayment", date: "2025-04-01" },
+      { id: "edge-missed-5", type: "missedPayment", date: "2025-05-01" },
+      { id: "edge-missed-6", type: "missedPayment", date: "2025-06-01" },
+      { id: "edge-missed-7", type: "missedPayment", date: "2025-07-01" }
+    ],
+    ownershipLots: [lot("nick", 1, "2023-01-01", 10000)]
+  }),
+
+  // Prepayments that recast the payment, one by the loan's default mode and
+  // one by the event's
+  edgeLoan("EDGE-RECAST-PREPAYMENT", {
+    loanStartDate: "2022-01-01",
+    prepaymentMode: "recast",
+    events: [
+      { id: "edge-prepay-3", type: "prepayment", date: "2023-05-01", amount: 2500 },
+      { id: "edge-prepay-4", type: "prepayment", date: "2025-02-01", amount: 1000, mode: "reduceTerm" }
+    ],
+    ownershipLots: [lot("john", 0.5, "2022-01-01", 5000), lot("market", 0.5, "2022-01-01", 5000)]
+  }),
+
+  // A modification: lower rate, longer term and some principal forgiven
+  edgeLoan("EDGE-MODIFICATION", {
+    loanStartDate: "2022-06-01",
+    events: [
+      { id: "edge-modification-1", type: "modification", date: "2025-01-01", rate: 0.05, remainingTermMonths: 120, forgivenPrincipal: 1000 }
+    ],
+    ownershipLots: [lot("shane", 1, "2022-06-01", 10000)]
+  }),
+
+  // Refinanced away before the as-of date
+  edgeLoan("EDGE-PAYOFF", {
+    loanStartDate: "2022-06-01",
+    events: [{ id: "edge-payoff-1", type: "payoff", date: "2025-10-10", reason: "refinance" }],
+    ownershipLots: [lot("john", 0.4, "2022-06-01", 4000), lot("nick", 0.6, "2022-06-01", 6000)]
+  }),
+
+  // A servicer tape through 2024-12: a short payment paid late, and
+  // November missing
+  edgeLoan("EDGE-PAYMENT-TAPE", {
+    payments: [
+      { id: "edge-tape-1", date: "2024-07-01", principal: 53.17, interest: 70.83, fees: 0 },
+      { id: "edge-tape-2", date: "2024-08-01", principal: 53.55, interest: 70.45, fees: 0 },
+      { id: "edge-tape-3", date: "2024-09-12", principal: 20, interest: 70.07, fees: 15, late: true },
+      { id: "edge-tape-4", date: "2024-10-01", principal: 54.17, interest: 69.83, fees: 0 },
+      { id: "edge-tape-5", date: "2024-12-01", principal: 40, interest: 69.45, fees: 0 }
+    ],
+    ownershipLots: [lot("john", 1, "2024-01-01", 10000)]
+  }),
+
+  // Servicing on volume tiers of john's balance (EDGE_FEE_RULES)
+  edgeLoan("EDGE-TIERED-SERVICING", {
+    loanStartDate: "2023-01-01",
+    principal: 40000,
+    ownershipLots: [lot("john", 1, "2023-01-01", 40000)]
+  }),
+
+  // A small loan whose servicing falls under the minimum fee (EDGE_FEE_RULES)
+  edgeLoan("EDGE-MINIMUM-FEE", {
+    loanStartDate: "2023-01-01",
+    principal: 1500,
+    ownershipLots: [lot("john", 0.5, "2023-01-01", 750), lot("shane", 0.5, "2023-01-01", 750)]
+  }),
+
+  // The loan's own waiver, held by john, who otherwise pays every fee
+  edgeLoan("EDGE-LOAN-WAIVER", {
+    loanStartDate: "2023-04-01",
+    feeWaiver: "all",
+    ownershipLots: [lot("john", 1, "2023-04-01", 10000)]
+  })
+];
+
+// Fee rules the edge corpus adds to data/platformConfig.json's, scoped to
+// the loans above so the rest price as the real config does
+export const EDGE_FEE_RULES = [
+  {
+    id: "edge-tiered-servicing",
+    label: "Edge: servicing tiered on the holder's balance",
+    trigger: "servicing",
+    type: "charge",
+    bps: 25,
+    tiers: [{ minBalance: 50000, bps: 20 }, { minBalance: 80000, bps: 15 }],
+    appliesTo: { loans: ["EDGE-TIERED-SERVICING"] }
+  },
+  {
+    id: "edge-minimum-fee",
+    label: "Edge: $5 minimum servicing",
+    trigger: "servicing",
+    type: "charge",
+    bps: 25,
+    minimumFee: 5,
+    appliesTo: { loans: ["EDGE-MINIMUM-FEE"] }
+  }
+];
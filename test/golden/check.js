@@ -0,0 +1,35 @@
+// check.js — compare the engines with the golden corpora
+//
+//   npm run test:golden               compare; exits 1 on any difference
+//   npm run test:golden -- --update   rewrite the golden files after a change
+//                                     that is meant to move the numbers
+//
+// Commit the rewritten golden files with the change that moved them, so the
+// diff shows which loans and KPIs it touched. `npm test` runs the same
+// comparison (golden.test.js), with the ledger checks on.
+
+import path from "node:path";
+import { AS_OF, CORPORA, buildGolden, readGolden, writeGolden, diffCorpus, goldenFile } from "./golden.js";
+
+const MAX_REPORTED = 50;
+const update = process.argv.includes("--update");
+
+for (const name of Object.keys(CORPORA)) {
+  const corpus = await buildGolden(name);
+
+  if (update) {
+    writeGolden(name, corpus);
+    console.log(`Wrote ${path.relative(process.cwd(), goldenFile(name))}`);
+    continue;
+  }
+
+  const differences = diffCorpus(readGolden(name), corpus);
+  if (differences.length) {
+    console.error(`${differences.length} difference(s) from the ${name} golden corpus (golden → now):`);
+    differences.slice(0, MAX_REPORTED).forEach(d => console.error(`  ${d}`));
+    if (differences.length > MAX_REPORTED) console.error(`  … and ${differences.length - MAX_REPORTED} more`);
+    process.exitCode = 1;
+  } else {
+    console.log(`Golden corpus ${name} OK (${Object.keys(corpus.loans).length} loans, ${Object.keys(corpus.holders).length} holders, as of ${AS_OF})`);
+  }
+}
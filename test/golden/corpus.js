@@ -0,0 +1,169 @@
+// corpus.js — golden outputs for every page, from data/*.json
+//
+// The HTML pages, the worker API and the React app all compute through
+// engine.js. The corpus records what it gives, at a fixed as-of date:
+//   loans     each stored loan's schedule (Admin, Amort, /loans/:id/amort)
+//             and its valuation (Valuation)
+//   holders   for every user, their view of each loan they hold (schedule,
+//             earnings and ROI) and their portfolio KPIs: ROI, earnings and
+//             delinquency (Reporting, ROI, Earnings, /portfolio/:user/kpis)
+//
+// Schedules are kept as totals plus a hash of every row, so the golden file
+// stays small and still changes when any row does. golden.js recomputes
+// the corpora and diffs them against the committed golden files.
+//
+// valueLoan reads borrowers, school tiers and valuation curves from the
+// stores the Valuation page loads; load them before building (golden.js).
+
+import "../browserGlobals.js";
+import {
+  buildAmortSchedule,
+  deriveLoansWithRoi,
+  holderLoans,
+  computeLoanAmort,
+  computeLoanEarnings,
+  computePortfolioKpis,
+  toJsonDates
+} from "../../engine.js";
+import { contentHash } from "../../contentHash.js?v=dev";
+import { sumMoney } from "../../money.js?v=dev";
+import { valueLoan, SYSTEM_PROFILE } from "../../valuationEngine.js?v=dev";
+import { getBorrowerById } from "../../borrowerStore.js?v=dev";
+import { getEffectiveBorrower } from "../../valuationOverrides.js?v=dev";
+
+// The Valuation page's risk-free rate
+const RISK_FREE_RATE = 0.0423;
+
+// Totals, first and last month, and a hash of the rows (dates as YYYY-MM-DD)
+function summarizeSchedule(rows) {
+  const sum = field => sumMoney(rows.map(r => Number(r[field]) || 0));
+  return {
+    months: rows.length,
+    first: rows[0]?.loanDate ?? null,
+    last: rows.at(-1)?.loanDate ?? null,
+    payment: sum("payment"),
+    principal: sum("principalPaid"),
+    prepayment: sum("prepayment"),
+    interest: sum("interest"),
+    fees: sum("feeThisMonth"),
+    finalBalance: rows.at(-1)?.balance ?? 0,
+    hash: contentHash(rows)
+  };
+}
+
+function summarizeEarnings({ schedule, current }) {
+  const last = schedule.at(-1) || {};
+  return {
+    months: schedule.length,
+    ownedMonths: schedule.filter(r => r.isOwned).length,
+    cumPrincipal: last.cumPrincipal ?? 0,
+    cumInterest: last.cumInterest ?? 0,
+    cumFees: last.cumFees ?? 0,
+    cumRecovery: last.cumRecovery ?? 0,
+    netEarnings: last.netEarnings ?? 0,
+    currentNetEarnings: current?.netEarnings ?? 0,
+    hash: contentHash(schedule)
+  };
+}
+
+function summarizeRoi({ roiSeries, defaultRecovery }) {
+  const last = roiSeries.at(-1) || {};
+  return {
+    months: roiSeries.length,
+    invested: last.invested ?? 0,
+    ownershipPct: last.ownershipPct ?? 0,
+    finalRoi: last.roi ?? 0,
+    finalLoanValue: last.loanValue ?? 0,
+    realized: last.realized ?? 0,
+    defaultRecovery: toJsonDates(defaultRecovery ?? null),
+    hash: contentHash(toJsonDates(roiSeries))
+  };
+}
+
+function summarizeValuation(raw, asOf) {
+  const loan = structuredClone(raw);
+  const borrower = getEffectiveBorrower({ loan, systemBorrower: getBorrowerById(loan.borrowerId) || {} });
+  const v = valueLoan({ loan, borrower, riskFreeRate: RISK_FREE_RATE, profile: SYSTEM_PROFILE, asOf });
+  return {
+    riskTier: v.riskTier,
+    discountRate: v.discountRate,
+    npv: v.npv,
+    npvRatio: v.npvRatio ?? null,
+    expectedLoss: v.expectedLoss,
+    wal: v.wal,
+    irr: v.irr,
+    hash: contentHash(toJsonDates({ cashflows: v.cashflowSchedule ?? null, projections: v.projections ?? null }))
+  };
+}
+
+// Every user's view of the loans they hold (schedule, earnings and ROI)
+// and their portfolio KPIs. `checked` collects ledger violations.
+function buildHolders({ loans, config, today, checks, checked }) {
+  const users = (config.users || []).filter(u => u.id && u.active !== false).map(u => u.id);
+  const holders = {};
+
+  users.forEach(userId => {
+    // computePortfolioKpis first: it installs `config` for the direct
+    // buildAmortSchedule calls below
+    const kpis = checked(computePortfolioKpis(loans, userId, config, { today, checks }));
+    const held = {};
+    const mine = holderLoans(loans, userId);
+    const withRoi = deriveLoansWithRoi(mine);
+    mine.forEach((loan, i) => {
+      const raw = loans.find(l => l.loanId === loan.loanId);
+      held[loan.loanId] = {
+        amort: summarizeSchedule(toJsonDates(buildAmortSchedule(loan))),
+        earnings: summarizeEarnings(checked(computeLoanEarnings(raw, userId, config, { today, checks, portfolio: loans }))),
+        roi: summarizeRoi(withRoi[i])
+      };
+    });
+    holders[userId] = { kpis, loans: held };
+  });
+
+  return holders;
+}
+
+const asOfDate = asOf => {
+  const [y, m, d] = asOf.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/**
+ * @param {Object}  data
+ * @param {Array}   data.loans    data/loans.json `loans`
+ * @param {Object}  data.config   data/platformConfig.json
+ * @param {string}  data.asOf     "YYYY-MM-DD": the date every figure is as of
+ * @param {boolean} [data.checks] run the ledger checks too, and list what
+ *                                they find in `ledgerViolations`
+ */
+export function buildCorpus({ loans, config, asOf, checks = false }) {
+  const today = asOfDate(asOf);
+
+  const corpus = { asOf, loans: {}, holders: {} };
+  const violations = [];
+  const checked = ({ ledgerViolations = [], ...result }) => {
+    violations.push(...ledgerViolations);
+    return result;
+  };
+
+  loans.forEach(raw => {
+    corpus.loans[raw.loanId] = {
+      ...summarizeSchedule(checked(computeLoanAmort(raw, config, { checks })).schedule),
+      valuation: summarizeValuation(raw, today)
+    };
+  });
+  corpus.holders = buildHolders({ loans, config, today, checks, checked });
+
+  return checks ? { ...corpus, ledgerViolations: violations } : corpus;
+}
+
+/**
+ * The corpus' `holders` from loans as a page loaded and normalized them
+ * (golden.js PAGE_LOADERS). They match the corpus' own when the page
+ * computes the same schedules and KPIs.
+ *
+ * @param {Object}  data   as buildCorpus, with `loans` from the page loader
+ */
+export function buildPageHolders({ loans, config, asOf }) {
+  return buildHolders({ loans, config, today: asOfDate(asOf), checks: false, checked: result => result });
+}
@@ -0,0 +1,149 @@
+// golden.js — the golden corpora and how they are compared
+//
+//   loans  data/loans.json, the loans the pages show
+//   edge   test/fixtures/edgeLoans.js: defaults, stacked deferrals, future
+//          purchases, multi-lot holdings and a loan per engine feature
+//
+// Both are built with data/platformConfig.json as of AS_OF (the edge corpus
+// adds EDGE_FEE_RULES to its fee rules) and kept in
+// test/golden/<name>.golden.json. check.js and golden.test.js use this.
+//
+// The HTML pages load loans through their own loaders (PAGE_LOADERS) before
+// holderLoans; buildPageHolders runs a corpus through each of them so the
+// pages can be held to the corpus' holders.
+
+import "../browserGlobals.js";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildCorpus, buildPageHolders } from "./corpus.js";
+import { EDGE_LOANS, EDGE_FEE_RULES } from "../fixtures/edgeLoans.js";
+import { loadValuationCurves, loadSchoolTiers } from "../../valuationEngine.js?v=dev";
+import { loadBorrowers } from "../../borrowerStore.js?v=dev";
+import { loadLoans as loadEngineLoans, normalizeOwnership } from "../../engine.js";
+import { loadLoans as fetchLoans } from "../../loadLoans.js?v=dev";
+import { normalizeLoan } from "../../normalizeLoan.js?v=dev";
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const DATA = path.join(HERE, "../../data");
+
+export const AS_OF = "2026-06-30";
+
+const readJson = file => JSON.parse(fs.readFileSync(file, "utf8"));
+
+export const CORPORA = {
+  loans: () => readJson(path.join(DATA, "loans.json")).loans,
+  edge: () => structuredClone(EDGE_LOANS)
+};
+
+// Fee rules a corpus adds after the real config's
+const EXTRA_FEE_RULES = {
+  edge: EDGE_FEE_RULES
+};
+
+export const goldenFile = name => path.join(HERE, `${name}.golden.json`);
+
+let valuationLoaded = null;
+
+// The stores valueLoan reads (browserGlobals.js serves these from data/)
+function loadValuationData() {
+  valuationLoaded ??= Promise.all([
+    loadValuationCurves("valuationCurves.json"),
+    loadSchoolTiers("schoolTiers.json"),
+    loadBorrowers("borrowers.json")
+  ]);
+  return valuationLoaded;
+}
+
+// Engine logging (tier fallbacks, placeholder ROI notes) is muted while
+// building; anything wrong shows up as a difference or a ledger violation
+function quietly(build) {
+  const { log, warn, info } = console;
+  console.log = console.warn = console.info = () => {};
+  try {
+    return build();
+  } finally {
+    Object.assign(console, { log, warn, info });
+  }
+}
+
+function corpusConfig(name) {
+  const config = readJson(path.join(DATA, "platformConfig.json"));
+  config.fees.rules = [...(config.fees.rules || []), ...structuredClone(EXTRA_FEE_RULES[name] || [])];
+  return config;
+}
+
+export async function buildGolden(name, { checks = false } = {}) {
+  await loadValuationData();
+  const loans = CORPORA[name]();
+  const config = corpusConfig(name);
+  // JSON round trip: compare exactly what would be written
+  return JSON.parse(JSON.stringify(quietly(() => buildCorpus({ loans, config, asOf: AS_OF, checks }))));
+}
+
+// How the pages load loans, from the loans API to what they hand holderLoans:
+//   engine         loanEngine.js loadLoans (Earnings)
+//   normalizeLoan  loadLoans.js, then normalizeLoan.js (Amort, Reporting)
+// The ROI page's loader keeps every field of the stored loan.
+export const PAGE_LOADERS = {
+  engine: async () => {
+    const loans = await loadEngineLoans();
+    loans.forEach(normalizeOwnership);
+    return loans;
+  },
+  normalizeLoan: async () => {
+    const { loans } = await fetchLoans();
+    loans.forEach(normalizeOwnership);
+    return loans.map(normalizeLoan);
+  }
+};
+
+// Runs `load` with the loans API answering with `loans`
+async function servingLoans(loans, load) {
+  const { fetch } = globalThis;
+  globalThis.fetch = async (url, init) => (/\/loans(\?|$)/.test(String(url))
+    ? { ok: true, status: 200, json: async () => ({ loans: structuredClone(loans), sha: null }) }
+    : fetch(url, init));
+  try {
+    return await load();
+  } finally {
+    globalThis.fetch = fetch;
+  }
+}
+
+// The corpus' holders, computed from its loans as `page` loads them
+export async function buildPageGolden(name, page) {
+  await loadValuationData();
+  const loans = await servingLoans(CORPORA[name](), PAGE_LOADERS[page]);
+  const config = corpusConfig(name);
+  return JSON.parse(JSON.stringify(quietly(() => buildPageHolders({ loans, config, asOf: AS_OF }))));
+}
+
+export function readGolden(name) {
+  return readJson(goldenFile(name));
+}
+
+export function writeGolden(name, corpus) {
+  fs.writeFileSync(goldenFile(name), JSON.stringify(corpus, null, 2) + "\n");
+}
+
+// { "a.b.0.c": value } for every leaf
+function flatten(value, prefix = "", out = {}) {
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (!entries.length) out[prefix] = Array.isArray(value) ? [] : {};
+    entries.forEach(([k, v]) => flatten(v, prefix ? `${prefix}.${k}` : k, out));
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// "path: golden → now" for every leaf that differs
+export function diffCorpus(golden, actual) {
+  const g = flatten(golden);
+  const a = flatten(actual);
+  return [...new Set([...Object.keys(g), ...Object.keys(a)])]
+    .filter(k => JSON.stringify(g[k]) !== JSON.stringify(a[k]))
+    .map(k => `${k}: ${JSON.stringify(g[k])} → ${JSON.stringify(a[k])}`);
+}
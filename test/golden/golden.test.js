@@ -0,0 +1,30 @@
+// golden.test.js — `npm test`: every corpus matches its golden file and
+// passes the ledger checks (see money.js), and every page loader gives the
+// same holders. After a change that is meant to move the numbers, rewrite
+// the golden files with `npm run test:golden -- --update`.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CORPORA, PAGE_LOADERS, buildGolden, buildPageGolden, readGolden, diffCorpus } from "./golden.js";
+
+for (const name of Object.keys(CORPORA)) {
+  test(`${name} corpus`, async t => {
+    const { ledgerViolations, ...corpus } = await buildGolden(name, { checks: true });
+
+    await t.test("matches the golden file", () => {
+      const differences = diffCorpus(readGolden(name), corpus);
+      assert.deepEqual(differences, [], `${differences.length} difference(s) (golden → now)`);
+    });
+
+    await t.test("has no ledger violations", () => {
+      assert.deepEqual(ledgerViolations, []);
+    });
+
+    for (const page of Object.keys(PAGE_LOADERS)) {
+      await t.test(`gives the same holders through the ${page} page loader`, async () => {
+        const differences = diffCorpus(corpus.holders, await buildPageGolden(name, page));
+        assert.deepEqual(differences, [], `${differences.length} difference(s) (corpus → page)`);
+      });
+    }
+  });
+}
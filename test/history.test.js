@@ -0,0 +1,67 @@
+// history.test.js — per-record history pages back past other records' saves
+//
+// /history/loans/:id keeps only the saves that touched that loan, however
+// many saves of other loans came in between, and hands back a cursor for
+// the older ones.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import worker from "../worker.js";
+import { createFsStorage } from "../fsStorage.js";
+
+const DATA = path.join(path.dirname(fileURLToPath(import.meta.url)), "../data");
+
+function tempEnv(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, "data"));
+  fs.copyFileSync(path.join(DATA, "loans.json"), path.join(root, "data/loans.json"));
+  return { STORAGE: createFsStorage({ root }), ADMIN_API_KEY: "test-admin-key", AUTH_SECRET: "test-secret" };
+}
+
+function call(env, method, route, body) {
+  return worker.fetch(new Request(`http://localhost${route}`, {
+    method,
+    headers: { Authorization: "Bearer test-admin-key", "Content-Type": "application/json" },
+    body: body && JSON.stringify(body)
+  }), env);
+}
+
+async function rename(env, loanId, nickname) {
+  const { sha } = await env.STORAGE.read("data/loans.json");
+  const res = await call(env, "PATCH", `/loans/${encodeURIComponent(loanId)}`, { loan: { nickname }, sha });
+  assert.equal(res.status, 200, await res.clone().text());
+}
+
+test("a loan's history pages through saves of other loans", async t => {
+  const env = tempEnv(t);
+  const [mine, other] = JSON.parse(fs.readFileSync(path.join(DATA, "loans.json"), "utf8")).loans.map(l => l.loanId);
+
+  // Three saves of `mine`, each buried under more saves than one page holds
+  for (let round = 1; round <= 3; round++) {
+    await rename(env, mine, `mine ${round}`);
+    for (let i = 0; i < 35; i++) await rename(env, other, `other ${round}.${i}`);
+  }
+
+  const route = `/history/loans/${encodeURIComponent(mine)}?limit=2`;
+  const first = await (await call(env, "GET", route)).json();
+  assert.deepEqual(first.entries.map(e => e.changes[0].after), ["mine 3", "mine 2"]);
+  assert.equal(first.hasMore, true);
+
+  const second = await (await call(env, "GET", `${route}&before=${first.cursor}`)).json();
+  // …then the loan as first read from disk, diffed against nothing
+  assert.deepEqual(second.entries.map(e => e.message), [`Update loan ${mine} loan via admin`, "Initial version (from disk)"]);
+  assert.equal(second.entries[0].changes[0].after, "mine 1");
+  assert.equal(second.hasMore, false);
+  assert.equal(second.cursor, null);
+});
+
+test("an unknown history cursor is a 400", async t => {
+  const env = tempEnv(t);
+  const res = await call(env, "GET", `/history/loans?before=${"0".repeat(40)}`);
+  assert.equal(res.status, 400);
+});
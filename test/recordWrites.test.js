@@ -0,0 +1,52 @@
+// recordWrites.test.js — record writes against a SHA the storage never had
+//
+// A client's `sha` is the version it last read. One that names no version
+// (garbage, or from another repo) leaves nothing to merge onto, so the
+// worker must answer 409 and leave the file alone, not fail with a 500.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import worker from "../worker.js";
+import { createFsStorage } from "../fsStorage.js";
+
+const DATA = path.join(path.dirname(fileURLToPath(import.meta.url)), "../data");
+
+function tempEnv(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "record-writes-"));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(root, "data"));
+  fs.copyFileSync(path.join(DATA, "loans.json"), path.join(root, "data/loans.json"));
+  return {
+    root,
+    env: { STORAGE: createFsStorage({ root }), ADMIN_API_KEY: "test-admin-key", AUTH_SECRET: "test-secret" }
+  };
+}
+
+function patchLoan(env, loanId, body) {
+  return worker.fetch(new Request(`http://localhost/loans/${encodeURIComponent(loanId)}`, {
+    method: "PATCH",
+    headers: { Authorization: "Bearer test-admin-key", "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  }), env);
+}
+
+for (const [label, sha] of [["a garbage", "../../data/loans"], ["an unknown", "0".repeat(40)]]) {
+  test(`${label} sha is a 409, and the loan is not written`, async t => {
+    const { root, env } = tempEnv(t);
+    const before = fs.readFileSync(path.join(root, "data/loans.json"), "utf8");
+    const { loanId } = JSON.parse(before).loans[0];
+    const { sha: currentSha } = await env.STORAGE.read("data/loans.json");
+
+    const res = await patchLoan(env, loanId, { loan: { nickname: "changed" }, sha });
+    const body = await res.json();
+
+    assert.equal(res.status, 409);
+    assert.equal(body.currentSha, currentSha);
+    assert.equal(body.stack, undefined);
+    assert.equal(fs.readFileSync(path.join(root, "data/loans.json"), "utf8"), before);
+  });
+}
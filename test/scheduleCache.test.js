@@ -0,0 +1,88 @@
+// scheduleCache.test.js — cached amort schedules stay as built
+//
+// buildAmortSchedule hands every caller the same cached rows (loanEngine.js,
+// Schedule cache), and the earnings cache is keyed on that array. A caller
+// that writes to the rows would change the schedule for everyone after it,
+// so the rows are frozen and the ROI, earnings and KPI code leaves them as
+// built.
+
+import "./browserGlobals.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { buildAmortSchedule, setGlobalFeeConfig } from "../loanEngine.js?v=dev";
+import { buildEarningsSchedule, buildHolderBalances } from "../earningsEngine.js?v=dev";
+import {
+  holderLoans,
+  computeLoanEarnings,
+  computePortfolioKpis,
+  computeRoiTimeline
+} from "../portfolioCompute.js?v=dev";
+
+const DATA = path.join(path.dirname(fileURLToPath(import.meta.url)), "../data");
+const readJson = file => JSON.parse(fs.readFileSync(path.join(DATA, file), "utf8"));
+
+const loans = readJson("loans.json").loans;
+const config = readJson("platformConfig.json");
+const today = new Date(2026, 5, 30);
+
+test("a second buildAmortSchedule call returns the rows unchanged", t => {
+  // Engine logging (placeholder ROI notes) is muted, as in golden.js
+  ["log", "warn", "info"].forEach(level => t.mock.method(console, level, () => {}));
+
+  // computePortfolioKpis installs `config` for the direct calls below
+  computePortfolioKpis(loans, "john", config, { today });
+  const mine = holderLoans(loans, "john");
+  const first = mine.map(loan => buildAmortSchedule(loan));
+  const built = structuredClone(first);
+
+  computePortfolioKpis(loans, "john", config, { today });
+  computeRoiTimeline(loans, "john", config, { today });
+  computeRoiTimeline(loans, "john", config, { today, historical: true });
+  mine.forEach(loan => {
+    const raw = loans.find(l => l.loanId === loan.loanId);
+    computeLoanEarnings(raw, "john", config, { today, portfolio: loans });
+  });
+
+  mine.forEach((loan, i) => {
+    const again = buildAmortSchedule(loan);
+    assert.equal(again, first[i], `${loan.loanId}: not served from the cache`);
+    assert.deepEqual(again, built[i], `${loan.loanId}: cached rows were changed`);
+  });
+});
+
+test("writing to a cached row throws", () => {
+  const [loan] = holderLoans(loans, "john");
+  const rows = buildAmortSchedule(loan);
+  assert.throws(() => { rows[0].balance = 0; }, TypeError);
+  assert.throws(() => { rows.push({}); }, TypeError);
+  assert.equal(buildAmortSchedule(loan)[0].balance, rows[0].balance);
+});
+
+test("earnings are cached by the balances' and fee config's contents", t => {
+  ["log", "warn", "info"].forEach(level => t.mock.method(console, level, () => {}));
+  computePortfolioKpis(loans, "john", config, { today });
+  const mine = holderLoans(loans, "john");
+  const [loan] = mine;
+  const params = balances => ({
+    amortSchedule: buildAmortSchedule(loan),
+    loanStartDate: loan.loanStartDate,
+    ownershipLots: loan.ownershipLots,
+    user: "john",
+    events: loan.events,
+    today,
+    loanId: loan.loanId,
+    portfolioBalances: balances
+  });
+
+  const first = buildEarningsSchedule(params(buildHolderBalances(mine, "john")));
+  assert.equal(buildEarningsSchedule(params(buildHolderBalances(mine, "john"))), first);
+  assert.equal(buildEarningsSchedule(params({ ...buildHolderBalances(mine, "john") })), first);
+
+  setGlobalFeeConfig({ ...config.fees, rules: [] });
+  assert.notEqual(buildEarningsSchedule(params(buildHolderBalances(mine, "john"))), first);
+  setGlobalFeeConfig(config.fees);
+  assert.equal(buildEarningsSchedule(params(buildHolderBalances(mine, "john"))), first);
+});
@@ -6,17 +6,8 @@ export async function loadUsers(backendUrl = "https://loan-valuation-api.jeff-26
     const res = await fetch(`${backendUrl}/platformConfig`, { cache: "no-store" });
     if (!res.ok) throw new Error(`platformConfig fetch failed: ${res.status}`);
     const data = await res.json();
-    USERS = {};
-    (data.users || []).forEach(u => {
-      if (u.id && u.active !== false) {
-        USERS[u.id] = {
-          id: u.id,
-          name: u.name || u.id,
-          role: u.role || 'unknown',
-          feeWaiver: u.feeWaiver || 'none'
-        };
-      }
-    });
+    setUsers(data.users);
+    return data;  // the rest of platformConfig (e.g. rateIndices) is for the caller
   } catch (err) {
     console.error("Users load failed:", err);
     // Fallback
@@ -30,6 +21,22 @@ export async function loadUsers(backendUrl = "https://loan-valuation-api.jeff-26
   }
 }
 
+// platformConfig.users → USERS (also used by the worker, which has the
+// config in hand instead of fetching it)
+export function setUsers(users = []) {
+  USERS = {};
+  (users || []).forEach(u => {
+    if (u.id && u.active !== false) {
+      USERS[u.id] = {
+        id: u.id,
+        name: u.name || u.id,
+        role: u.role || 'unknown',
+        feeWaiver: u.feeWaiver || 'none'
+      };
+    }
+  });
+}
+
 export function getUserFeeWaiver(userId) {
   return USERS[userId]?.feeWaiver || "none";
 }
@@ -11,7 +11,7 @@
 import { getUserOwnershipPct } from "./ownershipEngine.js?v=dev";  
 import { getBorrowerById } from "./borrowerStore.js?v=dev";    
 import { getEffectiveBorrower } from "./valuationOverrides.js?v=dev"; 
-import { buildAmortSchedule } from "./loanEngine.js?v=dev";
+import { buildAmortSchedule, isVariableRateLoan, getPrepaymentMode, getDefaultOutcome, resolveAsOf } from "./loanEngine.js?v=dev";
 
 // System defaults (fallback values)
 export let SYSTEM_PROFILE = {
@@ -269,8 +269,9 @@ function discountFactor(rate, month) {
 // CORE VALUATION
 // ================================
 
-
-export function valueLoan({ loan, borrower, riskFreeRate = 0.04, profile }) {
+// Values the loan's cash flows from its schedule row as of `asOf`
+// (Date or "YYYY-MM-DD", default today)
+export function valueLoan({ loan, borrower, riskFreeRate = 0.04, profile, asOf }) {
   // Ensure valid profile
   if (!profile || !profile.assumptions) {
     console.warn("Invalid profile passed — using SYSTEM_PROFILE");
@@ -311,17 +312,21 @@ export function valueLoan({ loan, borrower, riskFreeRate = 0.04, profile }) {
 
   // ── Incorporate historical events via amort schedule ──
   const amort = buildAmortSchedule(loan);
-  const today = new Date(); // Current date in code context
+  const today = resolveAsOf(asOf);
   const currentRow = amort.slice().reverse().find(r => r.loanDate <= today);
   let currentBalance = currentRow ? Number(currentRow.balance) : originalPrincipal;
   if (!Number.isFinite(currentBalance) || currentBalance < 0) currentBalance = 0;
 
+  // Interest accrued but not yet capitalized: owed ahead of principal, but
+  // earns no interest itself
+  const accruedInterest = Math.max(0, Number(currentRow?.accruedInterestBalance) || 0);
+
   // Remaining months after current row
   const currentIndex = amort.indexOf(currentRow);
   const remainingMonths = currentIndex >= 0 ? amort.length - currentIndex - 1 : originalTermMonths;
   const termMonths = Math.max(remainingMonths, 1);
 
-  if (currentBalance <= 0 || termMonths <= 0) {
+  if (currentBalance + accruedInterest <= 0 || termMonths <= 0) {
     return {
       loanId: loan.loanId,
       riskTier: deriveRiskTier(borrower, assumptions),
@@ -337,7 +342,28 @@ export function valueLoan({ loan, borrower, riskFreeRate = 0.04, profile }) {
   }
 
   const principal = currentBalance;
-  const monthlyPayment = computeMonthlyPayment(principal, rate, termMonths);
+  const amountOwed = principal + accruedInterest;
+  let monthlyPayment = computeMonthlyPayment(amountOwed, rate, termMonths);
+
+  // Variable and modified loans: the rate for each remaining month (from the
+  // amort schedule's rate path or modifications); the payment re-amortizes
+  // when it changes
+  const scheduleRate = isVariableRateLoan(loan) || (loan.events || []).some(e => e.type === "modification");
+  const projectedRates = scheduleRate
+    ? amort.slice(currentIndex + 1).map(r => Number(r.rate))
+    : [];
+  let loopRate = currentRow && scheduleRate ? Number(currentRow.rate) : rate;
+  if (loopRate !== rate) monthlyPayment = computeMonthlyPayment(amountOwed, loopRate, termMonths);
+
+  // Repayment plans other than level payments: the schedule's own payments,
+  // scaled to the balance still outstanding (prepays and defaults shrink it)
+  const planRows = loan.repaymentPlan?.type && loan.repaymentPlan.type !== "standard"
+    ? amort.slice(currentIndex + 1)
+    : null;
+
+  // Loans that recast on prepayment re-amortize after each modeled prepay
+  // instead of paying off early (level payments only; plans scale above)
+  const recastOnPrepay = !planRows && getPrepaymentMode(loan) === "recast";
 
   // -----------------------------
   // RISK TIER & CURVE (FULLY USER-AWARE)
@@ -435,12 +461,13 @@ export function valueLoan({ loan, borrower, riskFreeRate = 0.04, profile }) {
   // MONTHLY CASH FLOW LOOP
   // -----------------------------
   let balance = principal;
+  let accrued = accruedInterest;
   let npv = 0;
   let totalDefaults = 0;
   let totalRecoveries = 0;
   let walNumerator = 0;
   let totalCF = 0;
-  const cashFlows = [-principal];
+  const cashFlows = [-amountOwed];
   const recoveryQueue = new Array(termMonths + recoveryLag + 1).fill(0);
 
 const startDate = new Date(currentRow ? currentRow.loanDate : loan.loanStartDate);
@@ -460,7 +487,7 @@ let cumulativeLossRunning = 0;
 for (let m = 1; m <= termMonths; m++) {
   dateLabels.push(new Date(startDate.getFullYear(), startDate.getMonth() + (m - 1), 1));
 
-  if (balance <= 0) {
+  if (balance <= 0 && accrued <= 0) {
     cashFlows.push(0);
     projections.push({
       month: m,
@@ -472,20 +499,42 @@ for (let m = 1; m <= termMonths; m++) {
     continue;
   }
 
-  const interest = balance * monthlyLoanRate;
+  const monthRate = projectedRates[m - 1] ?? loopRate;
+  if (monthRate !== loopRate) {
+    loopRate = monthRate;
+    monthlyPayment = computeMonthlyPayment(balance + accrued, loopRate, termMonths - m + 1);
+  }
+  const interest = balance * (loopRate / 12);
 
   // Grace period: interest-only (no principal reduction)
   let scheduledPayment = monthlyPayment;
-  if (m <= (loan.graceYears || 0) * 12) {
+  const inGrace = m <= (loan.graceYears || 0) * 12;
+  if (inGrace) {
     scheduledPayment = interest;
   }
 
-  scheduledPayment = Math.min(scheduledPayment, balance + interest);
+  if (planRows) {
+    const planRow = planRows[m - 1];
+    const planOpening = m === 1 ? principal : Number(planRows[m - 2]?.balance);
+    scheduledPayment = planRow && planOpening > 0 ? planRow.payment * (balance / planOpening) : 0;
+  }
+
+  scheduledPayment = Math.min(scheduledPayment, accrued + balance + interest);
 
-  const scheduledPrincipal = Math.max(0, scheduledPayment - interest);
+  // Accrued interest is paid off first (grace payments only cover the month's interest)
+  const accruedPaid = inGrace ? 0 : Math.min(accrued, scheduledPayment);
+  accrued -= accruedPaid;
+  const paymentAfterAccrued = scheduledPayment - accruedPaid;
+
+  const scheduledPrincipal = Math.max(0, paymentAfterAccrued - interest);
+
+  // Interest a plan payment does not cover is added to the balance
+  const currentInterestPaid = Math.min(interest, paymentAfterAccrued);
+  const unpaidInterest = interest - currentInterestPaid;
+  const interestPaid = accruedPaid + currentInterestPaid;
 
 // Prepayment on remaining after scheduled principal (no inflation on rate)
-const remainingAfterScheduled = balance - scheduledPrincipal;
+const remainingAfterScheduled = balance + unpaidInterest - scheduledPrincipal;
 const baseSMM = monthlySMM[m - 1] || 0;
 
 // Ramp-up logic: reduced effect before seasoning complete
@@ -523,7 +572,7 @@ const effectiveSMM = isSeasoned
 
   const recoveryThisMonth = recoveryQueue[m] || 0;
 
-  const cashFlow = interest + totalPrincipalThisMonth + recoveryThisMonth;
+  const cashFlow = interestPaid + totalPrincipalThisMonth + recoveryThisMonth;
   cashFlows.push(cashFlow);
 
   const discountedCF = cashFlow / Math.pow(1 + monthlyDiscountRate, m);
@@ -538,6 +587,7 @@ const effectiveSMM = isSeasoned
 
   monthlySchedule.push({
     month: m,
+    rate: loopRate,
     beginningBalance: balance,
     interest,
     scheduledPrincipal,
@@ -551,6 +601,9 @@ const effectiveSMM = isSeasoned
   });
 
   balance = remaining;
+  if (recastOnPrepay && prepay > 0 && m < termMonths) {
+    monthlyPayment = computeMonthlyPayment(balance + accrued, loopRate, termMonths - m);
+  }
 
   projections.push({
     month: m,
@@ -561,8 +614,8 @@ const effectiveSMM = isSeasoned
   });
 }
 
-  const npvRatio = principal > 0 && Number.isFinite(npv)
-    ? (npv / principal) - 1
+  const npvRatio = amountOwed > 0 && Number.isFinite(npv)
+    ? (npv / amountOwed) - 1
     : 0;
 
   let expectedLoss = 0;
@@ -576,7 +629,7 @@ const effectiveSMM = isSeasoned
     ? walNumerator / totalCF / 12
     : 0;
 
-  const irrPrincipal = currentBalance > 0 ? currentBalance : originalPrincipal;
+  const irrPrincipal = amountOwed > 0 ? amountOwed : originalPrincipal;
   const irr = calculateIRR(cashFlows, irrPrincipal);
   const safeIrr = Number.isFinite(irr) ? irr : 0;
 
@@ -614,6 +667,7 @@ cashflowSchedule: monthlySchedule,
 
 function computeMonthlyPayment(principal, annualRate, months) {
   const r = annualRate / 12;
+  if (r === 0) return principal / months;
   return principal * r / (1 - Math.pow(1 + r, -months));
 }
 
@@ -646,7 +700,8 @@ return (Number.isFinite(annualIrr) && annualIrr >= -5) ? annualIrr : NaN;  // Al
 
 
 
-export function computePortfolioValuation(loans, currentUser, ownershipMode, activeProfile, riskFreeRate) {
+export function computePortfolioValuation(loans, currentUser, ownershipMode, activeProfile, riskFreeRate, { asOf } = {}) {
+  const today = resolveAsOf(asOf);
   const filteredLoans = loans.filter(loan => {
     const userPct = getUserOwnershipPct(loan, currentUser);
     const marketPct = getUserOwnershipPct(loan, "Market");
@@ -679,11 +734,11 @@ export function computePortfolioValuation(loans, currentUser, ownershipMode, act
       loan,
       borrower: effectiveBorrower,
       riskFreeRate,
-      profile
+      profile,
+      asOf: today
     });
 
     const amort = buildAmortSchedule(loan);
-    const today = new Date();
     const currentRow = amort.slice().reverse().find(r => r.loanDate <= today);
     const currentBalance = currentRow ? Number(currentRow.balance) : Number(loan.principal);
 
@@ -773,6 +828,52 @@ export function computePortfolioValuation(loans, currentUser, ownershipMode, act
     totalNPVPercent,
     totalExpLoss,
     totalWAL,
-    totalIRR
+    totalIRR,
+    recoveryActuals: compareRecoveryActuals(valuedLoans, activeProfile)
   };
 }
+
+// ================================
+// RECOVERY ACTUALS vs CURVES
+// ================================
+
+/**
+ * Realized recoveries on defaulted loans, per risk tier, next to the
+ * curve's assumed recovery (profile override first, as in valueLoan).
+ * Tiers with no defaulted loans are left out.
+ *
+ * @returns {Array<{ riskTier, defaults, assumedLagMonths, actualLagMonths,
+ *   assumedRecoveryPct, actualRecoveryPct, chargeOff, netRecovery }>}
+ *   Percentages are 0-100; actualLagMonths is recovery-weighted and null
+ *   until something has been recovered
+ */
+export function compareRecoveryActuals(valuedLoans, profile = SYSTEM_PROFILE) {
+  const byTier = new Map();
+
+  (valuedLoans || []).forEach(l => {
+    const outcome = getDefaultOutcome(l, l.amort || buildAmortSchedule(l));
+    if (!outcome) return;
+
+    const tier = l.valuation?.riskTier || "UNKNOWN";
+    const t = byTier.get(tier) || { defaults: 0, chargeOff: 0, netRecovery: 0, lagWeighted: 0 };
+    t.defaults += 1;
+    t.chargeOff += outcome.chargeOffAmount;
+    t.netRecovery += outcome.netRecovery;
+    t.lagWeighted += (outcome.recoveryLagMonths ?? 0) * outcome.netRecovery;
+    byTier.set(tier, t);
+  });
+
+  return [...byTier.entries()].map(([riskTier, t]) => {
+    const curve = VALUATION_CURVES?.riskTiers?.[riskTier]?.recovery;
+    return {
+      riskTier,
+      defaults: t.defaults,
+      assumedLagMonths: curve?.recoveryLagMonths ?? null,
+      actualLagMonths: t.netRecovery > 0 ? t.lagWeighted / t.netRecovery : null,
+      assumedRecoveryPct: profile?.assumptions?.recoveryRate?.[riskTier] ?? curve?.grossRecoveryPct ?? null,
+      actualRecoveryPct: t.chargeOff > 0 ? (t.netRecovery / t.chargeOff) * 100 : null,
+      chargeOff: t.chargeOff,
+      netRecovery: t.netRecovery
+    };
+  });
+}
@@ -1,10 +1,32 @@
 // worker.js — platform API (loans + platformConfig + loanValuation + Borrowers + schoolTiers)
 
+import { diffDocuments, deepEqual } from "./dataDiff.js";
+import { createGitHubStorage } from "./githubStorage.js";
+import {
+  authenticate,
+  authorize,
+  issueToken,
+  generateApiKey,
+  hashApiKey,
+  scopeLoan,
+  scopeLoans,
+  scopePlatformConfig,
+  seesAllHoldings,
+  canViewHolder
+} from "./auth.js";
+import { validate, validateDocument, LOAN_SCHEMA, BORROWER_SCHEMA } from "./dataSchemas.js";
+import {
+  computeLoanAmort,
+  computeLoanEarnings,
+  computePortfolioKpis,
+  computeRoiTimeline
+} from "./portfolioCompute.js";
+
 function corsHeaders(origin = "*") {
   return {
     "Access-Control-Allow-Origin": origin,
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
     "Access-Control-Max-Age": "86400",
     "Vary": "Origin"
   };
@@ -33,74 +55,660 @@ function noStoreJson(body, status = 200) {
   });
 }
 
-const GITHUB_API_BASE = `https://api.github.com/repos`;
+// ===============================
+// Storage
+// ===============================
+//
+// GitHub by default; the local dev server passes env.STORAGE (a
+// filesystem backend with the same interface, see fsStorage.js).
+//
+function storageFor(env) {
+  return env.STORAGE || createGitHubStorage(env);
+}
 
-// Load file from GitHub
-async function loadFromGitHub(env, path) {
-  const url = `${GITHUB_API_BASE}/${env.GITHUB_OWNER}/${env.GITHUB_REPO}/contents/${path}`;
-  const res = await fetch(url, {
-    headers: {
-      Authorization: `token ${env.GITHUB_TOKEN}`,
-      "User-Agent": "Cloudflare-Worker",
-      Accept: "application/vnd.github.v3+json"
-    },
-    cache: "no-store"
-  });
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`GitHub GET failed for ${path}: ${res.status} - ${errText}`);
+// ===============================
+// As-of reads (?asOf=YYYY-MM-DD or ?asOf=<commit>)
+// ===============================
+//
+// Every saved version of a data file is still in storage, so any GET route
+// can serve a file as it was: on a date (the last version saved that day,
+// UTC) or at a commit from /history. Writes always go to the latest version.
+//
+function parseAsOf(url) {
+  const asOf = url.searchParams.get("asOf");
+  if (!asOf) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(asOf) && Number.isFinite(Date.parse(asOf))) {
+    return { label: asOf, date: asOf, until: `${asOf}T23:59:59Z` };
   }
-  const data = await res.json();
-  return {
-    content: JSON.parse(atob(data.content)),
-    sha: data.sha
-  };
+  if (/^[0-9a-f]{7,40}$/i.test(asOf)) return { label: asOf, version: asOf };
+  throw httpError(400, `asOf must be a date (YYYY-MM-DD) or a commit SHA, got "${asOf}"`);
 }
 
-// Save JSON to GitHub
-async function saveToGitHub(env, path, content, oldSha, commitMsg) {
-  const repo = `${env.GITHUB_OWNER}/${env.GITHUB_REPO}`;
-  const apiUrl = `${GITHUB_API_BASE}/${repo}/contents/${path}`;
+// { content, sha } now, or as of `asOf` (then also { asOf, version })
+async function readDocument(env, path, asOf = null) {
+  const storage = storageFor(env);
+  if (!asOf) return storage.read(path);
 
-  // Get latest SHA to avoid conflicts
-  const getRes = await fetch(apiUrl, {
-    headers: {
-      Authorization: `token ${env.GITHUB_TOKEN}`,
-      "User-Agent": "Cloudflare-Worker",
-      Accept: "application/vnd.github.v3+json"
+  let version = asOf.version;
+  if (asOf.until) {
+    const [latest] = await storage.listVersions(path, 1, { until: asOf.until });
+    if (!latest) throw httpError(404, `${path} has no version on or before ${asOf.date}`);
+    version = latest.version;
+  }
+  try {
+    const doc = await storage.readVersion(path, version);
+    return { ...doc, asOf: asOf.label, version };
+  } catch (err) {
+    if (err.code === "NOT_FOUND") throw httpError(404, `No version ${version} of ${path}`);
+    throw err;
+  }
+}
+
+// Tells the caller which version an as-of response came from
+function asOfFields(doc) {
+  return doc.version ? { asOf: doc.asOf, version: doc.version } : {};
+}
+
+// Stale write: the caller's SHA is not the file's current SHA
+function conflictError(path, expectedSha, currentSha, currentContent, changes) {
+  const err = new Error(`Conflict on ${path}: expected ${expectedSha || "(none)"}, current ${currentSha}`);
+  err.code = "CONFLICT";
+  err.path = path;
+  err.expectedSha = expectedSha || null;
+  err.currentSha = currentSha;
+  err.currentContent = currentContent;
+  err.changes = changes;
+  return err;
+}
+
+// Client error with an HTTP status (400 / 404 ...)
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// 422 with field-level { path, message } errors from dataSchemas.js
+function assertValid(errors) {
+  if (!errors.length) return;
+  const err = httpError(422, `Validation failed: ${errors[0].path} ${errors[0].message}`);
+  err.errors = errors;
+  throw err;
+}
+
+// Who made a change is recorded as a trailer on the commit message —
+// every GitHub commit is pushed with the worker's token, so the git
+// author is always the same bot account.
+function commitMessage(msg, author) {
+  const subject = msg || "Update via admin";
+  if (!author) return subject;
+  return `${subject}\n\nChanged-by: ${author.name || author.id} <${author.id}> (${author.role})`;
+}
+
+function parseChangedBy(commit) {
+  const m = commit.message.match(/^Changed-by:\s*(.*?)\s*<([^>]+)>\s*\(([^)]*)\)\s*$/m);
+  if (m) return { id: m[2], name: m[1], role: m[3] };
+  return { id: null, name: commit.authorName || "unknown", role: null };
+}
+
+// Save a data file (optimistic concurrency)
+//
+// `expectedSha` is the SHA the client loaded. If the file has moved on
+// since then the write is rejected with a CONFLICT error instead of
+// overwriting someone else's commit.
+async function saveDocument(env, path, content, expectedSha, commitMsg, author = null) {
+  const storage = storageFor(env);
+
+  const latest = await storage.read(path);
+  if (!expectedSha || expectedSha !== latest.sha) {
+    throw conflictError(path, expectedSha, latest.sha, latest.content);
+  }
+
+  try {
+    return await storage.write(path, content, {
+      baseSha: expectedSha,
+      message: commitMessage(commitMsg, author)
+    });
+  } catch (err) {
+    if (err.code !== "STALE") throw err;
+    const current = await storage.read(path);
+    throw conflictError(path, expectedSha, current.sha, current.content);
+  }
+}
+
+// 409 body: current SHA + what changed since the client's version
+async function conflictResponse(env, err) {
+  let changes = err.changes || null;
+  if (!changes && err.expectedSha) {
+    try {
+      const base = await storageFor(env).readBlob(err.expectedSha);
+      changes = diffDocuments(base, err.currentContent);
+    } catch (diffErr) {
+      if (diffErr.code !== "NOT_FOUND") console.warn("Conflict diff unavailable:", diffErr.message);
     }
-  });
-  let latestSha = oldSha;
-  if (getRes.ok) {
-    const getData = await getRes.json();
-    latestSha = getData.sha;
+  }
+  return noStoreJson({
+    error: "Conflict",
+    message: `${err.path} was changed by someone else. Reload and re-apply your edits.`,
+    path: err.path,
+    currentSha: err.currentSha,
+    changes
+  }, 409);
+}
+
+// ===============================
+// Record-level writes (server-side merge)
+// ===============================
+//
+// Loads the latest file, applies `mutate` to one record and commits the
+// result. `baseSha` is the file SHA the client last saw: if the file moved
+// on but THIS record is unchanged, the write merges cleanly; only a change
+// to the same record is a 409. A commit landing between our read and our
+// write is retried against the new version.
+//
+//   mutate(current) → next record | null (delete). `current` is null if absent.
+//
+async function updateRecordInFile(env, { path, name, key, id, baseSha, commitMsg, author, readList, writeList, schema }, mutate) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { content, sha } = await storageFor(env).read(path);
+    const list = readList(content);
+    const idx = list.findIndex(r => String(r?.[key]) === String(id));
+    const current = idx >= 0 ? list[idx] : null;
+
+    if (baseSha && baseSha !== sha) {
+      let base;
+      try {
+        base = await storageFor(env).readBlob(baseSha);
+      } catch (err) {
+        if (err.code !== "NOT_FOUND") throw err;
+        // No such version of anything: nothing to merge onto, so reload
+        throw conflictError(path, baseSha, sha, content, null);
+      }
+      const baseRecord = readList(base).find(r => String(r?.[key]) === String(id)) || null;
+      if (!deepEqual(baseRecord, current)) {
+        throw conflictError(path, baseSha, sha, content, diffDocuments(baseRecord, current, `${name}[${id}]`));
+      }
+    }
+
+    const next = mutate(current ? structuredClone(current) : null);
+    if (next !== null && schema) assertValid(validate(schema, next, `${name}[${id}]`));
+    const nextList = list.slice();
+    if (next === null) {
+      if (idx < 0) throw httpError(404, `${key} ${id} not found`);
+      nextList.splice(idx, 1);
+    } else if (idx >= 0) {
+      nextList[idx] = next;
+    } else {
+      nextList.push(next);
+    }
+
+    try {
+      const newSha = await saveDocument(env, path, JSON.stringify(writeList(nextList), null, 2), sha, commitMsg, author);
+      return { sha: newSha, previousSha: sha, record: next };
+    } catch (err) {
+      if (err.code !== "CONFLICT" || err.changes) throw err;
+      // someone else committed in between — merge again onto their version
+    }
+  }
+  throw new Error(`${path} kept changing while saving ${key} ${id}`);
+}
+
+function loansPath(env) {
+  return env.GITHUB_FILE_PATH || "data/loans.json";
+}
+
+function borrowersPath(env) {
+  return env.GITHUB_BORROWER_PATH || "data/borrowers.json";
+}
+
+function riskConfigPath(env) {
+  return env.GITHUB_RISK_CONFIG_PATH || "data/riskValueConfig.json";
+}
+
+function schoolTiersPath(env) {
+  return env.GITHUB_SCHOOLTIERS_PATH || "data/schoolTiers.json";
+}
+
+function valuationCurvesPath(env) {
+  return env.GITHUB_VALUATION_CURVES_PATH || "data/valuationCurves.json";
+}
+
+const LOANS_FILE = {
+  name: "loans",
+  key: "loanId",
+  schema: LOAN_SCHEMA,
+  readList: content => (Array.isArray(content?.loans) ? content.loans : Array.isArray(content) ? content : []),
+  writeList: loans => ({ loans })
+};
+
+const BORROWERS_FILE = {
+  name: "borrowers",
+  key: "borrowerId",
+  schema: BORROWER_SCHEMA,
+  readList: content => (Array.isArray(content) ? content : []),
+  writeList: borrowers => borrowers
+};
+
+// Earliest lot date drives the loan's purchaseDate (same rule as the admin page)
+function derivePurchaseDate(loan) {
+  const dates = (loan.ownershipLots || [])
+    .map(lot => String(lot?.purchaseDate || "").trim())
+    .filter(d => /^\d{4}-\d{2}-\d{2}$/.test(d))
+    .sort();
+  return dates[0] || loan.loanStartDate || "";
+}
+
+async function readJsonBody(request) {
+  const text = await request.text();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw httpError(400, "Body must be JSON");
+  }
+}
+
+// /loans/:id, /loans/:id/events[/:eventId], /loans/:id/lots[/:index], /loans/:id/payments
+async function handleLoanRoute(request, env, url, match, principal) {
+  const [, rawId, part, rawItem] = match;
+  const loanId = decodeURIComponent(rawId);
+  const itemId = rawItem != null ? decodeURIComponent(rawItem) : null;
+  const method = request.method;
+
+  if (method === "GET") {
+    const doc = await readDocument(env, loansPath(env), parseAsOf(url));
+    const { content, sha } = doc;
+    const loan = scopeLoan(LOANS_FILE.readList(content).find(l => String(l.loanId) === loanId), principal);
+    if (!loan) throw httpError(404, `loanId ${loanId} not found`);
+    if (part === "events") return { events: loan.events || [], sha, ...asOfFields(doc) };
+    if (part === "lots") return { ownershipLots: loan.ownershipLots || [], sha, ...asOfFields(doc) };
+    if (part === "payments") return { payments: loan.payments || [], sha, ...asOfFields(doc) };
+    return { loan, sha, ...asOfFields(doc) };
+  }
+
+  const body = await readJsonBody(request);
+  const baseSha = body.sha || url.searchParams.get("sha") || null;
+
+  let mutate;
+  let what;
+
+  if (!part) {
+    what = "loan";
+    if (method === "PUT") {
+      if (!body.loan || typeof body.loan !== "object") throw httpError(400, "PUT /loans/:id expects { loan }");
+      mutate = () => ({ ...body.loan, loanId });
+    } else if (method === "PATCH") {
+      if (!body.loan || typeof body.loan !== "object") throw httpError(400, "PATCH /loans/:id expects { loan: {...fields} }");
+      mutate = current => {
+        if (!current) throw httpError(404, `loanId ${loanId} not found`);
+        return { ...current, ...body.loan, loanId };
+      };
+    } else if (method === "DELETE") {
+      mutate = () => null;
+    }
+  } else if (part === "events") {
+    what = "events";
+    const withId = e => ({ ...e, id: e.id || crypto.randomUUID() });
+    const sortEvents = events =>
+      events.sort((a, b) => String(a.date || a.startDate || "").localeCompare(String(b.date || b.startDate || "")));
+
+    mutate = current => {
+      if (!current) throw httpError(404, `loanId ${loanId} not found`);
+      let events = Array.isArray(current.events) ? current.events : [];
+
+      if (itemId) {
+        const idx = events.findIndex(e => e.id === itemId);
+        if (idx < 0) throw httpError(404, `event ${itemId} not found on loan ${loanId}`);
+        if (method === "DELETE") events.splice(idx, 1);
+        else if (method === "PATCH" || method === "PUT") events[idx] = { ...(method === "PATCH" ? events[idx] : {}), ...body.event, id: itemId };
+        else throw httpError(405, "Method not allowed");
+      } else if (method === "PUT") {
+        if (!Array.isArray(body.events)) throw httpError(400, "PUT events expects { events: [] }");
+        events = body.events.map(withId);
+      } else if (method === "POST") {
+        if (!body.event || typeof body.event !== "object") throw httpError(400, "POST events expects { event }");
+        events.push(withId(body.event));
+      } else if (method === "PATCH") {
+        if (!Array.isArray(body.events)) throw httpError(400, "PATCH events expects { events: [] }");
+        body.events.map(withId).forEach(e => {
+          const idx = events.findIndex(x => x.id === e.id);
+          if (idx >= 0) events[idx] = { ...events[idx], ...e };
+          else events.push(e);
+        });
+      } else if (method === "DELETE") {
+        events = [];
+      }
+
+      return { ...current, events: sortEvents(events) };
+    };
+  } else if (part === "lots") {
+    what = "ownership lots";
+    mutate = current => {
+      if (!current) throw httpError(404, `loanId ${loanId} not found`);
+      let lots = Array.isArray(current.ownershipLots) ? current.ownershipLots : [];
+
+      if (itemId != null) {
+        const idx = Number(itemId);
+        if (!Number.isInteger(idx) || idx < 0 || idx >= lots.length) {
+          throw httpError(404, `ownership lot ${itemId} not found on loan ${loanId}`);
+        }
+        if (method === "DELETE") lots.splice(idx, 1);
+        else if (method === "PATCH") lots[idx] = { ...lots[idx], ...body.lot };
+        else if (method === "PUT") lots[idx] = { ...body.lot };
+        else throw httpError(405, "Method not allowed");
+      } else if (method === "PUT") {
+        if (!Array.isArray(body.ownershipLots)) throw httpError(400, "PUT lots expects { ownershipLots: [] }");
+        lots = body.ownershipLots;
+      } else if (method === "POST") {
+        if (!body.lot || typeof body.lot !== "object") throw httpError(400, "POST lots expects { lot }");
+        lots.push(body.lot);
+      } else if (method === "DELETE") {
+        lots = [];
+      } else {
+        throw httpError(405, "Method not allowed");
+      }
+
+      const next = { ...current, ownershipLots: lots };
+      next.purchaseDate = derivePurchaseDate(next);
+      return next;
+    };
+  } else if (part === "payments") {
+    // Servicer payment history. POST merges a tape: its payments replace any
+    // already on file for the same dates, so re-importing a tape is harmless
+    what = "payments";
+    if (itemId != null) throw httpError(405, "Payments are replaced by date, not by id");
+    mutate = current => {
+      if (!current) throw httpError(404, `loanId ${loanId} not found`);
+      if (!Array.isArray(body.payments)) throw httpError(400, `${method} payments expects { payments: [] }`);
+      let payments = Array.isArray(current.payments) ? current.payments : [];
+
+      if (method === "PUT") {
+        payments = body.payments;
+      } else if (method === "POST") {
+        const dates = new Set(body.payments.map(p => p?.date));
+        payments = [...payments.filter(p => !dates.has(p?.date)), ...body.payments];
+      } else {
+        throw httpError(405, "Method not allowed");
+      }
+
+      return { ...current, payments: payments.sort((a, b) => String(a?.date || "").localeCompare(String(b?.date || ""))) };
+    };
   }
 
-  const payload = {
-    message: commitMsg || "Update via admin",
-    content: btoa(unescape(encodeURIComponent(content))),
-    sha: latestSha,
-    branch: env.GITHUB_BRANCH || "main"
+  if (!mutate) throw httpError(405, "Method not allowed");
+
+  const result = await updateRecordInFile(env, {
+    ...LOANS_FILE,
+    path: loansPath(env),
+    id: loanId,
+    baseSha,
+    commitMsg: `Update loan ${loanId} ${what} via admin`,
+    author: principal
+  }, mutate);
+
+  return { success: true, sha: result.sha, previousSha: result.previousSha, loan: result.record };
+}
+
+// ===============================
+// Auth: API keys + tokens
+// ===============================
+function platformConfigPath(env) {
+  return env.GITHUB_CONFIG_PATH || "data/platformConfig.json";
+}
+
+function apiKeysPath(env) {
+  return env.GITHUB_API_KEYS_PATH || "data/apiKeys.json";
+}
+
+const API_KEYS_FILE = {
+  name: "keys",
+  key: "id",
+  readList: content => (Array.isArray(content?.keys) ? content.keys : []),
+  writeList: keys => ({ keys })
+};
+
+async function findUserByKeyHash(env, hash) {
+  const { content } = await storageFor(env).read(apiKeysPath(env));
+  const entry = API_KEYS_FILE.readList(content).find(k => k.hash === hash);
+  if (!entry) return null;
+  const { content: config } = await storageFor(env).read(platformConfigPath(env));
+  return (config.users || []).find(u => u.id === entry.userId) || null;
+}
+
+// /auth/token, /auth/me, /auth/keys[/:id]
+async function handleAuthRoute(request, env, url, principal) {
+  const method = request.method;
+
+  if (url.pathname === "/auth/token" && method === "POST") {
+    // Only an API key buys a token: a token cannot renew itself past its key
+    if (principal.via !== "apiKey") throw httpError(401, "A token is issued in exchange for an API key only");
+    const { token, expiresAt } = await issueToken(env, principal);
+    return { token, expiresAt, user: { id: principal.id, name: principal.name, role: principal.role } };
+  }
+
+  if (url.pathname === "/auth/me" && method === "GET") {
+    return { user: { id: principal.id, name: principal.name, role: principal.role } };
+  }
+
+  // Key management — admin only
+  authorize(principal, method, url.pathname);
+
+  if (url.pathname === "/auth/keys") {
+    if (method === "GET") {
+      const { content, sha } = await storageFor(env).read(apiKeysPath(env));
+      const keys = API_KEYS_FILE.readList(content).map(({ hash, ...k }) => k);
+      return { keys, sha };
+    }
+    if (method === "POST") {
+      const body = await readJsonBody(request);
+      const { content: config } = await storageFor(env).read(platformConfigPath(env));
+      const user = (config.users || []).find(u => u.id === body.userId);
+      if (!user) throw httpError(404, `userId ${body.userId} not found`);
+
+      const apiKey = generateApiKey();
+      const hash = await hashApiKey(apiKey);
+      const record = {
+        id: hash.slice(0, 12),
+        userId: user.id,
+        label: String(body.label || "").trim(),
+        hash,
+        createdAt: new Date().toISOString()
+      };
+      const result = await updateRecordInFile(env, {
+        ...API_KEYS_FILE,
+        path: apiKeysPath(env),
+        id: record.id,
+        baseSha: null,
+        commitMsg: `Issue API key for ${user.id} via admin`,
+        author: principal
+      }, () => record);
+
+      const { hash: _hash, ...key } = result.record;
+      // The only time the key itself is ever returned
+      return { apiKey, key, sha: result.sha };
+    }
+  }
+
+  const keyMatch = url.pathname.match(/^\/auth\/keys\/([^/]+)$/);
+  if (keyMatch && method === "DELETE") {
+    const keyId = decodeURIComponent(keyMatch[1]);
+    const result = await updateRecordInFile(env, {
+      ...API_KEYS_FILE,
+      path: apiKeysPath(env),
+      id: keyId,
+      baseSha: null,
+      commitMsg: `Revoke API key ${keyId} via admin`,
+      author: principal
+    }, () => null);
+    return { success: true, sha: result.sha };
+  }
+
+  throw httpError(404, "Not found");
+}
+
+// ===============================
+// History: who changed what, per file and per record
+// ===============================
+//
+// Built from the stored versions of each data file (git commits on
+// GitHub): every version is loaded and diffed against the one before it. `record` is the diff path prefix
+// of one record, so /history/loans/:id keeps only that loan's changes.
+//
+const HISTORY_FILES = {
+  loans:           { path: loansPath,           root: "",          empty: { loans: [] }, record: id => `loans[${id}]` },
+  borrowers:       { path: borrowersPath,       root: "borrowers", empty: [],            record: id => `borrowers[${id}]` },
+  platformConfig:  { path: platformConfigPath,  root: "",          empty: {},            record: id => `users[${id}]` },
+  riskValueConfig: { path: riskConfigPath,      root: "",          empty: {} },
+  schoolTiers:     { path: schoolTiersPath,     root: "",          empty: {} },
+  valuationCurves: { path: valuationCurvesPath, root: "",          empty: {} }
+};
+
+function isWithin(path, prefix) {
+  return path === prefix || path.startsWith(`${prefix}.`) || path.startsWith(`${prefix}[`);
+}
+
+// /history/:file[/:id]?limit=N&before=<cursor> — N entries (default 10, max 30)
+//
+// Per-record history pages back through older versions until it has N
+// entries that touch the record, the file's history runs out, or
+// HISTORY_MAX_SCAN versions have been read. `cursor` (with hasMore) is the
+// version to pass as ?before= for the next, older page.
+//
+const HISTORY_PAGE = 30;
+const HISTORY_MAX_SCAN = 300;
+
+async function handleHistoryRoute(env, url, match) {
+  const [, file, rawId] = match;
+  const spec = HISTORY_FILES[file];
+  if (!spec) throw httpError(404, `No history for "${file}" — use one of ${Object.keys(HISTORY_FILES).join(", ")}`);
+  const id = rawId != null ? decodeURIComponent(rawId) : null;
+  if (id && !spec.record) throw httpError(404, `${file} has no per-record history`);
+
+  const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 10, 1), 30);
+  const path = spec.path(env);
+  const prefix = id ? spec.record(id) : null;
+  const pageSize = prefix ? HISTORY_PAGE : limit;
+
+  const storage = storageFor(env);
+  const contents = new Map();
+  const contentOf = version => {
+    if (!contents.has(version)) contents.set(version, storage.readVersion(path, version).then(v => v.content));
+    return contents.get(version);
   };
 
-  const putRes = await fetch(apiUrl, {
-    method: "PUT",
-    headers: {
-      Authorization: `token ${env.GITHUB_TOKEN}`,
-      "User-Agent": "Cloudflare-Worker",
-      "Content-Type": "application/json",
-      Accept: "application/vnd.github.v3+json"
-    },
-    body: JSON.stringify(payload)
-  });
+  const entries = [];
+  let from = url.searchParams.get("before") || undefined;
+  let scanned = 0;
+
+  while (from !== null) {
+    // One extra version so the oldest entry of the page has a "before"
+    let commits;
+    try {
+      commits = await storage.listVersions(path, pageSize + 1, { from });
+    } catch (err) {
+      if (err.code === "NOT_FOUND") throw httpError(400, `Unknown history cursor ${from}`);
+      throw err;
+    }
+    if (!commits.length) break;
+    const versions = await Promise.all(commits.map(c => contentOf(c.version)));
+    const page = commits.slice(0, pageSize);
+
+    for (let i = 0; i < page.length; i++) {
+      const commit = page[i];
+      const before = i + 1 < versions.length ? versions[i + 1] : spec.empty;
+      let changes = diffDocuments(before, versions[i], spec.root);
+      if (prefix) changes = changes.filter(c => isWithin(c.path, prefix));
+      scanned++;
+      from = commits[i + 1]?.version ?? null;
+      if (prefix && !changes.length) continue;
+
+      entries.push({
+        commit: commit.version,
+        timestamp: commit.date,
+        author: parseChangedBy(commit),
+        message: commit.message.split("\n")[0],
+        changes
+      });
+      if (entries.length === limit) break;
+    }
+    if (entries.length === limit || scanned >= HISTORY_MAX_SCAN) break;
+  }
+
+  return {
+    file,
+    id,
+    entries,
+    hasMore: from !== null,
+    cursor: from
+  };
+}
+
+// ===============================
+// Computed views (engines run server-side)
+// ===============================
+//
+// GET /loans/:id/amort, /loans/:id/earnings?user=,
+//     /portfolio/:user/kpis, /portfolio/:user/roi-timeline?view=historical
+//
+// Always computed from the full stored loans; the principal's scope only
+// decides which loans and holders they may ask about. With ?asOf=<date>
+// the loans and fees are read as of that date and the engines run with
+// that date as "today". ?checks=1 runs the engines' ledger checks and adds
+// `ledgerViolations` to the response.
+//
+async function readComputeInputs(env, asOf) {
+  const [loans, config] = await Promise.all([
+    readDocument(env, loansPath(env), asOf),
+    readDocument(env, platformConfigPath(env), asOf)
+  ]);
+  return {
+    loans: LOANS_FILE.readList(loans.content),
+    config: config.content,
+    meta: { sha: loans.sha, ...asOfFields(loans) }
+  };
+}
+
+function computeOptions(url, asOf) {
+  const checks = url.searchParams.get("checks") === "1";
+  if (!asOf?.date) return { checks };
+  const [y, m, d] = asOf.date.split("-").map(Number);
+  return { today: new Date(y, m - 1, d), checks };
+}
 
-  if (!putRes.ok) {
-    const errText = await putRes.text();
-    throw new Error(`GitHub PUT failed: ${putRes.status} - ${errText}`);
+function assertHolderVisible(principal, userId) {
+  if (!canViewHolder(principal, userId)) {
+    throw httpError(403, `Role '${principal.role}' may only view its own holdings`);
   }
+}
+
+async function handleLoanComputeRoute(env, url, match, principal) {
+  const [, rawId, view] = match;
+  const loanId = decodeURIComponent(rawId);
+  const asOf = parseAsOf(url);
+  const { loans, config, meta } = await readComputeInputs(env, asOf);
+  const loan = loans.find(l => String(l.loanId) === loanId);
+  if (!scopeLoan(loan, principal)) throw httpError(404, `loanId ${loanId} not found`);
+
+  if (view === "amort") return { ...meta, ...computeLoanAmort(loan, config, computeOptions(url, asOf)) };
+
+  // Earnings are per holder: own-holdings roles get their own, everyone
+  // else names the holder
+  const userId = url.searchParams.get("user") || (seesAllHoldings(principal) ? null : principal.id);
+  if (!userId) throw httpError(400, "GET /loans/:id/earnings needs ?user=<holder id>");
+  assertHolderVisible(principal, userId);
+  return { ...meta, ...computeLoanEarnings(loan, userId, config, { ...computeOptions(url, asOf), portfolio: loans }) };
+}
 
-  const putData = await putRes.json();
-  return putData.content.sha;
+async function handlePortfolioRoute(env, url, match, principal) {
+  const [, rawUser, view] = match;
+  const userId = decodeURIComponent(rawUser);
+  assertHolderVisible(principal, userId);
+
+  const asOf = parseAsOf(url);
+  const { loans, config, meta } = await readComputeInputs(env, asOf);
+  const options = computeOptions(url, asOf);
+  if (view === "kpis") return { ...meta, ...computePortfolioKpis(loans, userId, config, options) };
+  return { ...meta, ...computeRoiTimeline(loans, userId, config, { ...options, historical: url.searchParams.get("view") === "historical" }) };
 }
 
 async function handleFetch(request, env) {
@@ -114,21 +722,97 @@ async function handleFetch(request, env) {
   try {
     const url = new URL(request.url);
 
+    // AUTH — every route needs a valid API key or token
+    const principal = await authenticate(request, env, hash => findUserByKeyHash(env, hash));
+    if (url.pathname.startsWith("/auth/")) {
+      if (!principal) throw httpError(401, "Authentication required");
+      return withCORS(noStoreJson(await handleAuthRoute(request, env, url, principal)), origin);
+    }
+    authorize(principal, request.method, url.pathname);
+
+    const asOf = parseAsOf(url);
+    if (asOf && request.method !== "GET") {
+      throw httpError(400, "asOf is for reads only; changes always apply to the latest version");
+    }
+
+    // HISTORY
+    const historyMatch = url.pathname.match(/^\/history\/([^/]+)(?:\/([^/]+))?$/);
+    if (historyMatch) {
+      if (request.method !== "GET") return withCORS(new Response("Method not allowed", { status: 405 }), origin);
+      return withCORS(noStoreJson(await handleHistoryRoute(env, url, historyMatch)), origin);
+    }
+
+    // COMPUTED VIEWS
+    const loanComputeMatch = url.pathname.match(/^\/loans\/([^/]+)\/(amort|earnings)$/);
+    const portfolioMatch = url.pathname.match(/^\/portfolio\/([^/]+)\/(kpis|roi-timeline)$/);
+    if (loanComputeMatch || portfolioMatch) {
+      if (request.method !== "GET") return withCORS(new Response("Method not allowed", { status: 405 }), origin);
+      const result = loanComputeMatch
+        ? await handleLoanComputeRoute(env, url, loanComputeMatch, principal)
+        : await handlePortfolioRoute(env, url, portfolioMatch, principal);
+      return withCORS(noStoreJson(result), origin);
+    }
+
+    // SINGLE LOAN (+ events / ownership lots / payment history)
+    const loanMatch = url.pathname.match(/^\/loans\/([^/]+)(?:\/(events|lots|payments)(?:\/([^/]+))?)?$/);
+    if (loanMatch) {
+      return withCORS(noStoreJson(await handleLoanRoute(request, env, url, loanMatch, principal)), origin);
+    }
+
+    // SINGLE BORROWER
+    const borrowerMatch = url.pathname.match(/^\/borrowers\/([^/]+)$/);
+    if (borrowerMatch) {
+      const borrowerId = decodeURIComponent(borrowerMatch[1]);
+      const borrowerPath = borrowersPath(env);
+      if (request.method === "GET") {
+        const doc = await readDocument(env, borrowerPath, asOf);
+        const borrower = BORROWERS_FILE.readList(doc.content).find(b => String(b.borrowerId) === borrowerId);
+        if (!borrower) throw httpError(404, `borrowerId ${borrowerId} not found`);
+        return withCORS(noStoreJson({ borrower, sha: doc.sha, ...asOfFields(doc) }), origin);
+      }
+      if (request.method === "PUT" || request.method === "PATCH") {
+        const body = await readJsonBody(request);
+        if (!body.borrower || typeof body.borrower !== "object") {
+          throw httpError(400, `${request.method} /borrowers/:id expects { borrower }`);
+        }
+        const result = await updateRecordInFile(env, {
+          ...BORROWERS_FILE,
+          path: borrowerPath,
+          id: borrowerId,
+          baseSha: body.sha || null,
+          commitMsg: `Update borrower ${borrowerId} via admin`,
+          author: principal
+        }, current => {
+          if (request.method === "PATCH" && !current) throw httpError(404, `borrowerId ${borrowerId} not found`);
+          return { ...(request.method === "PATCH" ? current : {}), ...body.borrower, borrowerId };
+        });
+        return withCORS(noStoreJson({
+          success: true,
+          sha: result.sha,
+          previousSha: result.previousSha,
+          borrower: result.record
+        }), origin);
+      }
+      return withCORS(new Response("Method not allowed", { status: 405 }), origin);
+    }
+
     // LOANS
     if (url.pathname === "/loans") {
       if (request.method === "GET") {
-        const { content, sha } = await loadFromGitHub(env, env.GITHUB_FILE_PATH || "data/loans.json");
-        return withCORS(noStoreJson({ loans: content.loans || content, sha }), origin);
+        const doc = await readDocument(env, loansPath(env), asOf);
+        return withCORS(noStoreJson({ loans: scopeLoans(LOANS_FILE.readList(doc.content), principal), sha: doc.sha, ...asOfFields(doc) }), origin);
       }
       if (request.method === "POST") {
         const body = await request.json();
+        assertValid(validateDocument("loans", { loans: body.loans }));
         const saveContent = JSON.stringify({ loans: body.loans }, null, 2);
-        const newSha = await saveToGitHub(
+        const newSha = await saveDocument(
           env,
-          env.GITHUB_FILE_PATH || "data/loans.json",
+          loansPath(env),
           saveContent,
           body.sha,
-          "Update loans via admin"
+          "Update loans via admin",
+          principal
         );
         return withCORS(noStoreJson({ success: true, sha: newSha }), origin);
       }
@@ -137,19 +821,21 @@ async function handleFetch(request, env) {
 
     // PLATFORM CONFIG
     if (url.pathname === "/platformConfig") {
-      const configPath = env.GITHUB_CONFIG_PATH || "data/platformConfig.json";
+      const configPath = platformConfigPath(env);
       if (request.method === "GET") {
-        const { content, sha } = await loadFromGitHub(env, configPath);
-        return withCORS(noStoreJson({ ...content, sha }), origin);
+        const doc = await readDocument(env, configPath, asOf);
+        return withCORS(noStoreJson({ ...scopePlatformConfig(doc.content, principal), sha: doc.sha, ...asOfFields(doc) }), origin);
       }
       if (request.method === "POST") {
-        const body = await request.json();
-        const newSha = await saveToGitHub(
+        const { sha, ...body } = await request.json();
+        assertValid(validateDocument("platformConfig", body));
+        const newSha = await saveDocument(
           env,
           configPath,
           JSON.stringify(body, null, 2),
-          body.sha,
-          "Update platform config via admin"
+          sha,
+          "Update platform config via admin",
+          principal
         );
         return withCORS(noStoreJson({ success: true, sha: newSha }), origin);
       }
@@ -158,19 +844,21 @@ async function handleFetch(request, env) {
 
     // RISK/VALUE CONFIG
     if (url.pathname === "/config") {
-      const configPath = env.GITHUB_RISK_CONFIG_PATH || "data/riskValueConfig.json";
+      const configPath = riskConfigPath(env);
       if (request.method === "GET") {
-        const { content, sha } = await loadFromGitHub(env, configPath);
-        return withCORS(noStoreJson({ ...content, sha }), origin);
+        const doc = await readDocument(env, configPath, asOf);
+        return withCORS(noStoreJson({ ...doc.content, sha: doc.sha, ...asOfFields(doc) }), origin);
       }
       if (request.method === "POST") {
-        const body = await request.json();
-        const newSha = await saveToGitHub(
+        const { sha, ...body } = await request.json();
+        assertValid(validateDocument("riskValueConfig", body));
+        const newSha = await saveDocument(
           env,
           configPath,
           JSON.stringify(body, null, 2),
-          body.sha,
-          "Update risk & value config via admin drawer"
+          sha,
+          "Update risk & value config via admin drawer",
+          principal
         );
         return withCORS(noStoreJson({ sha: newSha }), origin);
       }
@@ -179,22 +867,21 @@ async function handleFetch(request, env) {
 
     // BORROWERS
     if (url.pathname === "/borrowers") {
-      const borrowerPath = env.GITHUB_BORROWER_PATH || "data/borrowers.json";
+      const borrowerPath = borrowersPath(env);
       if (request.method === "GET") {
-        const { content, sha } = await loadFromGitHub(env, borrowerPath);
-        return withCORS(noStoreJson({ borrowers: content, sha }), origin);
+        const doc = await readDocument(env, borrowerPath, asOf);
+        return withCORS(noStoreJson({ borrowers: doc.content, sha: doc.sha, ...asOfFields(doc) }), origin);
       }
       if (request.method === "POST") {
         const body = await request.json();
-        if (!body || !Array.isArray(body.borrowers)) {
-          return withCORS(noStoreJson({ error: "Invalid borrowers body" }, 400), origin);
-        }
-        const newSha = await saveToGitHub(
+        assertValid(validateDocument("borrowers", body?.borrowers));
+        const newSha = await saveDocument(
           env,
           borrowerPath,
           JSON.stringify(body.borrowers, null, 2),
           body.sha,
-          "Update borrowers via admin"
+          "Update borrowers via admin",
+          principal
         );
         return withCORS(noStoreJson({ success: true, sha: newSha }), origin);
       }
@@ -205,16 +892,23 @@ async function handleFetch(request, env) {
     if (url.pathname === "/valuationCurves" || url.pathname === "/schoolTiers") {
       if (request.method === "GET") {
         const path = url.pathname === "/schoolTiers"
-          ? env.GITHUB_SCHOOLTIERS_PATH || "data/schoolTiers.json"
-          : env.GITHUB_VALUATION_CURVES_PATH || "data/valuationCurves.json";
-        const { content, sha } = await loadFromGitHub(env, path);
-        return withCORS(noStoreJson({ ...content, sha }), origin);
+          ? schoolTiersPath(env)
+          : valuationCurvesPath(env);
+        const doc = await readDocument(env, path, asOf);
+        return withCORS(noStoreJson({ ...doc.content, sha: doc.sha, ...asOfFields(doc) }), origin);
       }
       return withCORS(new Response("Method not allowed", { status: 405 }), origin);
     }
 
     return withCORS(new Response("Not found", { status: 404 }), origin);
   } catch (err) {
+    if (err.code === "CONFLICT") {
+      return withCORS(await conflictResponse(env, err), origin);
+    }
+    if (err.status) {
+      const body = err.errors ? { error: err.message, errors: err.errors } : { error: err.message };
+      return withCORS(noStoreJson(body, err.status), origin);
+    }
     console.error("Worker error:", err);
     return withCORS(noStoreJson({ error: err.message, stack: err.stack || "N/A" }, 500), origin);
   }